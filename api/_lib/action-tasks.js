@@ -0,0 +1,150 @@
+// api/_lib/action-tasks.js
+// Action-plan items as trackable tasks (action_tasks): the post-call job stores one
+// per action_plan item of a thinking report, /api/session hands the open ones of
+// recent sessions to Sophie as follow-ups, /api/tasks changes their status.
+// A regenerated report that becomes current (/api/admin/reports) replaces the untouched ones.
+
+const { clean } = require("./memory-rules");
+
+const TASK_STATUSES = ["open", "done", "dropped"];
+const FOLLOW_UP_DAYS = 21; // older open tasks are not raised anymore
+const FOLLOW_UP_LIMIT = 3;
+const CANDIDATE_LIMIT = 20;
+
+const isTaskStatus = (value) => TASK_STATUSES.includes(String(value || ""));
+
+// Real calendar days only: "2026-02-30" would fail the insert of the whole plan
+const isDay = (value) => {
+  const v = String(value || "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+};
+
+// ---------------------------
+// Writing (post-call job, service role)
+// ---------------------------
+
+// action_plan -> rows; position = index in the plan, so a retry of the same report maps onto the same rows
+function tasksFromActionPlan(actionPlan) {
+  return (Array.isArray(actionPlan) ? actionPlan : [])
+    .map((item, position) => ({
+      position,
+      label: clean(item?.label).slice(0, 200),
+      detail: clean(item?.detail || item?.text).slice(0, 500),
+      due_date: isDay(item?.due_date) ? item.due_date : null,
+    }))
+    .filter((t) => t.label || t.detail);
+}
+
+/**
+ * Insert the tasks of one report. Existing rows (same session + position) are kept
+ * as they are, so a status the user already set survives a retry.
+ */
+async function saveActionTasks(supabase, userId, { sessionId, actionPlan = [] } = {}) {
+  const rows = tasksFromActionPlan(actionPlan).map((t) => ({ ...t, user_id: userId, session_id: sessionId }));
+  if (!sessionId || !rows.length) return { error: null, saved: 0 };
+
+  const { error } = await supabase
+    .from("action_tasks")
+    .upsert(rows, { onConflict: "session_id,position", ignoreDuplicates: true });
+  if (error) return { error };
+  return { error: null, saved: rows.length };
+}
+
+/**
+ * A regenerated report became the current one (/api/admin/reports): its plan replaces
+ * the tasks the user has not touched yet (open, status never changed). Tasks the user
+ * marked keep their row; a plan item with the same label as one of them is not added again.
+ * New tasks go after the kept ones. Returns { error, removed, saved }.
+ */
+async function replaceUntouchedTasks(supabase, userId, { sessionId, actionPlan = [] } = {}) {
+  if (!sessionId) return { error: null, removed: 0, saved: 0 };
+
+  const { data: existing, error: loadErr } = await supabase
+    .from("action_tasks")
+    .select("id, position, label, status, status_changed_at")
+    .eq("session_id", sessionId)
+    .eq("user_id", userId);
+  if (loadErr) return { error: loadErr };
+
+  const rows = Array.isArray(existing) ? existing : [];
+  const untouched = rows.filter((t) => t.status === "open" && !t.status_changed_at);
+  const kept = rows.filter((t) => !untouched.includes(t));
+
+  if (untouched.length) {
+    const { error: delErr } = await supabase
+      .from("action_tasks")
+      .delete()
+      .eq("session_id", sessionId)
+      .in("id", untouched.map((t) => t.id));
+    if (delErr) return { error: delErr };
+  }
+
+  const keptLabels = new Set(kept.map((t) => clean(t.label).toLowerCase()).filter(Boolean));
+  const start = kept.reduce((max, t) => Math.max(max, Number(t.position) + 1), 0);
+  const fresh = tasksFromActionPlan(actionPlan)
+    .filter((t) => !t.label || !keptLabels.has(t.label.toLowerCase()))
+    .map((t, i) => ({ ...t, position: start + i, user_id: userId, session_id: sessionId }));
+
+  if (fresh.length) {
+    const { error } = await supabase.from("action_tasks").insert(fresh);
+    if (error) return { error, removed: untouched.length, saved: 0 };
+  }
+  return { error: null, removed: untouched.length, saved: fresh.length };
+}
+
+// ---------------------------
+// Follow-ups (session)
+// ---------------------------
+
+/**
+ * Open tasks from the last FOLLOW_UP_DAYS: overdue / due soonest first, then newest.
+ */
+async function loadFollowUpTasks(supabase, userId, { days = FOLLOW_UP_DAYS, limit = FOLLOW_UP_LIMIT, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from("action_tasks")
+    .select("id, label, detail, due_date, created_at")
+    .eq("user_id", userId)
+    .eq("status", "open")
+    .gte("created_at", since)
+    .order("created_at", { ascending: false })
+    .limit(CANDIDATE_LIMIT);
+
+  if (error) return { error, tasks: [] };
+
+  const tasks = (Array.isArray(data) ? data : [])
+    .slice()
+    .sort((a, b) => {
+      if (a.due_date && b.due_date) return a.due_date < b.due_date ? -1 : a.due_date > b.due_date ? 1 : 0;
+      if (a.due_date || b.due_date) return a.due_date ? -1 : 1;
+      return 0; // keeps newest first
+    })
+    .slice(0, limit);
+
+  return { error: null, tasks };
+}
+
+// "- Call HR: ask about the day ward (set 2026-10-12, due 2026-10-20, overdue)"
+function formatFollowUpTask(task, today = new Date().toISOString().slice(0, 10)) {
+  const text = [clean(task.label), clean(task.detail)].filter(Boolean).join(": ").slice(0, 240);
+  const set = String(task.created_at || "").slice(0, 10);
+  const due = isDay(task.due_date) ? task.due_date : String(task.due_date || "").slice(0, 10);
+  const notes = [set ? `set ${set}` : "", isDay(due) ? `due ${due}` : "", isDay(due) && due < today ? "overdue" : ""]
+    .filter(Boolean)
+    .join(", ");
+  return `- ${text}${notes ? ` (${notes})` : ""}`;
+}
+
+module.exports = {
+  TASK_STATUSES,
+  FOLLOW_UP_DAYS,
+  isTaskStatus,
+  tasksFromActionPlan,
+  saveActionTasks,
+  replaceUntouchedTasks,
+  loadFollowUpTasks,
+  formatFollowUpTask,
+};
@@ -0,0 +1,27 @@
+// api/_lib/admin.js
+// Operator-only routes (api/admin/*): Authorization: Bearer <ADMIN_API_SECRET>.
+// Without the env var every admin route stays closed.
+// Scheduled routes also accept Bearer <CRON_SECRET> (what Vercel Cron sends).
+
+const { timingSafeEqual } = require("crypto");
+
+function bearerMatches(req, secret) {
+  if (!secret) return false;
+
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(secret);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function isAdminRequest(req) {
+  return bearerMatches(req, process.env.ADMIN_API_SECRET || "");
+}
+
+function isCronRequest(req) {
+  return bearerMatches(req, process.env.CRON_SECRET || "");
+}
+
+module.exports = { isAdminRequest, isCronRequest };
@@ -0,0 +1,118 @@
+// api/_lib/billing.js
+// Failed payments (dunning): access stays for BILLING_GRACE_DAYS after the first
+// failed payment, then the paid seconds are paused. Pausing books the remaining
+// paid seconds out of the ledger; paying the invoice books the same amount back.
+
+const { grantUsage } = require("./ledger");
+
+const BILLING_ISSUE_STATUSES = ["past_due", "unpaid", "incomplete"];
+
+function graceDays() {
+  const days = parseInt(process.env.BILLING_GRACE_DAYS || "7", 10);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+}
+
+// Fields for user_subscriptions when a dunning episode starts (kept if one is running)
+function graceFieldsFor(row, failedAtMs = Date.now()) {
+  if (row?.payment_failed_at) {
+    return { payment_failed_at: row.payment_failed_at, grace_until: row.grace_until || null };
+  }
+  return {
+    payment_failed_at: new Date(failedAtMs).toISOString(),
+    grace_until: new Date(failedAtMs + graceDays() * 24 * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+/**
+ * Billing state of a user_subscriptions row.
+ * billing_issue: payment failed / subscription past_due|unpaid
+ * in_grace:      issue, but access is still kept
+ * pause_due:     grace is over -> paid seconds must be paused
+ */
+function billingStateFor(row, nowMs = Date.now()) {
+  const status = row?.status || null;
+  const issue = !!row?.payment_failed_at || BILLING_ISSUE_STATUSES.includes(status);
+  const graceMs = Date.parse(row?.grace_until || "");
+  const inGrace = issue && Number.isFinite(graceMs) && graceMs > nowMs;
+
+  return {
+    billing_issue: issue,
+    status,
+    grace_until: row?.grace_until || null,
+    in_grace: inGrace,
+    paused: !!row?.paid_paused_at,
+    pause_due: issue && !inGrace && !row?.paid_paused_at,
+  };
+}
+
+// One pause per dunning episode (the ref ties pause and resume together)
+function pauseRefFor(row) {
+  return `${row?.stripe_subscription_id || row?.user_id}:${row?.payment_failed_at || ""}`;
+}
+
+async function pausePaidSeconds(supabase, userId, row) {
+  const ref = pauseRefFor(row);
+
+  const { error: expErr, balance } = await grantUsage(supabase, userId, "paid", 0, {
+    reason: "payment_paused",
+    ref,
+    replace: true,
+  });
+  if (expErr) return { error: expErr };
+
+  const nowIso = new Date().toISOString();
+  const { error: updErr } = await supabase
+    .from("user_subscriptions")
+    .update({ paid_paused_at: nowIso, is_active: false })
+    .eq("user_id", userId)
+    .is("paid_paused_at", null);
+
+  if (updErr) return { error: updErr };
+  return { error: null, ref, paused_at: nowIso, balance };
+}
+
+/**
+ * Payment recovered: book paused seconds back (once) and end the dunning episode.
+ * Returns { error, resumed_seconds }.
+ */
+async function resolveBillingIssue(supabase, userId, row, extra = {}) {
+  let resumed = 0;
+
+  if (row?.paid_paused_at) {
+    const ref = pauseRefFor(row);
+    const { data: pausedRows, error: findErr } = await supabase
+      .from("usage_ledger")
+      .select("seconds")
+      .eq("user_id", userId)
+      .eq("bucket", "paid")
+      .eq("reason", "payment_paused")
+      .eq("ref", ref);
+
+    if (findErr) return { error: findErr };
+
+    resumed = (pausedRows || []).reduce((sum, r) => sum - Math.min(0, r.seconds || 0), 0);
+
+    const { error: grantErr } = await grantUsage(supabase, userId, "paid", resumed, {
+      reason: "payment_resumed",
+      ref,
+    });
+    if (grantErr) return { error: grantErr };
+  }
+
+  const { error: updErr } = await supabase
+    .from("user_subscriptions")
+    .update({ payment_failed_at: null, grace_until: null, paid_paused_at: null, ...extra })
+    .eq("user_id", userId);
+
+  if (updErr) return { error: updErr };
+  return { error: null, resumed_seconds: resumed };
+}
+
+module.exports = {
+  BILLING_ISSUE_STATUSES,
+  graceDays,
+  graceFieldsFor,
+  billingStateFor,
+  pausePaidSeconds,
+  resolveBillingIssue,
+};
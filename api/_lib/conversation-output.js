@@ -0,0 +1,334 @@
+// api/_lib/conversation-output.js
+// Thinking report (conversation_outputs) from a transcript: model call, sanitizing,
+// fallbacks and storage as a new report version. Used by the post-call job
+// (api/_lib/post-call.js) after each call and by /api/admin/reports to regenerate
+// reports of stored sessions.
+
+const { CONVERSATION_INSIGHTS_PROMPT, renderTemplate } = require("./prompts");
+const { getIntent, sanitizeIntentReport } = require("./intents");
+const { memoryItemsFromReport, sanitizeMemoryItems } = require("./memory-items");
+
+const DEFAULT_OUTPUT_MODEL = "gpt-4o-mini";
+
+function cleanText(value) {
+  return String(value || "").replace(/\s+/g, " ").trim();
+}
+
+function buildStructuredSummary({ shortSummary = "", emotionalTone = "", stressLevel = null, closenessLevel = null }) {
+  return {
+    summary: cleanText(shortSummary),
+    emotional_tone: cleanText(emotionalTone) || "unknown",
+    stress_level: Number.isFinite(Number(stressLevel)) ? Number(stressLevel) : null,
+    closeness_level: Number.isFinite(Number(closenessLevel)) ? Number(closenessLevel) : null,
+  };
+}
+
+function buildFallbackKeyInsights(sessionSummary) {
+  const s = cleanText(sessionSummary);
+  if (!s) return [];
+  return [
+    { type: "session_summary", text: s.slice(0, 300) },
+  ];
+}
+
+function buildFallbackActionPlan(sessionSummary) {
+  const s = cleanText(sessionSummary);
+  if (!s) return [];
+  return [
+    {
+      label: "Clarify next step",
+      detail: s.slice(0, 300),
+    },
+  ];
+}
+
+function buildFallbackOpenQuestions() {
+  return [];
+}
+
+function sanitizeInsightItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => {
+      if (!item || typeof item !== "object") return null;
+      const type = cleanText(item.type).slice(0, 80);
+      const text = cleanText(item.text).slice(0, 500);
+      if (!text) return null;
+      return {
+        type: type || "insight",
+        text,
+      };
+    })
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+function sanitizeActionItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => {
+      if (!item || typeof item !== "object") return null;
+      const label = cleanText(item.label).slice(0, 120);
+      const detail = cleanText(item.detail).slice(0, 500);
+      if (!label && !detail) return null;
+      // Only real calendar dates (YYYY-MM-DD), the model leaves it empty without a deadline
+      const due = cleanText(item.due_date);
+      const dueOk = /^\d{4}-\d{2}-\d{2}$/.test(due) && !Number.isNaN(Date.parse(`${due}T00:00:00Z`));
+      return {
+        label: label || "Next step",
+        detail: detail || "",
+        ...(dueOk ? { due_date: due } : {}),
+      };
+    })
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+function sanitizeOpenQuestions(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => cleanText(item).slice(0, 300))
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+// Transcript as the report model reads it: user + assistant only, last 80 turns
+function transcriptForModel(turns) {
+  return (Array.isArray(turns) ? turns : [])
+    .filter((t) => t.role === "user" || t.role === "assistant")
+    .slice(-80)
+    .map((t) => `${t.role.toUpperCase()}: ${String(t.text || "").slice(0, 2000)}`)
+    .join("\n");
+}
+
+/**
+ * Thinking report for one transcript (Responses API, strict JSON schema).
+ * template: insights prompt version to run (default: the current one, see getInsightsPrompt)
+ */
+async function generateConversationOutput({
+  transcriptText,
+  fallbackSummary,
+  emotionalTone,
+  stressLevel,
+  closenessLevel,
+  openAiKey,
+  model,
+  intent = "",
+  sessionDate = "",
+  template = CONVERSATION_INSIGHTS_PROMPT,
+}) {
+  const system = renderTemplate(template, { intent });
+  // Intent of the session adds its own section (e.g. decision_matrix for decisions)
+  const intentDef = getIntent(intent);
+
+  const userMsg = `
+Conversation date: ${String(sessionDate || new Date().toISOString()).slice(0, 10)}
+
+Fallback summary from session memory:
+${cleanText(fallbackSummary) || "None"}
+
+Transcript:
+${transcriptText}
+`.trim();
+
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      short_summary: { type: "string" },
+      key_insights: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            type: { type: "string" },
+            text: { type: "string" },
+          },
+          required: ["type", "text"],
+        },
+      },
+      action_plan: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            label: { type: "string" },
+            detail: { type: "string" },
+            due_date: { type: "string" },
+          },
+          required: ["label", "detail", "due_date"],
+        },
+      },
+      open_questions: {
+        type: "array",
+        items: { type: "string" },
+      },
+      memory_items: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            kind: { type: "string", enum: ["fact", "goal", "decision", "open_question"] },
+            text: { type: "string" },
+            importance: { type: "integer" },
+          },
+          required: ["kind", "text", "importance"],
+        },
+      },
+    },
+    required: ["short_summary", "key_insights", "action_plan", "open_questions", "memory_items"],
+  };
+
+  if (intentDef) {
+    schema.properties[intentDef.report] = intentDef.reportSchema;
+    schema.required.push(intentDef.report);
+  }
+
+  const r = await fetch("https://api.openai.com/v1/responses", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${openAiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model,
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: userMsg },
+      ],
+      temperature: 0.3,
+      text: {
+        format: {
+          type: "json_schema",
+          name: intentDef ? `sophie_conversation_output_v3_${intentDef.id}` : "sophie_conversation_output_v3",
+          strict: true,
+          schema,
+        },
+      },
+      truncation: "auto",
+    }),
+  });
+
+  if (!r.ok) {
+    const errorText = await r.text().catch(() => "");
+    throw new Error(`Conversation output model error ${r.status}: ${errorText.slice(0, 300)}`);
+  }
+
+  const out = await r.json();
+  const text =
+    out?.output_text ||
+    out?.output?.[0]?.content?.find?.((c) => c.type === "output_text")?.text ||
+    "";
+
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || "").trim());
+  } catch {
+    throw new Error("Bad JSON from conversation output model");
+  }
+
+  const shortSummary = cleanText(parsed?.short_summary || fallbackSummary).slice(0, 300);
+  const keyInsights = sanitizeInsightItems(parsed?.key_insights);
+  const actionPlan = sanitizeActionItems(parsed?.action_plan);
+  const openQuestions = sanitizeOpenQuestions(parsed?.open_questions);
+  const memoryItems = sanitizeMemoryItems(parsed?.memory_items);
+
+  return {
+    short_summary: shortSummary || cleanText(fallbackSummary).slice(0, 300),
+    structured_summary: buildStructuredSummary({
+      shortSummary: shortSummary || fallbackSummary,
+      emotionalTone,
+      stressLevel,
+      closenessLevel,
+    }),
+    key_insights: keyInsights.length ? keyInsights : buildFallbackKeyInsights(fallbackSummary),
+    action_plan: actionPlan.length ? actionPlan : buildFallbackActionPlan(fallbackSummary),
+    open_questions: openQuestions.length ? openQuestions : buildFallbackOpenQuestions(),
+    intent_report: intentDef ? sanitizeIntentReport(intentDef.id, parsed?.[intentDef.report]) : null,
+    // Only real report content, never the generic fallbacks above
+    tasks: actionPlan,
+    memory_items: memoryItems.length
+      ? memoryItems
+      : memoryItemsFromReport({ action_plan: actionPlan, open_questions: openQuestions }),
+  };
+}
+
+// Report when the model call failed: the session summary, nothing invented
+function fallbackConversationOutput({ fallbackSummary, emotionalTone, stressLevel, closenessLevel }) {
+  return {
+    short_summary: cleanText(fallbackSummary).slice(0, 300),
+    structured_summary: buildStructuredSummary({ shortSummary: fallbackSummary, emotionalTone, stressLevel, closenessLevel }),
+    key_insights: buildFallbackKeyInsights(fallbackSummary),
+    action_plan: buildFallbackActionPlan(fallbackSummary),
+    open_questions: buildFallbackOpenQuestions(),
+    tasks: [],
+    memory_items: [],
+    intent_report: null,
+  };
+}
+
+// generateConversationOutput result -> conversation_outputs columns (without session_id / version)
+function outputRowFor(conversationOutput, { title, fallbackSummary, emotionalTone, stressLevel, closenessLevel, model, promptVersion }) {
+  return {
+    title: cleanText(title).slice(0, 120),
+    short_summary: cleanText(conversationOutput.short_summary || fallbackSummary).slice(0, 300),
+    structured_summary:
+      conversationOutput.structured_summary ||
+      buildStructuredSummary({ shortSummary: fallbackSummary, emotionalTone, stressLevel, closenessLevel }),
+    key_insights: Array.isArray(conversationOutput.key_insights)
+      ? conversationOutput.key_insights
+      : buildFallbackKeyInsights(fallbackSummary),
+    action_plan: Array.isArray(conversationOutput.action_plan)
+      ? conversationOutput.action_plan
+      : buildFallbackActionPlan(fallbackSummary),
+    open_questions: Array.isArray(conversationOutput.open_questions)
+      ? conversationOutput.open_questions
+      : buildFallbackOpenQuestions(),
+    model,
+    intent_report: conversationOutput.intent_report || null,
+    prompt_version: promptVersion,
+  };
+}
+
+/**
+ * Store a report as the next version of the session's report (earlier versions are kept).
+ * Service role only (conversation_output_add_version).
+ * activate: the new version becomes the current one (the first version always does).
+ * firstOnly: only store version 1; if the session has a report already, nothing is added
+ *            and the current version comes back with created = false (post-call retries).
+ * Returns { error, id, version, isCurrent, created }.
+ */
+async function saveConversationOutput(supabase, sessionId, row, { activate = true, firstOnly = false } = {}) {
+  const { data, error } = await supabase.rpc("conversation_output_add_version", {
+    p_session_id: sessionId,
+    p_output: row,
+    p_activate: activate,
+    p_first_only: firstOnly,
+  });
+  if (error) return { error };
+  const r = Array.isArray(data) ? data[0] : data;
+  return {
+    error: null,
+    id: r?.output_id || null,
+    version: Number(r?.output_version) || null,
+    isCurrent: !!r?.output_is_current,
+    created: !!r?.output_created,
+  };
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_MODEL,
+  cleanText,
+  buildStructuredSummary,
+  buildFallbackKeyInsights,
+  buildFallbackActionPlan,
+  buildFallbackOpenQuestions,
+  transcriptForModel,
+  generateConversationOutput,
+  fallbackConversationOutput,
+  outputRowFor,
+  saveConversationOutput,
+};
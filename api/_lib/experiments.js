@@ -0,0 +1,163 @@
+// api/_lib/experiments.js
+// A/B experiments on the Realtime session config.
+// Adding an experiment = adding an entry here; stopping it = running: false.
+//
+// - Each user gets one sticky variant per running experiment (experiment_assignments).
+//   New users are bucketed by a hash of experiment id + user id, so the split follows the weights.
+// - A variant's config overrides the session defaults:
+//     temperature        Realtime temperature
+//     silenceDurationMs  server VAD silence_duration_ms
+//     coreStyle          core style template (CORE_STYLE_VARIANTS in prompts.js)
+//   Two running experiments must not override the same key (the first one wins).
+// - /api/session logs an experiment_exposure event per experiment when the call opens
+//   and stores the variants on realtime_calls.experiments (-> user_sessions.experiments).
+// - Report: GET /api/admin/experiments?experiment=<id>
+// - EXPERIMENTS_DISABLED=1 turns all experiments off (everyone gets the defaults).
+
+const { createHash } = require("crypto");
+
+const EXPOSURE_EVENT = "experiment_exposure";
+
+const EXPERIMENTS = {
+  realtime_temperature_2026_10: {
+    id: "realtime_temperature_2026_10",
+    running: true,
+    description: "Less random replies: temperature 0.85 vs 0.7",
+    variants: [
+      { id: "control", weight: 50, config: { temperature: 0.85 } },
+      { id: "cooler", weight: 50, config: { temperature: 0.7 } },
+    ],
+  },
+  vad_silence_2026_10: {
+    id: "vad_silence_2026_10",
+    running: true,
+    description: "Fewer interruptions: 200 ms vs 500 ms of silence before Sophie answers",
+    variants: [
+      { id: "control", weight: 50, config: { silenceDurationMs: 200 } },
+      { id: "longer_pause", weight: 50, config: { silenceDurationMs: 500 } },
+    ],
+  },
+  core_style_brief_2026_10: {
+    id: "core_style_brief_2026_10",
+    running: true,
+    description: "Shorter turns: 1–4 vs 1–2 sentences per reply",
+    variants: [
+      { id: "control", weight: 50, config: { coreStyle: "default" } },
+      { id: "brief", weight: 50, config: { coreStyle: "brief" } },
+    ],
+  },
+};
+
+function experimentsDisabled() {
+  return /^(1|true|yes)$/i.test(String(process.env.EXPERIMENTS_DISABLED || "").trim());
+}
+
+function getExperiment(id) {
+  return EXPERIMENTS[String(id || "").trim()] || null;
+}
+
+function runningExperiments() {
+  if (experimentsDisabled()) return [];
+  return Object.values(EXPERIMENTS).filter((e) => e.running && e.variants.length);
+}
+
+// Stable 0..9999 per (experiment, user)
+function bucketFor(experimentId, userId) {
+  const hex = createHash("sha256").update(`${experimentId}:${userId}`).digest("hex").slice(0, 8);
+  return parseInt(hex, 16) % 10000;
+}
+
+function pickVariant(experiment, userId) {
+  const total = experiment.variants.reduce((sum, v) => sum + Math.max(0, v.weight || 0), 0);
+  if (total <= 0) return experiment.variants[0];
+
+  const point = (bucketFor(experiment.id, userId) / 10000) * total;
+  let acc = 0;
+  for (const variant of experiment.variants) {
+    acc += Math.max(0, variant.weight || 0);
+    if (point < acc) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Variants of all running experiments for one user (sticky).
+ * Returns { assignments: { [experimentId]: variantId }, config, error }.
+ * On a lookup error the user still gets hash-based variants, they are just not stored yet.
+ */
+async function assignExperiments(supabase, userId) {
+  const experiments = runningExperiments();
+  if (!experiments.length) return { assignments: {}, config: {}, error: null };
+
+  const { data: rows, error } = await supabase
+    .from("experiment_assignments")
+    .select("experiment_id, variant")
+    .eq("user_id", userId)
+    .in("experiment_id", experiments.map((e) => e.id));
+
+  const stored = new Map((Array.isArray(rows) ? rows : []).map((r) => [r.experiment_id, r.variant]));
+  const assignments = {};
+  const inserts = [];
+
+  for (const experiment of experiments) {
+    const storedVariant = experiment.variants.find((v) => v.id === stored.get(experiment.id));
+    // Stored variant removed from the catalog -> user sits this experiment out
+    if (stored.has(experiment.id) && !storedVariant) continue;
+
+    const variant = storedVariant || pickVariant(experiment, userId);
+    assignments[experiment.id] = variant.id;
+    if (!storedVariant && !error) inserts.push({ user_id: userId, experiment_id: experiment.id, variant: variant.id });
+  }
+
+  let insertErr = null;
+  if (inserts.length) {
+    const res = await supabase
+      .from("experiment_assignments")
+      .upsert(inserts, { onConflict: "user_id,experiment_id", ignoreDuplicates: true });
+    insertErr = res.error || null;
+  }
+
+  return { assignments, config: configFor(assignments), error: error || insertErr };
+}
+
+// Merged overrides of the assigned variants
+function configFor(assignments) {
+  const config = {};
+  for (const [experimentId, variantId] of Object.entries(assignments || {})) {
+    const variant = getExperiment(experimentId)?.variants.find((v) => v.id === variantId);
+    for (const [key, value] of Object.entries(variant?.config || {})) {
+      if (key in config) {
+        console.warn(`[experiments] ${experimentId} overrides ${key} again, ignored`);
+        continue;
+      }
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
+/**
+ * One experiment_exposure event per assigned experiment (the call really ran with it).
+ */
+async function logExposures(supabase, userId, assignments, { callId = null } = {}) {
+  const rows = Object.entries(assignments || {}).map(([experiment, variant]) => ({
+    user_id: userId,
+    event_name: EXPOSURE_EVENT,
+    meta: { experiment, variant, call_id: callId },
+  }));
+  if (!rows.length) return { error: null };
+
+  const { error } = await supabase.from("analytics_events").insert(rows);
+  return { error: error || null };
+}
+
+module.exports = {
+  EXPERIMENTS,
+  EXPOSURE_EVENT,
+  getExperiment,
+  runningExperiments,
+  pickVariant,
+  assignExperiments,
+  configFor,
+  logExposures,
+};
@@ -0,0 +1,189 @@
+// api/_lib/intents.js
+// Session intents the user can pick before a call ("what do you want to do today?").
+// Each intent favors one thinking mode of the core style and adds its own part
+// to the thinking report. Adding an intent = adding an entry here.
+//
+// Per entry:
+// - label         shown to the user and used in the prompt
+// - mode          thinking mode of the core style it favors
+// - opening       what Sophie asks about first when the user typed no topic
+// - report        key of the extra report section (conversation_outputs.intent_report)
+// - reportPrompt  what the report model should put into that section
+// - reportSchema  JSON schema of that section (strict structured output: all keys required)
+
+const TOPIC_MAX_CHARS = 200;
+
+const INTENTS = {
+  explore: {
+    id: "explore",
+    label: "explore an idea",
+    mode: "EXPLORER MODE",
+    opening: "which idea is on their mind",
+    report: "idea_map",
+    reportPrompt:
+      "Because the user wanted to explore an idea, add idea_map: the core idea, the directions that came up " +
+      "(each with why it is interesting) and the most promising next experiment.",
+    reportSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        core_idea: { type: "string" },
+        directions: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              direction: { type: "string" },
+              why_interesting: { type: "string" },
+            },
+            required: ["direction", "why_interesting"],
+          },
+        },
+        next_experiment: { type: "string" },
+      },
+      required: ["core_idea", "directions", "next_experiment"],
+    },
+  },
+  decide: {
+    id: "decide",
+    label: "make a decision",
+    mode: "STRATEGIST MODE",
+    opening: "which decision they are facing",
+    report: "decision_matrix",
+    reportPrompt:
+      "Because the user wanted to make a decision, add decision_matrix: the decision in one question, " +
+      "the options that were discussed with their pros and cons, the criteria that mattered " +
+      "and where the user is leaning (empty if undecided). Only options the user actually considered.",
+    reportSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        question: { type: "string" },
+        options: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              option: { type: "string" },
+              pros: { type: "array", items: { type: "string" } },
+              cons: { type: "array", items: { type: "string" } },
+            },
+            required: ["option", "pros", "cons"],
+          },
+        },
+        criteria: { type: "array", items: { type: "string" } },
+        leaning: { type: "string" },
+      },
+      required: ["question", "options", "criteria", "leaning"],
+    },
+  },
+  reflect: {
+    id: "reflect",
+    label: "reflect on something",
+    mode: "REFLECTION MODE",
+    opening: "what they want to look back on",
+    report: "reflection",
+    reportPrompt:
+      "Because the user wanted to reflect on something, add reflection: what happened (briefly), " +
+      "the feelings the user named, what it seems to mean to them and what they want to keep in mind.",
+    reportSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        what_happened: { type: "string" },
+        feelings: { type: "array", items: { type: "string" } },
+        meaning: { type: "string" },
+        keep_in_mind: { type: "string" },
+      },
+      required: ["what_happened", "feelings", "meaning", "keep_in_mind"],
+    },
+  },
+};
+
+function isSupportedIntent(id) {
+  return Object.prototype.hasOwnProperty.call(INTENTS, String(id || "").toLowerCase().trim());
+}
+
+// Supported intent id or "" (no intent)
+function normalizeIntent(id) {
+  const v = String(id || "").toLowerCase().trim();
+  return isSupportedIntent(v) ? v : "";
+}
+
+function getIntent(id) {
+  return INTENTS[normalizeIntent(id)] || null;
+}
+
+// Typed by the user: one line, no control characters, short
+function sanitizeTopic(value) {
+  return String(value || "")
+    .replace(/[\u0000-\u001f\u007f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, TOPIC_MAX_CHARS);
+}
+
+const cleanText = (v, max) => String(v || "").replace(/\s+/g, " ").trim().slice(0, max);
+const cleanList = (v, maxItems, maxChars) =>
+  (Array.isArray(v) ? v : []).map((x) => cleanText(x, maxChars)).filter(Boolean).slice(0, maxItems);
+
+/**
+ * Model output -> stored intent report ({ type, ...section }) or null if empty.
+ */
+function sanitizeIntentReport(intentId, raw) {
+  const intent = getIntent(intentId);
+  if (!intent || !raw || typeof raw !== "object") return null;
+
+  let section = null;
+
+  if (intent.id === "explore") {
+    const directions = (Array.isArray(raw.directions) ? raw.directions : [])
+      .map((d) => ({ direction: cleanText(d?.direction, 200), why_interesting: cleanText(d?.why_interesting, 300) }))
+      .filter((d) => d.direction)
+      .slice(0, 6);
+    section = {
+      core_idea: cleanText(raw.core_idea, 300),
+      directions,
+      next_experiment: cleanText(raw.next_experiment, 300),
+    };
+    if (!section.core_idea && !directions.length) return null;
+  }
+
+  if (intent.id === "decide") {
+    const options = (Array.isArray(raw.options) ? raw.options : [])
+      .map((o) => ({ option: cleanText(o?.option, 200), pros: cleanList(o?.pros, 6, 200), cons: cleanList(o?.cons, 6, 200) }))
+      .filter((o) => o.option)
+      .slice(0, 5);
+    section = {
+      question: cleanText(raw.question, 300),
+      options,
+      criteria: cleanList(raw.criteria, 6, 200),
+      leaning: cleanText(raw.leaning, 300),
+    };
+    if (!section.question && !options.length) return null;
+  }
+
+  if (intent.id === "reflect") {
+    section = {
+      what_happened: cleanText(raw.what_happened, 400),
+      feelings: cleanList(raw.feelings, 6, 80),
+      meaning: cleanText(raw.meaning, 400),
+      keep_in_mind: cleanText(raw.keep_in_mind, 300),
+    };
+    if (!section.what_happened && !section.meaning) return null;
+  }
+
+  return section ? { type: intent.report, ...section } : null;
+}
+
+module.exports = {
+  INTENTS,
+  TOPIC_MAX_CHARS,
+  isSupportedIntent,
+  normalizeIntent,
+  getIntent,
+  sanitizeTopic,
+  sanitizeIntentReport,
+};
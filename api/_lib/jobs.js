@@ -0,0 +1,166 @@
+// api/_lib/jobs.js
+// Durable background jobs (background_jobs): a route queues a job, the worker
+// (/api/admin/run-jobs) claims it with a lease, runs it and either finishes it or
+// puts it back with exponential backoff. After max_attempts the job is dead
+// (dead letter) and stays there until it is queued again.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const LEASE_SECONDS = 300; // longer than any function run; an expired lease = the run died
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 30 * 60;
+const KICK_TIMEOUT_MS = 1500;
+
+const JOB_STATUSES = ["queued", "running", "done", "dead"];
+
+// 30s, 60s, 120s, ... capped at 30 min
+function retryDelaySeconds(attempts) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** (n - 1));
+}
+
+function errorText(error) {
+  return String(error?.message || error || "Unknown error").slice(0, 2000);
+}
+
+/**
+ * Queue a job for a session (one per type + session). Service role only: the caller
+ * has already checked the session belongs to the user (background_job_enqueue takes
+ * the job's user_id from the session).
+ * An existing queued / running job is returned as it is, a done or dead one is queued again.
+ */
+async function enqueueJob(supabase, { type, sessionId, payload = {}, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const { data, error } = await supabase.rpc("background_job_enqueue", {
+    p_type: type,
+    p_session_id: sessionId,
+    p_payload: payload,
+    p_max_attempts: maxAttempts,
+  });
+  if (error) return { error, job: null };
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row?.job_id) return { error: new Error("background_job_enqueue returned no job"), job: null };
+  return { error: null, job: { id: row.job_id, type, status: row.job_status, attempts: row.job_attempts } };
+}
+
+/**
+ * Next due job (or the given one, if due) with a fresh lease; job = null when there is nothing to do.
+ * expired: jobs whose last attempt died with its lease and had no attempt left; the claim
+ * moved them to dead, the caller runs their dead-letter handling.
+ */
+async function claimJob(supabase, { jobId = null, leaseSeconds = LEASE_SECONDS } = {}) {
+  const { data, error } = await supabase.rpc("background_job_claim", {
+    p_job_id: jobId,
+    p_lease_seconds: leaseSeconds,
+  });
+  if (error) return { error, job: null, expired: [] };
+
+  const rows = (Array.isArray(data) ? data : [data]).filter((r) => r?.id);
+  return {
+    error: null,
+    job: rows.find((r) => r.status === "running") || null,
+    expired: rows.filter((r) => r.status === "dead"),
+  };
+}
+
+// Only the attempt holding the lease may settle the job (a timed-out run may still finish late)
+function settleJob(supabase, job, fields) {
+  return supabase
+    .from("background_jobs")
+    .update({ ...fields, locked_until: null, updated_at: new Date().toISOString() })
+    .eq("id", job.id)
+    .eq("status", "running")
+    .eq("attempts", job.attempts)
+    .select("id, status, attempts, run_after")
+    .maybeSingle();
+}
+
+async function completeJob(supabase, job, result = null) {
+  const { data, error } = await settleJob(supabase, job, {
+    status: "done",
+    result,
+    last_error: null,
+    finished_at: new Date().toISOString(),
+  });
+  return { error, settled: !!data };
+}
+
+/**
+ * Failed attempt: back to queued with backoff, or dead once max_attempts is used up.
+ */
+async function failJob(supabase, job, error) {
+  const dead = job.attempts >= job.max_attempts;
+  const nowMs = Date.now();
+  const fields = dead
+    ? { status: "dead", last_error: errorText(error), finished_at: new Date(nowMs).toISOString() }
+    : {
+        status: "queued",
+        last_error: errorText(error),
+        run_after: new Date(nowMs + retryDelaySeconds(job.attempts) * 1000).toISOString(),
+      };
+
+  const { data, error: upErr } = await settleJob(supabase, job, fields);
+  return { error: upErr, settled: !!data, dead, runAfter: data?.run_after || null };
+}
+
+// Dead job -> queued again with fresh attempts (operator, after a fix)
+async function requeueJob(supabase, jobId) {
+  const nowIso = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("background_jobs")
+    .update({
+      status: "queued",
+      attempts: 0,
+      run_after: nowIso,
+      locked_until: null,
+      finished_at: null,
+      updated_at: nowIso,
+    })
+    .eq("id", jobId)
+    .eq("status", "dead")
+    .select("id, type, status, attempts")
+    .maybeSingle();
+  return { error, job: data || null };
+}
+
+/**
+ * Ask the worker to run one job right away instead of waiting for the next scheduled run.
+ * Goes to the configured APP_URL only, never to a host taken from the request (the admin
+ * secret travels along). Without APP_URL the scheduled run picks the job up.
+ * Best effort and never throws: we only wait until the worker has the request, the worker
+ * keeps running on its own.
+ */
+async function kickWorker(jobId) {
+  const secret = process.env.ADMIN_API_SECRET || "";
+  const baseUrl = process.env.APP_URL || "";
+  if (!secret || !baseUrl || !jobId) return false;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), KICK_TIMEOUT_MS);
+  try {
+    await fetch(`${String(baseUrl).replace(/\/+$/, "")}/api/admin/run-jobs`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${secret}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ job_id: jobId }),
+      signal: controller.signal,
+    });
+    return true;
+  } catch (e) {
+    if (e?.name === "AbortError") return true;
+    console.warn("job worker kick failed:", e?.message || e);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  DEFAULT_MAX_ATTEMPTS,
+  retryDelaySeconds,
+  enqueueJob,
+  claimJob,
+  completeJob,
+  failJob,
+  requeueJob,
+  kickWorker,
+};
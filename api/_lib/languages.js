@@ -0,0 +1,268 @@
+// api/_lib/languages.js
+// Language registry: everything language-specific in one entry per language.
+// Adding a language = adding an entry here.
+//
+// Per entry:
+// - promptName       language name used in Sophie's prompt ("Speak German by default.", see prompts.js)
+// - names            words that name THIS language (in any supported language), e.g. "deutsch", "german"
+// - switchPhrases    how a user asks for a language IN this language; {lang} = names of the target
+// - namePatterns     "my name is X" / "call me X" phrasing, capture group = the name
+// - nicknameWords    "nickname: X" keyword fallback
+// - agePatterns      "I'm 34" / "34 years old" phrasing, {age} = the number
+// - stopwords        frequent words that are (nearly) unique to this language -> spoken-language detection
+
+const NAME_CHARS = "A-Za-zÀ-ÖØ-öø-ÿ'\\-";
+// Capture + end of word (\\b would cut "José" after the "s")
+const NAME = `([${NAME_CHARS}]{2,30})(?![${NAME_CHARS}])`;
+
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: {
+    code: "en",
+    promptName: "English",
+    names: ["english", "englisch", "anglais", "inglés", "ingles"],
+    switchPhrases: ["\\b(?:speak|talk|continue|switch)\\b.*\\b{lang}\\b", "\\b{lang}\\b.*\\bplease\\b"],
+    namePatterns: {
+      first: [`\\b(?:my name is|i am|i'm|call me)\\s+${NAME}`],
+      nick: [`\\b(?:nickname is|you can call me|people call me)\\s+${NAME}`],
+    },
+    nicknameWords: ["nickname"],
+    agePatterns: ["\\b(?:i['’]?m|i am)\\s+{age}\\b", "\\b{age}\\s*years old\\b"],
+    stopwords: [
+      "the", "and", "is", "are", "you", "that", "this", "what", "with", "have", "just", "don't", "i'm", "it's",
+      "my", "about", "really", "think", "because", "but", "not", "would", "there", "they", "know", "like", "yeah", "want",
+    ],
+  },
+  de: {
+    code: "de",
+    promptName: "German",
+    names: ["german", "deutsch", "allemand", "alemán", "aleman"],
+    switchPhrases: [
+      "\\b(?:sprich|sprechen|rede|reden|wechsel\\w*)\\b.*\\b{lang}\\b",
+      "\\bauf {lang}\\b",
+      "\\b{lang}\\b.*\\bbitte\\b",
+      "\\bbitte {lang}\\b",
+    ],
+    namePatterns: {
+      first: [`\\b(?:ich hei(?:ß|ss)e|ich bin|mein name ist)\\s+${NAME}`],
+      nick: [`\\b(?:mein\\s+spitzname\\s+ist|spitzname\\s*ist|nenn(?:t)?\\s*mich|du kannst mich)\\s+${NAME}`],
+    },
+    nicknameWords: ["spitzname"],
+    agePatterns: ["\\bich bin\\s+{age}\\b", "\\b{age}\\s*jahre alt\\b"],
+    stopwords: [
+      "und", "ich", "nicht", "ist", "das", "der", "ein", "eine", "mit", "auch", "aber", "wenn", "dass", "mein",
+      "meine", "wir", "sie", "bin", "habe", "noch", "schon", "weil", "sehr", "jetzt", "einfach", "irgendwie", "ja", "oder",
+    ],
+  },
+  fr: {
+    code: "fr",
+    promptName: "French",
+    names: ["french", "französisch", "franzoesisch", "français", "francais", "francés", "frances"],
+    switchPhrases: [
+      "\\b(?:parle|parlez|parler|parlons|passe|passons|continue|continuons)\\b.*\\b{lang}\\b",
+      "\\ben {lang}\\b",
+      "\\b{lang}\\b.*\\bs'il (?:te|vous) pla[iî]t",
+    ],
+    namePatterns: {
+      first: [`\\b(?:je m'appelle|mon nom est|mon prénom est|appelle-moi)\\s+${NAME}`],
+      nick: [`\\b(?:mon surnom est|tu peux m'appeler|on m'appelle)\\s+${NAME}`],
+    },
+    nicknameWords: ["surnom"],
+    agePatterns: ["\\bj['’]ai\\s+{age}\\s*ans\\b"],
+    stopwords: [
+      "je", "et", "les", "des", "une", "est", "pas", "qui", "mais", "avec", "pour", "dans", "sur", "moi",
+      "suis", "c'est", "j'ai", "très", "vraiment", "parce", "aussi", "mon", "ma", "nous", "vous", "ça", "bien", "oui",
+    ],
+  },
+  es: {
+    code: "es",
+    promptName: "Spanish",
+    names: ["spanish", "spanisch", "espagnol", "español", "espanol"],
+    switchPhrases: [
+      "\\b(?:habla|hablas|hablar|hablemos|cambia|cambiemos|sigue|sigamos)\\b.*\\b{lang}\\b",
+      "\\ben {lang}\\b",
+      "\\b{lang}\\b.*\\bpor favor\\b",
+    ],
+    namePatterns: {
+      first: [`\\b(?:me llamo|mi nombre es|llámame|llamame)\\s+${NAME}`],
+      nick: [`\\b(?:mi apodo es|puedes llamarme|me dicen)\\s+${NAME}`],
+    },
+    nicknameWords: ["apodo"],
+    agePatterns: ["\\btengo\\s+{age}\\s*años\\b"],
+    stopwords: [
+      "y", "el", "los", "las", "pero", "con", "para", "por", "muy", "estoy", "soy", "tengo", "mi", "yo",
+      "una", "del", "como", "porque", "también", "pues", "sí", "eso", "esto", "bueno", "creo", "quiero", "hay", "está",
+    ],
+  },
+};
+
+const escapeRe = (s) => String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function languageCodes() {
+  return Object.keys(LANGUAGES);
+}
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, String(code || "").toLowerCase().trim());
+}
+
+// Supported code or the fallback (default: English)
+function normalizeLanguage(code, fallback = DEFAULT_LANGUAGE) {
+  const c = String(code || "").toLowerCase().trim();
+  return isSupportedLanguage(c) ? c : fallback;
+}
+
+function getLanguage(code) {
+  return LANGUAGES[normalizeLanguage(code)];
+}
+
+/**
+ * Languages the user explicitly asked for in their text (lowercase USER turns).
+ * Every phrasing language is checked against every target language,
+ * so "bitte auf Englisch" and "speak German please" both count.
+ */
+function requestedLanguages(userText) {
+  const text = String(userText || "")
+    .toLowerCase()
+    .replace(/[’]/g, "'");
+  if (!text) return [];
+
+  const phrasings = Object.values(LANGUAGES).flatMap((def) => def.switchPhrases);
+  return languageCodes().filter((code) => {
+    const lang = `(?:${LANGUAGES[code].names.map(escapeRe).join("|")})`;
+    return phrasings.some((p) => new RegExp(p.replaceAll("{lang}", lang), "i").test(text));
+  });
+}
+
+// One explicit request -> its code, none or conflicting requests -> ""
+function explicitLanguageRequest(userText) {
+  const requested = requestedLanguages(userText);
+  return requested.length === 1 ? requested[0] : "";
+}
+
+/**
+ * Deterministic name fallback from USER text: { first, nick }.
+ * Checks the languages in registry order, first match wins.
+ */
+function extractNameFromText(userText) {
+  const t = String(userText || "")
+    .trim()
+    .replace(/[“”„]/g, '"')
+    .replace(/[’]/g, "'");
+  if (!t) return { first: "", nick: "" };
+
+  const pickWord = (s) => {
+    const m = String(s || "")
+      .trim()
+      .match(new RegExp(`^[${NAME_CHARS}]{2,30}$`));
+    return m ? m[0] : "";
+  };
+
+  const firstMatch = (kind) => {
+    for (const def of Object.values(LANGUAGES)) {
+      for (const p of def.namePatterns[kind] || []) {
+        const m = t.match(new RegExp(p, "i"));
+        if (m && m[1]) return m[1];
+      }
+    }
+    return "";
+  };
+
+  const first = pickWord(firstMatch("first"));
+  let nick = pickWord(firstMatch("nick"));
+
+  if (!nick) {
+    const words = Object.values(LANGUAGES).flatMap((def) => def.nicknameWords).map(escapeRe);
+    const m = t.match(new RegExp(`\\b(?:${words.join("|")})\\b[:\\s-]*${NAME}`, "i"));
+    if (m) nick = pickWord(m[1]);
+  }
+
+  return { first, nick };
+}
+
+// Spoken-language detection: share of registry stopwords per language
+const DETECT_MIN_WORDS = 25;
+const DETECT_MIN_HITS = 6;
+const DETECT_MIN_MARGIN = 2; // best language needs 2x the hits of the runner-up
+
+// Sessions in a row with the same spoken language before preferred_language follows it
+function detectSessionsRequired() {
+  const n = parseInt(process.env.LANGUAGE_DETECT_SESSIONS || "3", 10);
+  return Number.isFinite(n) && n >= 1 ? n : 3;
+}
+
+/**
+ * Whether the sessions before this one (newest first) were all spoken in `code`:
+ * together with the current session that makes detectSessionsRequired() in a row.
+ * A session without a detected language breaks the run; a failed lookup counts as no.
+ */
+async function spokenLanguageIsConsistent(supabase, { userId, sessionId, code }) {
+  const needed = detectSessionsRequired() - 1;
+  if (needed <= 0) return true;
+
+  // The current session row exists already (stored by memory-update), so leave it out
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .select("spoken_language")
+    .eq("user_id", userId)
+    .neq("id", sessionId)
+    .order("session_date", { ascending: false })
+    .limit(needed);
+  if (error) {
+    console.error("spoken_language lookup failed:", error);
+    return false;
+  }
+  const earlier = Array.isArray(data) ? data : [];
+  return earlier.length === needed && earlier.every((r) => r.spoken_language === code);
+}
+
+/**
+ * Which language the text is written in: { code, hits, words } or null if too short / unclear.
+ * Meant for the USER turns of one session (what the user actually spoke).
+ */
+function detectLanguage(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/[’]/g, "'")
+    .split(/[^\p{L}\p{N}']+/u)
+    .map((w) => w.replace(/^'+|'+$/g, ""))
+    .filter(Boolean);
+  if (words.length < DETECT_MIN_WORDS) return null;
+
+  const scores = languageCodes()
+    .map((code) => {
+      const stop = new Set(LANGUAGES[code].stopwords || []);
+      return { code, hits: words.filter((w) => stop.has(w)).length };
+    })
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, second] = scores;
+  if (!best || best.hits < DETECT_MIN_HITS) return null;
+  if (second && best.hits < second.hits * DETECT_MIN_MARGIN) return null;
+
+  return { code: best.code, hits: best.hits, words: words.length };
+}
+
+// "I'm 34" / "34 years old" in any language; age = number or "\\d{1,3}"
+function agePatterns(age = "\\d{1,3}") {
+  return Object.values(LANGUAGES)
+    .flatMap((def) => def.agePatterns)
+    .map((p) => new RegExp(p.replaceAll("{age}", String(age)), "i"));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  languageCodes,
+  isSupportedLanguage,
+  normalizeLanguage,
+  getLanguage,
+  requestedLanguages,
+  explicitLanguageRequest,
+  extractNameFromText,
+  agePatterns,
+  detectLanguage,
+  detectSessionsRequired,
+  spokenLanguageIsConsistent,
+};
@@ -0,0 +1,136 @@
+// api/_lib/ledger.js
+// Usage ledger access. Every grant and debit goes through the atomic database
+// functions (usage_grant / usage_debit / usage_balance); balances are always
+// derived from usage_ledger rows, never computed and written back from JS.
+
+function firstRow(data) {
+  return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+function toBalance(row) {
+  const free = Math.max(0, row?.free_seconds ?? 0);
+  const paid = Math.max(0, row?.paid_seconds ?? 0);
+  const topup = Math.max(0, row?.topup_seconds ?? 0);
+  return {
+    free_seconds: free,
+    paid_seconds: paid,
+    topup_seconds: topup,
+    total_seconds: free + paid + topup,
+  };
+}
+
+async function getBalance(supabase, userId) {
+  const { data, error } = await supabase.rpc("usage_balance", { p_user_id: userId });
+  if (error) return { error };
+  return { error: null, balance: toBalance(firstRow(data)) };
+}
+
+/**
+ * Debit free -> paid -> topup in one transaction.
+ * The same ref (e.g. a call id) is only ever debited once.
+ */
+async function debitUsage(supabase, userId, seconds, { reason = "call", ref = null } = {}) {
+  const { data, error } = await supabase.rpc("usage_debit", {
+    p_user_id: userId,
+    p_seconds: Math.max(0, Math.round(Number(seconds || 0))),
+    p_reason: reason,
+    p_ref: ref,
+  });
+  if (error) return { error };
+
+  const row = firstRow(data);
+  return {
+    error: null,
+    charged_seconds: row?.charged_seconds ?? 0,
+    buckets: {
+      free: row?.free_charged ?? 0,
+      paid: row?.paid_charged ?? 0,
+      topup: row?.topup_charged ?? 0,
+    },
+    balance: toBalance(row),
+  };
+}
+
+/**
+ * Grant seconds to the "free" or "paid" bucket (top-up packs: grantTopup).
+ * replace=true expires what is left in the bucket first (plan renewal / cancel).
+ * The same (bucket, reason, ref) is only ever booked once.
+ */
+async function grantUsage(supabase, userId, bucket, seconds, { reason, ref = null, replace = false } = {}) {
+  const { data, error } = await supabase.rpc("usage_grant", {
+    p_user_id: userId,
+    p_bucket: bucket,
+    p_seconds: Math.max(0, Math.round(Number(seconds || 0))),
+    p_reason: reason,
+    p_ref: ref,
+    p_replace: !!replace,
+  });
+  if (error) return { error };
+
+  const row = firstRow(data);
+  return { error: null, granted: row?.granted === true, balance: toBalance(row) };
+}
+
+/**
+ * Signed correction of the "free" or "paid" bucket (pro-rata plan change).
+ * Negative values expire at most what is left. Same (bucket, reason, ref) only once.
+ */
+async function adjustUsage(supabase, userId, bucket, seconds, { reason, ref = null } = {}) {
+  const { data, error } = await supabase.rpc("usage_adjust", {
+    p_user_id: userId,
+    p_bucket: bucket,
+    p_seconds: Math.round(Number(seconds || 0)),
+    p_reason: reason,
+    p_ref: ref,
+  });
+  if (error) return { error };
+
+  const row = firstRow(data);
+  return { error: null, adjusted_seconds: row?.adjusted_seconds ?? 0, balance: toBalance(row) };
+}
+
+/**
+ * Grant one top-up pack. Each pack is its own grant with purchase date and
+ * optional expiry; debits use the oldest unexpired pack first.
+ */
+async function grantTopup(supabase, userId, seconds, { packMinutes = null, ref = null, expiresAt = null } = {}) {
+  const { data, error } = await supabase.rpc("usage_grant_topup", {
+    p_user_id: userId,
+    p_seconds: Math.max(0, Math.round(Number(seconds || 0))),
+    p_pack_minutes: Number.isFinite(Number(packMinutes)) ? Number(packMinutes) : null,
+    p_ref: ref,
+    p_expires_at: expiresAt,
+  });
+  if (error) return { error };
+
+  const row = firstRow(data);
+  return { error: null, granted: row?.granted === true, pack_id: row?.pack_id || null, balance: toBalance(row) };
+}
+
+// Usable packs (remaining > 0, not expired), oldest first
+async function getTopupPacks(supabase, userId) {
+  const { data, error } = await supabase.rpc("usage_topup_packs", { p_user_id: userId });
+  if (error) return { error };
+
+  const packs = (Array.isArray(data) ? data : [])
+    .filter((p) => !p.is_expired && (p.seconds_remaining ?? 0) > 0)
+    .map((p) => ({
+      pack_id: p.pack_id,
+      pack_minutes: p.pack_minutes ?? null,
+      seconds_total: p.seconds_total ?? 0,
+      seconds_remaining: p.seconds_remaining ?? 0,
+      purchased_at: p.purchased_at || null,
+      expires_at: p.expires_at || null,
+    }));
+
+  return { error: null, packs };
+}
+
+module.exports = {
+  getBalance,
+  debitUsage,
+  grantUsage,
+  adjustUsage,
+  grantTopup,
+  getTopupPacks,
+};
@@ -0,0 +1,271 @@
+// api/_lib/mail.js
+// Outgoing mail behind one interface: transport.send(message) -> { id }.
+// Transports (MAIL_TRANSPORT):
+// - smtp     SMTP_HOST, SMTP_PORT (465 = TLS from the start, else STARTTLS when offered),
+//            SMTP_USER / SMTP_PASS (AUTH PLAIN, only over TLS unless SMTP_INSECURE=true),
+//            no dependencies
+// - file     writes each mail as .eml into MAIL_FILE_DIR (default: <tmpdir>/sophie-mail)
+// - console  logs the mail, whole body included
+// smtp is the default when SMTP_HOST is set. file / console are for local testing and
+// only used when MAIL_TRANSPORT names them; without either, createTransport throws.
+// Adding a transport = adding a factory to TRANSPORTS.
+//
+// message: { from, to, subject, text, html?, headers?: { name: value } }
+
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const tls = require("tls");
+
+const DEFAULT_FROM = "Sophie <sophie@meet-sophie.com>";
+const SMTP_TIMEOUT_MS = 15000;
+
+// ---------------------------
+// MIME
+// ---------------------------
+
+// RFC 2047 for non-ASCII header values (subject, display names)
+function encodeHeader(value) {
+  const v = String(value || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(v) ? v : `=?UTF-8?B?${Buffer.from(v, "utf8").toString("base64")}?=`;
+}
+
+// "Name <addr>" -> display name encoded, address untouched
+function encodeAddress(value) {
+  const m = String(value || "").match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (!m) return String(value || "").trim();
+  return m[1] ? `${encodeHeader(m[1].replace(/^"|"$/g, ""))} <${m[2]}>` : `<${m[2]}>`;
+}
+
+function addressOnly(value) {
+  const m = String(value || "").match(/<([^>]+)>/);
+  return (m ? m[1] : String(value || "")).trim();
+}
+
+const base64Body = (text) =>
+  Buffer.from(String(text || ""), "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+
+const withFrom = (message, env) => ({ ...message, from: message.from || env.MAIL_FROM || DEFAULT_FROM });
+
+/**
+ * message -> { id, raw } with raw as RFC 5322 text (CRLF line endings)
+ */
+function buildMessage(message) {
+  const from = message.from || DEFAULT_FROM;
+  const domain = addressOnly(from).split("@")[1] || "meet-sophie.com";
+  const id = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${encodeAddress(message.to)}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${id}`,
+    "MIME-Version: 1.0",
+    ...Object.entries(message.headers || {}).map(([k, v]) => `${k}: ${String(v).replace(/[\r\n]+/g, " ")}`),
+  ];
+
+  const textPart = ["Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: base64", "", base64Body(message.text)];
+
+  if (!message.html) {
+    return { id, raw: [...headers, ...textPart].join("\r\n") };
+  }
+
+  const boundary = `sophie-${crypto.randomBytes(12).toString("hex")}`;
+  const raw = [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(message.html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+
+  return { id, raw };
+}
+
+// ---------------------------
+// SMTP
+// ---------------------------
+
+// One connection per mail: the functions are short-lived, nothing to pool
+function smtpSend({ host, port, secure, insecure, user, pass }, envelope, raw) {
+  return new Promise((resolve, reject) => {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let encrypted = !!secure;
+    let buffer = "";
+    let waiting = null;
+    let done = false;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      reject(err);
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk.toString("utf8");
+      // A reply is complete when its last line is "NNN text" (not "NNN-text")
+      if (!buffer.endsWith("\r\n") || !waiting) return;
+      const lines = buffer.split("\r\n");
+      const last = lines[lines.length - 2];
+      if (!/^\d{3} /.test(last)) return;
+      const reply = { code: Number(last.slice(0, 3)), text: lines.slice(0, -1).join("\n") };
+      buffer = "";
+      const w = waiting;
+      waiting = null;
+      w(reply);
+    };
+
+    const attach = (s) => {
+      s.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error("SMTP timeout")));
+      s.on("data", onData);
+      s.on("error", fail);
+    };
+
+    const read = () => new Promise((r) => (waiting = r));
+
+    const command = async (line, expect) => {
+      const reply = read();
+      if (line !== null) socket.write(`${line}\r\n`);
+      const r = await reply;
+      if (!expect.includes(r.code)) throw new Error(`SMTP ${line ? line.split(" ")[0] : "greeting"} failed: ${r.text}`);
+      return r;
+    };
+
+    attach(socket);
+
+    (async () => {
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250]);
+
+      if (!secure && /\bSTARTTLS\b/i.test(ehlo.text)) {
+        await command("STARTTLS", [220]);
+        socket.removeListener("data", onData);
+        socket = tls.connect({ socket, servername: host });
+        attach(socket);
+        await new Promise((r, j) => {
+          socket.once("secureConnect", r);
+          socket.once("error", j);
+        });
+        encrypted = true;
+        ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250]);
+      }
+
+      if (user) {
+        // AUTH PLAIN is the password in base64: never in clear text unless explicitly allowed
+        if (!encrypted && !insecure) {
+          throw new Error("SMTP server does not offer STARTTLS, refusing AUTH without TLS (SMTP_INSECURE=true allows it)");
+        }
+        const token = Buffer.from(`\u0000${user}\u0000${pass || ""}`, "utf8").toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${envelope.from}>`, [250]);
+      await command(`RCPT TO:<${envelope.to}>`, [250, 251]);
+      await command("DATA", [354]);
+      // Dot-stuffing: lines starting with "." get a second one
+      const data = raw.replace(/\r\n\./g, "\r\n..").replace(/^\./, "..");
+      await command(`${data}${data.endsWith("\r\n") ? "" : "\r\n"}.`, [250]);
+      await command("QUIT", [221]).catch(() => {});
+
+      done = true;
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+function createSmtpTransport(env) {
+  const port = Number(env.SMTP_PORT) || 587;
+  const config = {
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    insecure: env.SMTP_INSECURE === "true", // local relays / test servers without TLS
+    user: env.SMTP_USER || "",
+    pass: env.SMTP_PASS || "",
+  };
+  if (!config.host) throw new Error("Missing SMTP_HOST");
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const msg = withFrom(message, env);
+      const { id, raw } = buildMessage(msg);
+      await smtpSend(config, { from: addressOnly(msg.from), to: addressOnly(msg.to) }, raw);
+      return { id };
+    },
+  };
+}
+
+// ---------------------------
+// File / console (local testing)
+// ---------------------------
+
+function createFileTransport(env) {
+  const dir = env.MAIL_FILE_DIR || path.join(os.tmpdir(), "sophie-mail");
+  return {
+    name: "file",
+    async send(message) {
+      const { id, raw } = buildMessage(withFrom(message, env));
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${id.slice(1, 9)}.eml`);
+      await fs.promises.writeFile(file, raw, "utf8");
+      console.log("[mail] written", { to: message.to, subject: message.subject, file });
+      return { id, file };
+    },
+  };
+}
+
+function createConsoleTransport(env) {
+  return {
+    name: "console",
+    async send(message) {
+      const { id } = buildMessage(withFrom(message, env));
+      console.log("[mail] console transport", {
+        id,
+        to: message.to,
+        subject: message.subject,
+        headers: message.headers || {},
+      });
+      console.log(message.text);
+      return { id };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+/**
+ * Transport from env (MAIL_TRANSPORT, default smtp when SMTP_HOST is set).
+ * Throws when mail is not configured, so nothing counts as sent.
+ */
+function createTransport(env = process.env) {
+  const name = String(env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "")).toLowerCase().trim();
+  if (!name) throw new Error("Mail is not configured: set SMTP_HOST or MAIL_TRANSPORT");
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return factory(env);
+}
+
+module.exports = {
+  TRANSPORTS,
+  createTransport,
+  buildMessage,
+};
@@ -0,0 +1,272 @@
+// api/_lib/memory-facts.js
+// Provenance + confidence per stored memory fact (memory_facts).
+// memory-update writes facts with the quoting user message as evidence,
+// /api/memory writes user-confirmed facts, session.js leaves out what is too uncertain.
+// Facts are versioned: a replaced value is closed (status past, valid_to) instead of deleted,
+// an extraction contradicting a confirmed value waits as "pending" for the user.
+
+const { clean } = require("./memory-rules");
+
+// Fields tracked per value; topics get one fact per topic
+const FACT_FIELDS = ["first_name", "preferred_name", "occupation", "age", "topics_like", "topics_avoid"];
+const LIST_FIELDS = new Set(["topics_like", "topics_avoid"]);
+
+// Confidence of a fact the user set in the memory editor
+const USER_CONFIDENCE = 1;
+
+const OPEN_STATUSES = ["current", "pending"];
+
+// What happens when an extraction contradicts the stored value:
+//   keep_both -> add it next to the stored ones (lists only)
+//   replace   -> new value wins, the old one becomes history
+//   flag      -> keep the stored value, store the new one as pending for the user
+// Fields the user set or cleared in the memory editor (confirmed_fields) always
+// use "flag"; these rules only apply to values the user has not confirmed.
+const CONFLICT_RULES = {
+  first_name: "replace",
+  preferred_name: "replace",
+  occupation: "replace",
+  age: "replace",
+  topics_like: "keep_both",
+  topics_avoid: "keep_both",
+};
+
+function conflictRuleFor(field, { confirmed = false } = {}) {
+  if (confirmed) return "flag";
+  return CONFLICT_RULES[field] || "flag";
+}
+
+function minPromptConfidence() {
+  const v = Number(process.env.MEMORY_MIN_CONFIDENCE ?? "0.6");
+  return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 0.6;
+}
+
+function factKey(value) {
+  return clean(value).toLowerCase();
+}
+
+// Current profile values of the tracked fields as [{ field, value }]
+function factValuesOf(profile) {
+  const out = [];
+  for (const field of FACT_FIELDS) {
+    const v = profile?.[field];
+    if (LIST_FIELDS.has(field)) {
+      for (const item of Array.isArray(v) ? v : []) if (clean(item)) out.push({ field, value: clean(item) });
+    } else if (v !== null && v !== undefined && clean(v)) {
+      out.push({ field, value: clean(v) });
+    }
+  }
+  return out;
+}
+
+async function loadMemoryFacts(supabase, userId, { statuses = OPEN_STATUSES } = {}) {
+  const { data, error } = await supabase
+    .from("memory_facts")
+    .select(
+      "id, field, value, value_key, confidence, source, source_session_id, source_seq, evidence, " +
+        "status, valid_from, valid_to, extracted_at"
+    )
+    .eq("user_id", userId)
+    .in("status", statuses)
+    .order("valid_from", { ascending: false });
+
+  if (error) return { error };
+  return { error: null, facts: Array.isArray(data) ? data : [] };
+}
+
+async function updateFact(supabase, id, patch) {
+  const { error } = await supabase.from("memory_facts").update(patch).eq("id", id);
+  return error || null;
+}
+
+/**
+ * Bring memory_facts in line with the profile that was just written.
+ * - current facts whose value is no longer in the profile are closed
+ *   (closeAs "past" = it changed, "rejected" = it was wrong)
+ * - pending facts whose value made it into the profile become current
+ * - pending facts of settleFields that did not make it are rejected (user decided)
+ * - newFacts ({ field, value, confidence, source, status?, source_session_id, source_seq, evidence })
+ *   are written; status "pending" = contradicts a confirmed value.
+ *   An extraction never replaces a fact the user confirmed, and a value the
+ *   user rejected is not proposed again.
+ */
+async function syncMemoryFacts(supabase, userId, profile, newFacts = [], { closeAs = "past", settleFields = [] } = {}) {
+  const { facts: loaded, error: loadErr } = await loadMemoryFacts(supabase, userId, {
+    statuses: [...OPEN_STATUSES, "rejected"],
+  });
+  if (loadErr) return { error: loadErr };
+
+  const nowIso = new Date().toISOString();
+  const keyOf = (field, value) => `${field}\u0000${factKey(value)}`;
+  const current = new Set(factValuesOf(profile).map((f) => keyOf(f.field, f.value)));
+  const rejected = new Set(loaded.filter((f) => f.status === "rejected").map((f) => `${f.field}\u0000${f.value_key}`));
+  const open = new Map(
+    loaded.filter((f) => OPEN_STATUSES.includes(f.status)).map((f) => [`${f.field}\u0000${f.value_key}`, f])
+  );
+
+  let closed = 0;
+  for (const [key, f] of open) {
+    if (!FACT_FIELDS.includes(f.field)) continue;
+    const inProfile = current.has(key);
+    let patch = null;
+
+    if (f.status === "current" && !inProfile) {
+      patch = { status: closeAs === "rejected" ? "rejected" : "past", valid_to: nowIso, updated_at: nowIso };
+      closed += 1;
+    } else if (f.status === "pending" && inProfile) {
+      patch = { status: "current", valid_from: nowIso, updated_at: nowIso };
+    } else if (f.status === "pending" && settleFields.includes(f.field)) {
+      patch = { status: "rejected", valid_to: nowIso, updated_at: nowIso };
+    }
+
+    if (!patch) continue;
+    const error = await updateFact(supabase, f.id, patch);
+    if (error) return { error };
+
+    if (patch.status === "current") open.set(key, { ...f, ...patch });
+    else open.delete(key);
+  }
+
+  const rows = (Array.isArray(newFacts) ? newFacts : [])
+    .filter((f) => f && FACT_FIELDS.includes(f.field) && clean(f.value))
+    .map((f) => ({ ...f, status: f.status === "pending" ? "pending" : "current" }))
+    .filter((f) => (f.status === "current") === current.has(keyOf(f.field, f.value)))
+    .filter((f) => f.status === "current" || !rejected.has(keyOf(f.field, f.value)))
+    .filter((f) => f.source === "user" || open.get(keyOf(f.field, f.value))?.source !== "user")
+    .map((f) => ({
+      user_id: userId,
+      field: f.field,
+      value: clean(f.value).slice(0, 200),
+      value_key: factKey(f.value).slice(0, 200),
+      confidence: Math.min(1, Math.max(0, Number(f.confidence) || 0)),
+      source: f.source === "user" ? "user" : "extraction",
+      status: f.status,
+      source_session_id: f.source_session_id || null,
+      source_seq: Number.isInteger(f.source_seq) ? f.source_seq : null,
+      evidence: f.evidence ? clean(f.evidence).slice(0, 300) : null,
+      extracted_at: nowIso,
+      updated_at: nowIso,
+    }));
+
+  // One row per (field, value) even if the caller passed duplicates
+  const unique = [...new Map(rows.map((r) => [`${r.field}\u0000${r.value_key}`, r])).values()];
+
+  const inserts = [];
+  for (const row of unique) {
+    const prev = open.get(`${row.field}\u0000${row.value_key}`);
+    if (!prev) {
+      inserts.push({ ...row, valid_from: nowIso });
+      continue;
+    }
+    // Same value seen again: refresh provenance, keep valid_from
+    const { user_id, field, value_key, ...patch } = row;
+    const error = await updateFact(supabase, prev.id, patch);
+    if (error) return { error };
+  }
+
+  if (inserts.length) {
+    const { error } = await supabase.from("memory_facts").insert(inserts);
+    if (error) return { error };
+  }
+
+  return {
+    error: null,
+    closed,
+    written: unique.length,
+    pending: unique.filter((r) => r.status === "pending").length,
+  };
+}
+
+/**
+ * Reject pending facts of one field (optionally only one value) without touching the profile.
+ */
+async function rejectPendingFacts(supabase, userId, field, value = null) {
+  const nowIso = new Date().toISOString();
+  let q = supabase
+    .from("memory_facts")
+    .update({ status: "rejected", valid_to: nowIso, updated_at: nowIso })
+    .eq("user_id", userId)
+    .eq("field", field)
+    .eq("status", "pending");
+
+  if (value !== null && value !== undefined) q = q.eq("value_key", factKey(value));
+
+  const { data, error } = await q.select("id");
+  if (error) return { error };
+  return { error: null, rejected: Array.isArray(data) ? data.length : 0 };
+}
+
+/**
+ * Earlier values per field ({ field: [{ value, valid_from, valid_to }] }, newest first)
+ * for "you used to ..." in the prompt. Values that are current again or below
+ * minConfidence are left out.
+ */
+function factHistoryOf(facts, profile, minConfidence = minPromptConfidence(), perField = 2) {
+  const current = new Set(factValuesOf(profile).map((f) => `${f.field}\u0000${factKey(f.value)}`));
+  const out = {};
+
+  const past = (Array.isArray(facts) ? facts : [])
+    .filter((f) => f.status === "past" && FACT_FIELDS.includes(f.field))
+    .sort((a, b) => String(b.valid_to || "").localeCompare(String(a.valid_to || "")));
+
+  for (const f of past) {
+    if (Number(f.confidence) < minConfidence) continue;
+    if (current.has(`${f.field}\u0000${f.value_key}`)) continue;
+
+    const list = (out[f.field] = out[f.field] || []);
+    if (list.length >= perField || list.some((x) => factKey(x.value) === f.value_key)) continue;
+    list.push({ value: f.value, valid_from: f.valid_from || null, valid_to: f.valid_to || null });
+  }
+
+  return out;
+}
+
+/**
+ * Copy of profile without facts below minConfidence.
+ * Values without a fact row (written before provenance existed) are kept.
+ * topics_avoid is never dropped: avoiding a topic by mistake is harmless.
+ */
+function filterProfileByConfidence(profile, facts, minConfidence = minPromptConfidence()) {
+  const low = new Set(
+    (Array.isArray(facts) ? facts : [])
+      .filter((f) => (f.status || "current") === "current")
+      .filter((f) => f.field !== "topics_avoid" && Number(f.confidence) < minConfidence)
+      .map((f) => `${f.field}\u0000${f.value_key}`)
+  );
+
+  const isLow = (field, value) => low.has(`${field}\u0000${factKey(value)}`);
+  const out = { ...profile };
+  const dropped = [];
+
+  for (const field of FACT_FIELDS) {
+    const v = out[field];
+    if (LIST_FIELDS.has(field)) {
+      if (!Array.isArray(v)) continue;
+      out[field] = v.filter((item) => {
+        if (!isLow(field, item)) return true;
+        dropped.push({ field, value: item });
+        return false;
+      });
+    } else if (v !== null && v !== undefined && clean(v) && isLow(field, v)) {
+      dropped.push({ field, value: v });
+      out[field] = field === "age" ? null : "";
+    }
+  }
+
+  return { profile: out, dropped };
+}
+
+module.exports = {
+  FACT_FIELDS,
+  LIST_FIELDS,
+  USER_CONFIDENCE,
+  CONFLICT_RULES,
+  conflictRuleFor,
+  minPromptConfidence,
+  factKey,
+  loadMemoryFacts,
+  syncMemoryFacts,
+  rejectPendingFacts,
+  factHistoryOf,
+  filterProfileByConfidence,
+};
@@ -0,0 +1,176 @@
+// api/_lib/memory-items.js
+// Long-term memory (memory_items): atomic facts, goals, decisions and open
+// questions from the thinking reports. memory-update stores them, /api/session
+// picks the most relevant ones for the prompt under a token budget.
+// Ranking is local: lexical overlap (idf-weighted) + importance + recency.
+
+const { clean } = require("./memory-rules");
+
+const MEMORY_ITEM_KINDS = ["fact", "goal", "decision", "open_question"];
+const MAX_ITEMS_PER_REPORT = 12;
+const CANDIDATE_LIMIT = 200;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+const WEIGHTS = { lexical: 0.45, importance: 0.25, recency: 0.2, seen: 0.1 };
+
+const STOPWORDS = new Set(
+  (
+    "the and for that this with you your are was were have has had not but what when where which who will would " +
+    "can could should about into from they them their there then than just like also more some very much been " +
+    "der die das und oder aber nicht ist sind war waren ein eine einen einem einer mit für auf aus bei von zum zur " +
+    "dass wenn wie was wer ich du er sie wir ihr mein dein sein noch schon auch nur sehr mehr hat habe haben"
+  ).split(" ")
+);
+
+// ---------------------------
+// Writing (memory-update)
+// ---------------------------
+
+function sanitizeMemoryItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => {
+      if (!item || typeof item !== "object") return null;
+      const kind = clean(item.kind).toLowerCase();
+      const text = clean(item.text).slice(0, 500);
+      if (!MEMORY_ITEM_KINDS.includes(kind) || !text) return null;
+      const importance = Math.trunc(Number(item.importance));
+      return { kind, text, importance: importance >= 1 && importance <= 5 ? importance : 3 };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS_PER_REPORT);
+}
+
+// Reports without memory_items (model fallback): next steps -> goals, open questions as they are
+function memoryItemsFromReport(output) {
+  const goals = (Array.isArray(output?.action_plan) ? output.action_plan : [])
+    .map((a) => [clean(a?.label), clean(a?.detail)].filter(Boolean).join(": "))
+    .filter(Boolean)
+    .map((text) => ({ kind: "goal", text, importance: 3 }));
+
+  const questions = (Array.isArray(output?.open_questions) ? output.open_questions : [])
+    .map((q) => clean(q))
+    .filter(Boolean)
+    .map((text) => ({ kind: "open_question", text, importance: 2 }));
+
+  return sanitizeMemoryItems([...goals, ...questions]);
+}
+
+async function saveMemoryItems(supabase, userId, { sessionId = null, threadId = null, items = [] } = {}) {
+  const rows = sanitizeMemoryItems(items);
+  if (!rows.length) return { error: null, saved: 0 };
+
+  const { data, error } = await supabase.rpc("memory_items_upsert", {
+    p_user_id: userId,
+    p_session_id: sessionId,
+    p_thread_id: threadId,
+    p_items: rows,
+  });
+  if (error) return { error };
+  return { error: null, saved: Number(data) || 0 };
+}
+
+// ---------------------------
+// Retrieval (session)
+// ---------------------------
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= 3 && !STOPWORDS.has(t));
+}
+
+// Rough token estimate for budget checks (~4 chars per token + line overhead)
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4) + 3;
+}
+
+/**
+ * Score items against the query text (what the upcoming conversation is likely about).
+ * Returns items sorted by score, each with { score, parts }.
+ */
+function rankMemoryItems(items, queryText, nowMs = Date.now()) {
+  const list = Array.isArray(items) ? items : [];
+  if (!list.length) return [];
+
+  const docs = list.map((item) => new Set(tokenize(item.text)));
+  const df = new Map();
+  for (const doc of docs) for (const t of doc) df.set(t, (df.get(t) || 0) + 1);
+  const idf = (t) => Math.log(1 + list.length / (df.get(t) || 1));
+
+  const query = new Set(tokenize(queryText));
+
+  const lexRaw = docs.map((doc) => {
+    if (!doc.size || !query.size) return 0;
+    let hit = 0;
+    for (const t of doc) if (query.has(t)) hit += idf(t);
+    return hit / Math.sqrt(doc.size);
+  });
+  const lexMax = Math.max(0, ...lexRaw);
+
+  return list
+    .map((item, i) => {
+      const seenMs = Date.parse(item.last_seen_at || item.created_at || "") || nowMs;
+      const ageDays = Math.max(0, (nowMs - seenMs) / 86400000);
+      const parts = {
+        lexical: lexMax > 0 ? lexRaw[i] / lexMax : 0,
+        importance: (Math.min(5, Math.max(1, Number(item.importance) || 3)) - 1) / 4,
+        recency: Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS),
+        seen: Math.min(1, Math.log2(1 + (Number(item.times_seen) || 1)) / 3),
+      };
+      const score = Object.keys(WEIGHTS).reduce((sum, k) => sum + WEIGHTS[k] * parts[k], 0);
+      return { ...item, score, parts };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Best-scored items until the token budget is used up
+function selectWithinBudget(ranked, tokenBudget) {
+  const out = [];
+  let used = 0;
+  for (const item of Array.isArray(ranked) ? ranked : []) {
+    const cost = estimateTokens(formatMemoryItem(item));
+    if (used + cost > tokenBudget) continue;
+    out.push(item);
+    used += cost;
+  }
+  return { items: out, tokens: used };
+}
+
+function formatMemoryItem(item) {
+  let dt = "";
+  try {
+    dt = item.last_seen_at ? new Date(item.last_seen_at).toISOString().slice(0, 10) : "";
+  } catch {}
+  return `- [${item.kind}] ${clean(item.text)}${dt ? ` (${dt})` : ""}`;
+}
+
+async function loadRelevantMemoryItems(supabase, userId, { queryText = "", tokenBudget = 0 } = {}) {
+  if (!tokenBudget || tokenBudget <= 0) return { error: null, items: [], tokens: 0 };
+
+  const { data, error } = await supabase
+    .from("memory_items")
+    .select("id, kind, text, importance, times_seen, created_at, last_seen_at")
+    .eq("user_id", userId)
+    .order("last_seen_at", { ascending: false })
+    .limit(CANDIDATE_LIMIT);
+
+  if (error) return { error };
+
+  const ranked = rankMemoryItems(Array.isArray(data) ? data : [], queryText);
+  return { error: null, ...selectWithinBudget(ranked, tokenBudget) };
+}
+
+module.exports = {
+  MEMORY_ITEM_KINDS,
+  sanitizeMemoryItems,
+  memoryItemsFromReport,
+  saveMemoryItems,
+  tokenize,
+  estimateTokens,
+  rankMemoryItems,
+  selectWithinBudget,
+  formatMemoryItem,
+  loadRelevantMemoryItems,
+};
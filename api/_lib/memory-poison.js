@@ -0,0 +1,167 @@
+// api/_lib/memory-poison.js
+// Memory-poisoning filter: keeps the assistant's own persona / backstory and
+// model filler out of durable memory.
+//
+// Two kinds of rules:
+// - deny patterns per field (memory-deny-patterns.json, extendable via the
+//   MEMORY_DENY_PATTERNS env var with the same JSON shape) -> a new leak is
+//   blocked by adding a pattern, not code
+// - assistant-only: a value that shows up in assistant turns but never in
+//   user turns was not said by the user
+//
+// Pattern entry: { match: "exact" | "contains" | "word" | "regex", value, reason, unlessUserSaid? }
+// unlessUserSaid = only applies if the user did not say it themselves (e.g. places).
+
+const BASE_PATTERNS = require("./memory-deny-patterns.json");
+
+const MATCH_TYPES = new Set(["exact", "contains", "word", "regex"]);
+
+// Memory fields that share one pattern list
+const FIELD_GROUPS = {
+  first_name: "name",
+  preferred_name: "name",
+  short_summary: "summary",
+  last_interaction_summary: "summary",
+};
+
+const norm = (s) => String(s || "").replace(/\s+/g, " ").trim().toLowerCase();
+const escapeRe = (s) => String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole word, also for umlauts etc. (\b only knows ASCII)
+const wordRe = (s, flags = "iu") => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(s)}(?![\\p{L}\\p{N}])`, flags);
+
+function compileRule(entry) {
+  const match = String(entry?.match || "").trim();
+  const value = norm(entry?.value);
+  if (!MATCH_TYPES.has(match) || !value) return null;
+
+  let re;
+  try {
+    if (match === "regex") re = new RegExp(String(entry.value), "iu");
+    else if (match === "word") re = wordRe(value);
+    else if (match === "contains") re = new RegExp(escapeRe(value), "i");
+  } catch (e) {
+    console.warn("[memory-poison] skipping invalid pattern:", entry.value, e?.message || e);
+    return null;
+  }
+
+  return {
+    match,
+    value,
+    re: re || null,
+    reason: String(entry.reason || "").trim() || "denied",
+    unlessUserSaid: entry.unlessUserSaid === true,
+  };
+}
+
+function envPatterns() {
+  const raw = String(process.env.MEMORY_DENY_PATTERNS || "").trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    console.warn("[memory-poison] MEMORY_DENY_PATTERNS is not valid JSON:", e?.message || e);
+    return {};
+  }
+}
+
+let compiled = null;
+
+// { group: [rule] } from the JSON file + env, compiled once per instance
+function denyRules() {
+  if (compiled) return compiled;
+  compiled = {};
+  for (const source of [BASE_PATTERNS, envPatterns()]) {
+    for (const [group, entries] of Object.entries(source)) {
+      const rules = (Array.isArray(entries) ? entries : []).map(compileRule).filter(Boolean);
+      compiled[group] = [...(compiled[group] || []), ...rules];
+    }
+  }
+  return compiled;
+}
+
+function rulesFor(field) {
+  const rules = denyRules();
+  return [...(rules[FIELD_GROUPS[field] || field] || []), ...(rules["*"] || [])];
+}
+
+function ruleMatches(rule, value) {
+  if (rule.match === "exact") return value === rule.value;
+  return rule.re.test(value);
+}
+
+function userSaid(rule, userText) {
+  if (!userText) return false;
+  return (rule.match === "exact" ? wordRe(rule.value) : rule.re).test(userText);
+}
+
+/**
+ * First deny rule that matches the whole value of a field, or null.
+ * userText (the USER turns) lets unlessUserSaid rules through when the user said it.
+ */
+function denyRuleFor(field, value, { userText = "" } = {}) {
+  const v = norm(value);
+  if (!v) return null;
+  for (const rule of rulesFor(field)) {
+    if (!ruleMatches(rule, v)) continue;
+    if (rule.unlessUserSaid && userSaid(rule, userText)) continue;
+    return rule;
+  }
+  return null;
+}
+
+/**
+ * Free text (summaries): cut out denied words/phrases instead of dropping the text.
+ * Exact rules need the whole text and are handled by denyRuleFor.
+ */
+function scrubDeniedText(field, text, { userText = "" } = {}) {
+  let x = String(text || "").replace(/\s+/g, " ").trim();
+  if (!x) return x;
+
+  for (const rule of rulesFor(field)) {
+    if (rule.match === "exact") continue;
+    if (rule.unlessUserSaid && userSaid(rule, userText)) continue;
+    const re = new RegExp(rule.re.source, "giu");
+    if (re.test(x)) x = x.replace(re, "").replace(/\s+/g, " ").trim();
+  }
+
+  return x.replace(/\s+,/g, ",").replace(/,\s*\./g, ".").replace(/\s+\./g, ".").trim();
+}
+
+/**
+ * true if value occurs (as a whole word/phrase) in assistant turns but in no user turn.
+ * turns: [{ role: "user" | "assistant", text }]
+ */
+function appearsOnlyInAssistantTurns(value, turns) {
+  const v = norm(value);
+  if (!v) return false;
+  const re = wordRe(v);
+  const list = Array.isArray(turns) ? turns : [];
+  const inUser = list.some((t) => t?.role === "user" && re.test(String(t.text || "")));
+  if (inUser) return false;
+  return list.some((t) => t?.role === "assistant" && re.test(String(t.text || "")));
+}
+
+/**
+ * Combined check for an extracted value: { ok: true } or { ok: false, reason }.
+ */
+function checkMemoryValue(field, value, { turns = [] } = {}) {
+  const userText = (Array.isArray(turns) ? turns : [])
+    .filter((t) => t?.role === "user")
+    .map((t) => String(t.text || ""))
+    .join("\n");
+
+  const rule = denyRuleFor(field, value, { userText });
+  if (rule) return { ok: false, reason: `denied: ${rule.reason}` };
+  if (appearsOnlyInAssistantTurns(value, turns)) return { ok: false, reason: "assistant_only" };
+  return { ok: true };
+}
+
+module.exports = {
+  denyRules,
+  denyRuleFor,
+  scrubDeniedText,
+  appearsOnlyInAssistantTurns,
+  checkMemoryValue,
+};
@@ -0,0 +1,149 @@
+// api/_lib/memory-rules.js
+// Validation rules for durable memory (user_profile / user_relationship).
+// Used by memory-update (model extraction) and /api/memory (user edits),
+// so a value the extractor would scrub can't be typed in by hand either.
+
+const { denyRuleFor } = require("./memory-poison");
+const { languageCodes } = require("./languages");
+
+// Registry in languages.js
+const ALLOWED_LANGS = new Set(languageCodes());
+
+const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+const escapeRegExp = (s) => String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Deny patterns live in memory-deny-patterns.json (see memory-poison.js)
+const isBannedName = (name) => !!denyRuleFor("name", name);
+
+const isBannedOccupation = (occ) => !!denyRuleFor("occupation", occ);
+
+const isBannedConversationStyle = (style) => !!denyRuleFor("conversation_style", style);
+
+// --- HARD SCRUB (prevents poisoned DB values from becoming fallback) ---
+const scrubName = (v) => {
+  const x = clean(v);
+  if (!x) return "";
+  if (isBannedName(x)) return "";
+  return x;
+};
+
+const scrubOccupation = (v) => {
+  const x = clean(v);
+  if (!x) return "";
+  if (isBannedOccupation(x)) return "";
+  return x;
+};
+
+const safeAgeForDb = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const i = Math.trunc(n);
+  if (i < 10 || i > 110) return null;
+  return i;
+};
+
+// ---------------------------
+// User-editable memory fields
+// ---------------------------
+const TOPICS_LIMIT = 12;
+
+const MEMORY_FIELDS = {
+  first_name: { table: "user_profile", type: "name", maxLength: 80 },
+  preferred_name: { table: "user_profile", type: "name", maxLength: 80 },
+  preferred_addressing: { table: "user_profile", type: "enum", values: ["informal", "formal"] },
+  preferred_pronoun: { table: "user_profile", type: "text", maxLength: 24 },
+  preferred_language: { table: "user_profile", type: "language" },
+  age: { table: "user_profile", type: "age" },
+  occupation: { table: "user_profile", type: "occupation", maxLength: 120 },
+  conversation_style: { table: "user_profile", type: "style", maxLength: 80 },
+  topics_like: { table: "user_profile", type: "topics", maxLength: 60 },
+  topics_avoid: { table: "user_profile", type: "topics", maxLength: 60 },
+  tone_baseline: { table: "user_relationship", type: "text", maxLength: 200 },
+  emotional_patterns: { table: "user_relationship", type: "text", maxLength: 500 },
+  last_interaction_summary: { table: "user_relationship", type: "text", maxLength: 600 },
+};
+
+function memoryFieldNames() {
+  return Object.keys(MEMORY_FIELDS);
+}
+
+function isMemoryField(field) {
+  return Object.prototype.hasOwnProperty.call(MEMORY_FIELDS, String(field || ""));
+}
+
+/**
+ * Validate a user-supplied value for one memory field.
+ * Returns { value } (null = clear the field) or { error }.
+ */
+function validateMemoryValue(field, raw) {
+  const def = MEMORY_FIELDS[field];
+  if (!def) return { error: "Unknown field" };
+
+  if (raw === null || raw === undefined || (typeof raw === "string" && !clean(raw))) return { value: null };
+
+  switch (def.type) {
+    case "name": {
+      const x = clean(raw);
+      if (isBannedName(x)) return { error: "This name can't be stored" };
+      if (x.length > def.maxLength) return { error: `Max ${def.maxLength} characters` };
+      return { value: scrubName(x) || null };
+    }
+    case "occupation": {
+      const x = clean(raw);
+      if (isBannedOccupation(x)) return { error: "This occupation can't be stored" };
+      if (x.length > def.maxLength) return { error: `Max ${def.maxLength} characters` };
+      return { value: scrubOccupation(x) || null };
+    }
+    case "style": {
+      const x = clean(raw);
+      if (isBannedConversationStyle(x)) return { error: "Too generic, describe how Sophie should talk to you" };
+      if (x.length > def.maxLength) return { error: `Max ${def.maxLength} characters` };
+      return { value: x };
+    }
+    case "enum": {
+      const x = clean(raw).toLowerCase();
+      if (!def.values.includes(x)) return { error: `Use one of: ${def.values.join(", ")}` };
+      return { value: x };
+    }
+    case "language": {
+      const x = clean(raw).toLowerCase();
+      if (!ALLOWED_LANGS.has(x)) return { error: `Use one of: ${[...ALLOWED_LANGS].join(", ")}` };
+      return { value: x };
+    }
+    case "age": {
+      const age = safeAgeForDb(raw);
+      if (age === null) return { error: "Age must be between 10 and 110" };
+      return { value: age };
+    }
+    case "topics": {
+      if (!Array.isArray(raw)) return { error: "Expected a list of topics" };
+      const topics = [...new Set(raw.map(clean).filter(Boolean))];
+      if (topics.length > TOPICS_LIMIT) return { error: `Max ${TOPICS_LIMIT} topics` };
+      if (topics.some((t) => t.length > def.maxLength)) return { error: `Max ${def.maxLength} characters per topic` };
+      return { value: topics.length ? topics : null };
+    }
+    default: {
+      const x = clean(raw);
+      if (x.length > def.maxLength) return { error: `Max ${def.maxLength} characters` };
+      return { value: x };
+    }
+  }
+}
+
+module.exports = {
+  ALLOWED_LANGS,
+  MEMORY_FIELDS,
+  clean,
+  escapeRegExp,
+  isBannedName,
+  isBannedOccupation,
+  isBannedConversationStyle,
+  scrubName,
+  scrubOccupation,
+  safeAgeForDb,
+  memoryFieldNames,
+  isMemoryField,
+  validateMemoryValue,
+};
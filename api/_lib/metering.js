@@ -0,0 +1,144 @@
+// api/_lib/metering.js
+// Server-authoritative call metering.
+// /api/session opens a call when it mints the realtime token, the talk page sends
+// heartbeats via /api/usage, and the call is settled from server timestamps when it
+// is closed or when no heartbeat arrived within the lock TTL.
+// The realtime session runs on OpenAI whatever the client does, so a call that stops
+// heartbeating without a close is charged its whole allowance, not until its last beat.
+
+const { debitUsage } = require("./ledger");
+
+const MAX_CALL_SECONDS = 60 * 60; // max 1h pro call
+const HEARTBEAT_INTERVAL_SECONDS = 30;
+
+function callTtlSeconds() {
+  return parseInt(process.env.SESSION_LOCK_TTL_SECONDS || "90", 10);
+}
+
+// Most a call can cost: the realtime session's lifetime, capped at the balance it opened with
+function callAllowanceSeconds(call) {
+  const max = Number(call?.max_seconds);
+  return Number.isFinite(max) && max > 0 ? Math.min(MAX_CALL_SECONDS, Math.round(max)) : MAX_CALL_SECONDS;
+}
+
+/**
+ * Seconds to charge: from the start until now (close), or the whole allowance when the
+ * heartbeats stopped without a close (stale) - the session may still be running.
+ */
+function billableSecondsFor(call, nowMs = Date.now(), { stale = false } = {}) {
+  const startMs = Date.parse(call?.started_at || "");
+  if (!Number.isFinite(startMs)) return 0;
+
+  const allowance = callAllowanceSeconds(call);
+  if (stale) return allowance;
+
+  return Math.max(0, Math.min(allowance, Math.round((nowMs - startMs) / 1000)));
+}
+
+async function openCall(
+  supabase,
+  userId,
+  { promptVersion = null, experiments = {}, intent = "", topic = "", maxSeconds = MAX_CALL_SECONDS } = {}
+) {
+  const nowIso = new Date().toISOString();
+  return supabase
+    .from("realtime_calls")
+    .insert({
+      user_id: userId,
+      status: "open",
+      started_at: nowIso,
+      last_heartbeat_at: nowIso,
+      max_seconds: Math.max(1, Math.min(MAX_CALL_SECONDS, Math.round(Number(maxSeconds) || MAX_CALL_SECONDS))),
+      prompt_version: promptVersion,
+      experiments,
+      intent: intent || null,
+      topic: topic || null,
+    })
+    .select("id, started_at, max_seconds, prompt_version, experiments, intent, topic")
+    .single();
+}
+
+async function heartbeatCall(supabase, userId, callId) {
+  return supabase
+    .from("realtime_calls")
+    .update({ last_heartbeat_at: new Date().toISOString() })
+    .eq("id", callId)
+    .eq("user_id", userId)
+    .eq("status", "open")
+    .select("id, started_at, last_heartbeat_at, max_seconds")
+    .maybeSingle();
+}
+
+/**
+ * Close an open call and charge it. Claiming the row with status=open first
+ * makes a second close (retry, double stop) a no-op instead of a double charge.
+ * Returns { error, settled, billable_seconds, charge }.
+ */
+async function settleCall(supabase, call, { status = "closed", reason = "", clientSeconds = null } = {}) {
+  const billable = billableSecondsFor(call, Date.now(), { stale: status === "expired" });
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from("realtime_calls")
+    .update({
+      status,
+      ended_at: new Date().toISOString(),
+      billable_seconds: billable,
+      client_reported_seconds: Number.isFinite(clientSeconds) ? Math.round(clientSeconds) : null,
+      closed_reason: reason || null,
+    })
+    .eq("id", call.id)
+    .eq("status", "open")
+    .select("id, user_id")
+    .maybeSingle();
+
+  if (claimErr) return { error: claimErr };
+  if (!claimed) return { error: null, settled: false, billable_seconds: billable, charge: null };
+
+  // The debit is keyed by call id, so re-opening on failure cannot lead to a double charge later
+  const charge = await debitUsage(supabase, claimed.user_id, billable, { reason: "call", ref: call.id });
+  if (charge.error) {
+    await supabase.from("realtime_calls").update({ status: "open", ended_at: null }).eq("id", call.id);
+    return { error: charge.error };
+  }
+
+  const { error: chargedErr } = await supabase
+    .from("realtime_calls")
+    .update({ charged_seconds: charge.charged_seconds })
+    .eq("id", call.id);
+
+  if (chargedErr) console.warn("realtime_calls charged_seconds update failed:", chargedErr.message);
+
+  return { error: null, settled: true, billable_seconds: billable, charge };
+}
+
+// Settle calls whose heartbeats stopped (tab closed, crash, modified client) once the
+// lock TTL ran out; they are charged their allowance (see billableSecondsFor)
+async function expireStaleCalls(supabase, userId) {
+  const cutoffIso = new Date(Date.now() - callTtlSeconds() * 1000).toISOString();
+
+  const { data: stale, error } = await supabase
+    .from("realtime_calls")
+    .select("id, user_id, started_at, last_heartbeat_at, max_seconds")
+    .eq("user_id", userId)
+    .eq("status", "open")
+    .lt("last_heartbeat_at", cutoffIso);
+
+  if (error) return { error };
+
+  for (const call of Array.isArray(stale) ? stale : []) {
+    const r = await settleCall(supabase, call, { status: "expired", reason: "heartbeat_timeout" });
+    if (r.error) return { error: r.error };
+  }
+
+  return { error: null, expired: Array.isArray(stale) ? stale.length : 0 };
+}
+
+module.exports = {
+  MAX_CALL_SECONDS,
+  HEARTBEAT_INTERVAL_SECONDS,
+  billableSecondsFor,
+  openCall,
+  heartbeatCall,
+  settleCall,
+  expireStaleCalls,
+};
@@ -0,0 +1,146 @@
+// api/_lib/pdf.js
+// Minimal PDF writer for printable text documents (thinking report export).
+// A4, Helvetica / Helvetica-Bold (PDF standard fonts, nothing embedded), automatic
+// line wrapping and page breaks. Text is WinAnsi-encoded: Latin-1 plus the usual
+// typographic characters; anything else is printed as "?".
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const LINE_HEIGHT = 1.35;
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32..126, from the standard AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667,
+  556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556,
+  556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722,
+  500, 500, 500, 334, 260, 334, 584,
+];
+const DEFAULT_WIDTH = 556;
+const BOLD_FACTOR = 1.08; // Helvetica-Bold is slightly wider; wrap conservatively
+
+// Unicode -> WinAnsi (0x80..0x9F block); 0xA0..0xFF is identical to Latin-1
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89,
+  "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95,
+  "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+  "−": 0x2d,
+};
+
+function toWinAnsi(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    const code = ch.codePointAt(0);
+    if (code === 9) out += " ";
+    else if (code >= 32 && code <= 126) out += ch;
+    else if (code >= 0xa0 && code <= 0xff) out += String.fromCharCode(code);
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (code >= 32) out += "?";
+  }
+  return out;
+}
+
+function textWidth(encoded, size, bold) {
+  let units = 0;
+  for (let i = 0; i < encoded.length; i += 1) {
+    const c = encoded.charCodeAt(i);
+    units += c >= 32 && c <= 126 ? HELVETICA_WIDTHS[c - 32] : DEFAULT_WIDTH;
+  }
+  return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+}
+
+// Encoded text -> lines that fit maxWidth (long words are split)
+function wrap(encoded, size, bold, maxWidth) {
+  const lines = [];
+  for (const paragraph of encoded.split("\n")) {
+    const indent = (paragraph.match(/^ */) || [""])[0];
+    let line = "";
+    for (const word of paragraph.trim().split(/ +/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : `${indent}${word}`;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = `${indent}${word}`;
+      while (textWidth(line, size, bold) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) cut -= 1;
+        lines.push(line.slice(0, cut));
+        line = `${indent}${line.slice(cut)}`;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const escapePdfString = (s) => s.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+
+/**
+ * blocks: [{ text, size?: number (default 11), bold?: boolean, spaceBefore?: number }]
+ * Returns a Buffer with the PDF.
+ */
+function buildPdf(blocks, { title = "" } = {}) {
+  const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    const size = Number(block?.size) || 11;
+    const bold = !!block?.bold;
+    const lead = size * LINE_HEIGHT;
+    y -= Number(block?.spaceBefore) || 0;
+
+    for (const line of wrap(toWinAnsi(block?.text), size, bold, maxWidth)) {
+      if (y - lead < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= lead;
+      if (line) {
+        pages[pages.length - 1].push(
+          `BT /${bold ? "F2" : "F1"} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapePdfString(line)}) Tj ET`
+        );
+      }
+    }
+  }
+
+  // Objects: 1 catalog, 2 pages, 3 F1, 4 F2, 5 info, then page + content per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (Sophie) >>`;
+
+  pages.forEach((ops, i) => {
+    const pageId = pageIds[i];
+    const stream = ops.join("\n");
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // latin1 = one byte per char, so string lengths are byte offsets
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = out.length;
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  return Buffer.from(out, "latin1");
+}
+
+module.exports = { buildPdf, toWinAnsi };
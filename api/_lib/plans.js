@@ -0,0 +1,151 @@
+// api/_lib/plans.js
+// Single plan catalog for checkout, webhook and session.
+// Adding a tier = adding an entry here (+ its Stripe price env vars).
+// includedSeconds is per month; annual plans get 12x per billing period.
+// memoryTokenBudget caps the long-term memory items (memory_items) in the prompt.
+
+const PLANS = {
+  // Companion: 15 min / month, last session as memory
+  starter: {
+    id: "starter",
+    includedSeconds: 15 * 60,
+    mode: "companion",
+    sessionLimit: 1,
+    memoryTokenBudget: 250,
+    prices: {
+      month: "STRIPE_PRICE_ID_STARTER",
+      year: "STRIPE_PRICE_ID_STARTER_ANNUAL",
+    },
+  },
+  // Best Friend: 25 min / month, last 3 sessions as memory
+  plus: {
+    id: "plus",
+    includedSeconds: 25 * 60,
+    mode: "best_friend",
+    sessionLimit: 3,
+    memoryTokenBudget: 600,
+    prices: {
+      month: "STRIPE_PRICE_ID_PLUS",
+      year: "STRIPE_PRICE_ID_PLUS_ANNUAL",
+    },
+  },
+};
+
+// No active subscription (free trial / top-up only)
+const NO_PLAN = {
+  id: "",
+  includedSeconds: 0,
+  mode: "companion",
+  sessionLimit: 1,
+  memoryTokenBudget: 150,
+  prices: {},
+};
+
+const BILLING_INTERVALS = {
+  month: { id: "month", periodMonths: 1 },
+  year: { id: "year", periodMonths: 12 },
+};
+
+// Old identifiers that may still be stored in user_subscriptions.plan
+const PLAN_ALIASES = {
+  start: "starter",
+  companion: "starter",
+  best_friend: "plus",
+};
+
+const TOPUP_PACKS = {
+  5: { minutes: 5, seconds: 5 * 60, priceEnv: "STRIPE_PRICE_ID_TOPUP_5" },
+  10: { minutes: 10, seconds: 10 * 60, priceEnv: "STRIPE_PRICE_ID_TOPUP_10" },
+  20: { minutes: 20, seconds: 20 * 60, priceEnv: "STRIPE_PRICE_ID_TOPUP_20" },
+};
+
+function normalizePlanId(plan) {
+  const p = String(plan || "").toLowerCase().trim();
+  return PLAN_ALIASES[p] || p;
+}
+
+// Returns the catalog entry or null for unknown ids
+function getPlan(plan) {
+  const id = normalizePlanId(plan);
+  return Object.prototype.hasOwnProperty.call(PLANS, id) ? PLANS[id] : null;
+}
+
+function planIds() {
+  return Object.keys(PLANS);
+}
+
+// Returns "month" | "year" or null for unknown values; empty defaults to "month"
+function normalizeInterval(interval) {
+  const i = String(interval || "month").toLowerCase().trim();
+  return Object.prototype.hasOwnProperty.call(BILLING_INTERVALS, i) ? i : null;
+}
+
+function intervalIds() {
+  return Object.keys(BILLING_INTERVALS);
+}
+
+// Seconds granted per billing period
+function includedSecondsForPlan(plan, interval = "month") {
+  const months = BILLING_INTERVALS[normalizeInterval(interval) || "month"].periodMonths;
+  return (getPlan(plan)?.includedSeconds || 0) * months;
+}
+
+function priceIdForPlan(plan, interval = "month") {
+  const i = normalizeInterval(interval);
+  const env = i ? getPlan(plan)?.prices?.[i] : null;
+  return (env && process.env[env]) || null;
+}
+
+// { plan, interval } for a configured subscription price, null if unknown
+function priceInfoFromPriceId(priceId) {
+  if (!priceId) return null;
+  for (const def of Object.values(PLANS)) {
+    for (const [interval, env] of Object.entries(def.prices)) {
+      if (process.env[env] && process.env[env] === priceId) return { plan: def.id, interval };
+    }
+  }
+  return null;
+}
+
+function planFromPriceId(priceId) {
+  return priceInfoFromPriceId(priceId)?.plan || "";
+}
+
+// Mode + memory depth for the session prompt (inactive subscriptions fall back to NO_PLAN)
+function sessionSettingsFor(plan, isActive) {
+  const def = isActive ? getPlan(plan) : null;
+  return def || NO_PLAN;
+}
+
+function getTopupPack(pack) {
+  const k = Number(pack);
+  return Object.prototype.hasOwnProperty.call(TOPUP_PACKS, k) ? TOPUP_PACKS[k] : null;
+}
+
+function topupSecondsForPack(pack) {
+  return getTopupPack(pack)?.seconds || 0;
+}
+
+function priceIdForTopupPack(pack) {
+  const def = getTopupPack(pack);
+  return (def && process.env[def.priceEnv]) || null;
+}
+
+module.exports = {
+  PLANS,
+  BILLING_INTERVALS,
+  TOPUP_PACKS,
+  normalizePlanId,
+  getPlan,
+  planIds,
+  normalizeInterval,
+  intervalIds,
+  includedSecondsForPlan,
+  priceIdForPlan,
+  priceInfoFromPriceId,
+  planFromPriceId,
+  sessionSettingsFor,
+  getTopupPack,
+  topupSecondsForPack,
+  priceIdForTopupPack,
+};
@@ -0,0 +1,856 @@
+// api/_lib/post-call.js
+// Post-call processing of one stored session (background job "post_call"):
+// memory extraction, profile + relationship, memory_facts, thinking report,
+// long-term memory items, action tasks and the opt-in report email.
+// /api/memory-update stores the session + transcript and queues the job,
+// /api/admin/run-jobs runs it (with retries, see api/_lib/jobs.js).
+
+const {
+  ALLOWED_LANGS,
+  clean,
+  escapeRegExp,
+  safeAgeForDb,
+  scrubName,
+  scrubOccupation,
+} = require("./memory-rules");
+const { conflictRuleFor, factKey, syncMemoryFacts } = require("./memory-facts");
+const { checkMemoryValue, scrubDeniedText } = require("./memory-poison");
+const {
+  agePatterns,
+  detectLanguage,
+  explicitLanguageRequest,
+  extractNameFromText,
+  spokenLanguageIsConsistent,
+} = require("./languages");
+const { saveMemoryItems } = require("./memory-items");
+const { sendReportEmailIfOptedIn } = require("./report-email");
+const { saveActionTasks } = require("./action-tasks");
+const { CONVERSATION_INSIGHTS_PROMPT, templateId } = require("./prompts");
+const {
+  DEFAULT_OUTPUT_MODEL,
+  fallbackConversationOutput,
+  generateConversationOutput,
+  outputRowFor,
+  saveConversationOutput,
+  transcriptForModel,
+} = require("./conversation-output");
+
+// The stored report as the job result / email hands it on
+const OUTPUT_COLUMNS =
+  "title, short_summary, structured_summary, key_insights, action_plan, open_questions, intent_report, model, prompt_version";
+
+/**
+ * Runs everything after the call for one session. Throws on failures worth a retry
+ * (memory model, bad JSON, profile upsert); the job queue retries with backoff.
+ * Returns the body /api/jobs hands to the talk page.
+ */
+async function processPostCall(supabase, user, { session, transcriptArr }) {
+  const nowIso = new Date().toISOString();
+  const secondsUsed = Number(session.duration_seconds ?? 0) || 0;
+  const threadId = session.thread_id;
+  const sessionIntent = session.intent || "";
+
+  // Only feed user+assistant into the model, never "other"
+  const transcriptText = transcriptForModel(transcriptArr);
+
+  // USER-only text (the only trusted source for durable memory)
+  const userOnlyJoined = transcriptArr
+    .filter((t) => t.role === "user")
+    .map((t) => t.text)
+    .join("\n");
+  const userOnlyText = userOnlyJoined.toLowerCase();
+
+  // ---- Load existing rows (optional) ----
+  const { data: rel, error: relSelErr } = await supabase
+    .from("user_relationship")
+    .select("tone_baseline, openness_level, emotional_patterns, last_interaction_summary")
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (relSelErr) console.error("user_relationship select failed:", relSelErr);
+
+  const { data: prof, error: profSelErr } = await supabase
+    .from("user_profile")
+    .select(
+      "first_name, preferred_name, preferred_addressing, preferred_pronoun, preferred_language, preferred_language_source, notes," +
+        "age, occupation, conversation_style, topics_like, topics_avoid, memory_confidence, confirmed_fields"
+    )
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (profSelErr) console.error("user_profile select failed:", profSelErr);
+
+  const existing = {
+    first_name: String(prof?.first_name || "").trim(),
+    preferred_name: String(prof?.preferred_name || "").trim(),
+    preferred_addressing: String(prof?.preferred_addressing || "").trim(),
+    preferred_pronoun: String(prof?.preferred_pronoun || "").trim(),
+    preferred_language: String(prof?.preferred_language || "").trim().toLowerCase(),
+    preferred_language_source: prof?.preferred_language_source || null,
+    notes: String(prof?.notes || "").trim(),
+    age: Number.isFinite(Number(prof?.age)) ? Number(prof.age) : null,
+    occupation: String(prof?.occupation || "").trim(),
+    conversation_style: String(prof?.conversation_style || "").trim(),
+    topics_like: Array.isArray(prof?.topics_like)
+      ? prof.topics_like.map((x) => String(x || "").trim()).filter(Boolean)
+      : [],
+    topics_avoid: Array.isArray(prof?.topics_avoid)
+      ? prof.topics_avoid.map((x) => String(x || "").trim()).filter(Boolean)
+      : [],
+    tone_baseline: String(rel?.tone_baseline || "").trim(),
+    openness_level: String(rel?.openness_level || "").trim(),
+    emotional_patterns: String(rel?.emotional_patterns || "").trim(),
+    last_interaction_summary: String(rel?.last_interaction_summary || "").trim(),
+  };
+
+  // Fields the user set or cleared in the memory editor (/api/memory) are never overwritten
+  const userConfirmed = new Set(Array.isArray(prof?.confirmed_fields) ? prof.confirmed_fields : []);
+  const keepConfirmed = (field, value) => (userConfirmed.has(field) ? existing[field] : value);
+
+  // Fact fields: an extraction contradicting the stored value follows CONFLICT_RULES
+  // (memory-facts.js); a confirmed field always "flag"s. "flag" keeps the stored value
+  // (also an empty one the user cleared) and remembers each new value as pending.
+  const pendingFacts = [];
+  const resolveConfirmed = (field, fresh, merged) => {
+    const confirmed = userConfirmed.has(field);
+    if (conflictRuleFor(field, { confirmed }) !== "flag") return merged;
+
+    const stored = existing[field];
+    const storedValues = (Array.isArray(stored) ? stored : [stored]).filter((v) => v !== null && v !== undefined);
+    // Nothing stored and nothing confirmed: no conflict, the extraction fills it
+    if (!confirmed && !storedValues.some((v) => clean(String(v)))) return merged;
+
+    const storedKeys = new Set(storedValues.map((v) => factKey(String(v))));
+    for (const v of Array.isArray(fresh) ? fresh : [fresh]) {
+      const value = v === null || v === undefined ? "" : String(v);
+      if (clean(value) && !storedKeys.has(factKey(value)) && !isPendingFact(field, value)) {
+        pendingFacts.push({ field, value });
+      }
+    }
+    return stored;
+  };
+  const isPendingFact = (field, value) =>
+    pendingFacts.some((f) => f.field === field && factKey(f.value) === factKey(value));
+
+  // ---------------------------
+  // Helpers (validation rules: api/_lib/memory-rules.js)
+  // ---------------------------
+  // USER turns with their conversation_messages.seq -> evidence for memory_facts
+  const userTurns = transcriptArr
+    .map((t, seq) => ({ seq, role: t.role, text: String(t.text || "") }))
+    .filter((t) => t.role === "user");
+
+  // First USER message containing the value as a whole word: { seq, text } or null
+  const findExactEvidence = (value) => {
+    const v = clean(value);
+    if (!v) return null;
+    const re = new RegExp(`\\b${escapeRegExp(v)}\\b`, "i");
+    const turn = userTurns.find((t) => re.test(t.text));
+    return turn ? { seq: turn.seq, text: turn.text } : null;
+  };
+
+  const appearsInUserTextExact = (value) => !!findExactEvidence(value);
+
+  // For longer fields, match at least one meaningful token (>=4 chars).
+  // Evidence = USER message with the most matching tokens, share = matched / all tokens
+  const findLooseEvidence = (value) => {
+    const v = clean(value).toLowerCase();
+    if (!v) return null;
+    const tokens = v
+      .split(/[^a-z0-9]+/i)
+      .map((t) => t.trim())
+      .filter((t) => t.length >= 4)
+      .slice(0, 8);
+    if (!tokens.length) return null;
+
+    let best = null;
+    for (const turn of userTurns) {
+      const lower = turn.text.toLowerCase();
+      const hits = tokens.filter((t) => lower.includes(t)).length;
+      if (hits && (!best || hits > best.hits)) best = { seq: turn.seq, text: turn.text, hits };
+    }
+    return best ? { seq: best.seq, text: best.text, share: best.hits / tokens.length } : null;
+  };
+
+  const appearsLooselyInUserText = (value) => !!findLooseEvidence(value);
+
+  // Memory-poisoning filter (api/_lib/memory-poison.js): deny patterns per field +
+  // "only the assistant said it". Dropped values are logged with the reason.
+  const isPoisoned = (field, value) => {
+    if (!clean(value)) return false;
+    const check = checkMemoryValue(field, value, { turns: transcriptArr });
+    if (!check.ok) console.log("[post-call] dropping poisoned value", { field, reason: check.reason });
+    return !check.ok;
+  };
+
+  existing.first_name = scrubName(existing.first_name);
+  existing.preferred_name = scrubName(existing.preferred_name);
+  existing.occupation = scrubOccupation(existing.occupation);
+
+  const filterToUserMentionedTopics = (arr) => {
+    const base = Array.isArray(arr) ? arr : [];
+    return base
+      .map((x) => clean(x))
+      .filter(Boolean)
+      .filter((x) => userOnlyText.includes(x.toLowerCase()))
+      .filter((x) => !isPoisoned("topics", x));
+  };
+
+  // Topic evidence: whole word beats substring
+  const findTopicEvidence = (topic) => {
+    const exact = findExactEvidence(topic);
+    if (exact) return { ...exact, confidence: 0.85 };
+    const lower = clean(topic).toLowerCase();
+    const turn = lower ? userTurns.find((t) => t.text.toLowerCase().includes(lower)) : null;
+    return turn ? { seq: turn.seq, text: turn.text, confidence: 0.65 } : null;
+  };
+
+  const mergeStringArrays = (existingArr, newArr, limit = 12) => {
+    const base = Array.isArray(existingArr) ? existingArr : [];
+    const merged = [...new Set([...base, ...newArr])].filter(Boolean);
+    return merged.slice(0, limit);
+  };
+
+  // ---------------------------
+  // Language hard gate (only if USER explicitly asked; phrasing per language: api/_lib/languages.js)
+  // ---------------------------
+  const explicitLang = explicitLanguageRequest(userOnlyText);
+
+  // Language the user actually spoke this session (null = too short / mixed) -> user_sessions.spoken_language
+  const spokenLang = detectLanguage(userOnlyJoined)?.code || null;
+
+  // ---------------------------
+  // OpenAI extraction
+  // ---------------------------
+  const system =
+    "You extract structured memory from the transcript. " +
+    "Assistant statements are untrusted for durable USER facts. " +
+    "PROFILE: Only store durable facts/preferences explicitly stated BY THE USER in USER messages. " +
+    "Never guess or infer PROFILE fields. If unsure, return empty strings/empty arrays/null. " +
+    "Do NOT copy the assistant persona (e.g., interior designer) into the user's profile. " +
+    "RELATIONSHIP: These fields are Sophie’s conservative best-guess assessment based on the interaction. " +
+    "You MAY infer them from the transcript (tone, openness, recurring emotional patterns), even if the user did not state them explicitly. " +
+    "Do not hallucinate specific life facts; keep it general and grounded in the transcript. " +
+    "Always provide a reasonable best-guess for tone_baseline and openness_level; use neutral/low if uncertain. " +
+    "emotional_patterns should be short, concrete patterns (or empty if nothing is evident).";
+
+  const userMsg = `
+CURRENT structured profile (existing DB values):
+first_name: ${existing.first_name}
+preferred_name: ${existing.preferred_name}
+preferred_addressing: ${existing.preferred_addressing}
+preferred_pronoun: ${existing.preferred_pronoun}
+preferred_language: ${existing.preferred_language}
+age: ${existing.age ?? ""}
+occupation: ${existing.occupation}
+conversation_style: ${existing.conversation_style}
+topics_like: ${existing.topics_like.join(", ")}
+topics_avoid: ${existing.topics_avoid.join(", ")}
+notes: ${existing.notes}
+
+CURRENT relationship memory:
+tone_baseline: ${existing.tone_baseline}
+openness_level: ${existing.openness_level}
+emotional_patterns: ${existing.emotional_patterns}
+last_interaction_summary: ${existing.last_interaction_summary}
+
+NEW transcript (includes USER + ASSISTANT; remember: only USER messages count):
+${transcriptText}
+`.trim();
+
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      profile: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          first_name: { type: "string" },
+          preferred_name: { type: "string" },
+          preferred_addressing: { type: "string" },
+          preferred_pronoun: { type: "string" },
+          preferred_language: { type: "string" },
+          age: { type: ["integer", "null"], minimum: 0, maximum: 120 },
+          occupation: { type: "string" },
+          conversation_style: { type: "string" },
+          topics_like: { type: "array", items: { type: "string" } },
+          topics_avoid: { type: "array", items: { type: "string" } },
+        },
+        required: [
+          "first_name",
+          "preferred_name",
+          "preferred_addressing",
+          "preferred_pronoun",
+          "preferred_language",
+          "age",
+          "occupation",
+          "conversation_style",
+          "topics_like",
+          "topics_avoid",
+        ],
+      },
+      relationship: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          tone_baseline: { type: "string" },
+          openness_level: { type: "string" },
+          emotional_patterns: { type: "string" },
+          last_interaction_summary: { type: "string" },
+        },
+        required: ["tone_baseline", "openness_level", "emotional_patterns", "last_interaction_summary"],
+      },
+      session: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          emotional_tone: { type: "string" },
+          stress_level: { type: "integer", minimum: 0, maximum: 10 },
+          closeness_level: { type: "integer", minimum: 0, maximum: 10 },
+          short_summary: { type: "string" },
+        },
+        required: ["emotional_tone", "stress_level", "closeness_level", "short_summary"],
+      },
+    },
+    required: ["profile", "relationship", "session"],
+  };
+
+  const r = await fetch("https://api.openai.com/v1/responses", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: process.env.MEMORY_MODEL || "gpt-4o-mini",
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: userMsg },
+      ],
+      temperature: 0.2,
+      text: {
+        format: {
+          type: "json_schema",
+          name: "sophie_memory_structured_v4",
+          strict: true,
+          schema,
+        },
+      },
+      truncation: "auto",
+    }),
+  });
+
+  if (!r.ok) {
+    const errorText = await r.text().catch(() => "");
+    console.error("OpenAI memory error:", r.status, errorText);
+
+    throw new Error(
+      `Memory model error (HTTP ${r.status}). ${String(errorText).replace(/\s+/g, " ").slice(0, 200)}`.trim()
+    );
+  }
+
+  const out = await r.json();
+  const text = out?.output_text || out?.output?.[0]?.content?.find?.((c) => c.type === "output_text")?.text || "";
+
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || "").trim());
+  } catch {
+    console.error("Bad JSON from memory model:", text);
+
+    throw new Error("Bad JSON from memory model");
+  }
+
+  const p = parsed.profile || {};
+  const rr = parsed.relationship || {};
+  const ss = parsed.session || {};
+
+  const toArrayStrings = (v) => (Array.isArray(v) ? v.map(clean).filter(Boolean) : []);
+
+  // ---------------------------
+  // PROFILE: merge + hard gates + deterministic name fallback
+  // ---------------------------
+  let firstNameNew = clean(p.first_name);
+  let preferredNameNew = clean(p.preferred_name);
+
+  // Deterministic fallback: first name + nickname from USER text (patterns per language)
+  const extracted = extractNameFromText(userOnlyJoined);
+  if (!firstNameNew && extracted.first) firstNameNew = extracted.first;
+  if (!preferredNameNew && extracted.nick) preferredNameNew = extracted.nick;
+
+  if (isPoisoned("first_name", firstNameNew) || !appearsInUserTextExact(firstNameNew)) firstNameNew = "";
+  if (isPoisoned("preferred_name", preferredNameNew) || !appearsInUserTextExact(preferredNameNew)) preferredNameNew = "";
+
+  const addressingNew = clean(p.preferred_addressing).toLowerCase();
+  const pronounNew = clean(p.preferred_pronoun);
+
+  let ageNew = null;
+  if (p.age === null || p.age === undefined || p.age === "") {
+    ageNew = null;
+  } else {
+    const n = Number(p.age);
+    const userMentionsAge = agePatterns().some((re) => re.test(userOnlyText));
+    if (userMentionsAge && Number.isFinite(n)) ageNew = Math.trunc(n);
+  }
+
+  // Age evidence: the number in an "I'm 34" / "34 years old" sentence, else just the number
+  const findAgeEvidence = (age) => {
+    if (age === null || age === undefined) return null;
+    const stated = agePatterns(age);
+    const turn = userTurns.find((t) => stated.some((re) => re.test(t.text)));
+    if (turn) return { seq: turn.seq, text: turn.text, confidence: 0.9 };
+    const any = findExactEvidence(String(age));
+    return any ? { ...any, confidence: 0.55 } : { seq: null, text: "", confidence: 0.4 };
+  };
+
+  let occupationNew = clean(p.occupation);
+  let styleNew = clean(p.conversation_style);
+
+  if (isPoisoned("occupation", occupationNew) || !appearsLooselyInUserText(occupationNew)) occupationNew = "";
+
+  const userAskedForStyle =
+    /\b(be|talk|speak|answer)\b.*\b(more|less)\b/.test(userOnlyText) ||
+    /\b(please|bitte)\b.*\b(be|talk|speak)\b/.test(userOnlyText) ||
+    /\b(don't|do not|nicht)\b.*\b(be|talk|speak)\b/.test(userOnlyText);
+
+  if (isPoisoned("conversation_style", styleNew) || !userAskedForStyle) styleNew = "";
+
+  const topicsLikeNew = filterToUserMentionedTopics(toArrayStrings(p.topics_like));
+  const topicsAvoidNew = filterToUserMentionedTopics(toArrayStrings(p.topics_avoid));
+
+  const firstNameFresh = scrubName(firstNameNew).slice(0, 80);
+  const preferredNameFresh = scrubName(preferredNameNew).slice(0, 80);
+  const occupationFresh = scrubOccupation(occupationNew).slice(0, 120);
+
+  const finalFirstName = resolveConfirmed(
+    "first_name",
+    firstNameFresh,
+    scrubName(firstNameNew || existing.first_name).slice(0, 80)
+  );
+  const finalPreferredName = resolveConfirmed(
+    "preferred_name",
+    preferredNameFresh,
+    scrubName(preferredNameNew || finalFirstName || existing.preferred_name).slice(0, 80)
+  );
+
+  const finalAddressing = keepConfirmed(
+    "preferred_addressing",
+    addressingNew === "informal" || addressingNew === "formal" ? addressingNew : existing.preferred_addressing || ""
+  );
+  const finalPronoun = keepConfirmed("preferred_pronoun", (pronounNew || existing.preferred_pronoun).slice(0, 24));
+
+  let finalLang = "";
+  let finalLangSource = existing.preferred_language_source;
+  if (explicitLang && ALLOWED_LANGS.has(explicitLang)) {
+    finalLang = explicitLang;
+    finalLangSource = "explicit";
+  } else {
+    const ex = String(existing.preferred_language || "").toLowerCase().trim();
+    finalLang = ALLOWED_LANGS.has(ex) ? ex : "";
+
+    // Detected language only wins after a consistent signal, and never over an
+    // explicit request or a value set in the memory editor
+    const detectionAllowed =
+      !userConfirmed.has("preferred_language") && !["explicit", "user"].includes(existing.preferred_language_source);
+    const followSpoken =
+      spokenLang &&
+      spokenLang !== finalLang &&
+      detectionAllowed &&
+      (await spokenLanguageIsConsistent(supabase, { userId: user.id, sessionId: session.id, code: spokenLang }));
+    if (followSpoken) {
+      console.log("[post-call] preferred_language follows spoken language", { from: finalLang, to: spokenLang });
+      finalLang = spokenLang;
+      finalLangSource = "detected";
+    }
+  }
+  if (userConfirmed.has("preferred_language")) finalLangSource = existing.preferred_language_source;
+  finalLang = keepConfirmed("preferred_language", finalLang);
+
+  const finalAge = resolveConfirmed("age", ageNew, ageNew !== null ? ageNew : existing.age);
+  const finalOccupation = resolveConfirmed(
+    "occupation",
+    occupationFresh,
+    scrubOccupation(occupationNew || existing.occupation).slice(0, 120)
+  );
+  const finalStyle = keepConfirmed("conversation_style", (styleNew || existing.conversation_style).slice(0, 80));
+
+  const finalTopicsLike = resolveConfirmed(
+    "topics_like",
+    topicsLikeNew,
+    mergeStringArrays(existing.topics_like, topicsLikeNew, 12)
+  );
+  const finalTopicsAvoid = resolveConfirmed(
+    "topics_avoid",
+    topicsAvoidNew,
+    mergeStringArrays(existing.topics_avoid, topicsAvoidNew, 12)
+  );
+
+  const ageToWrite = safeAgeForDb(finalAge);
+
+  // ---------------------------
+  // Provenance per fact (memory_facts): only values this transcript supplied
+  // (written to the profile = current, contradicting a confirmed value = pending)
+  // ---------------------------
+  const factEvidence = [];
+  const addFact = (field, value, ev, confidence) => {
+    if (!ev || !clean(value)) return;
+    factEvidence.push({
+      field,
+      value: String(value),
+      confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+      source: "extraction",
+      status: isPendingFact(field, value) ? "pending" : "current",
+      source_seq: Number.isInteger(ev.seq) ? ev.seq : null,
+      evidence: ev.text || "",
+    });
+  };
+
+  // Exact quote + matched by the "my name is ..." patterns = strongest evidence
+  const nameConfidence = (value) =>
+    [extracted.first, extracted.nick].some((x) => x && x.toLowerCase() === clean(value).toLowerCase()) ? 0.95 : 0.85;
+
+  if (firstNameFresh && (finalFirstName === firstNameFresh || isPendingFact("first_name", firstNameFresh))) {
+    addFact("first_name", firstNameFresh, findExactEvidence(firstNameNew), nameConfidence(firstNameNew));
+  }
+  if (
+    preferredNameFresh &&
+    (finalPreferredName === preferredNameFresh || isPendingFact("preferred_name", preferredNameFresh))
+  ) {
+    addFact("preferred_name", preferredNameFresh, findExactEvidence(preferredNameNew), nameConfidence(preferredNameNew));
+  }
+  if (occupationFresh && (finalOccupation === occupationFresh || isPendingFact("occupation", occupationFresh))) {
+    const ev = findLooseEvidence(occupationNew);
+    addFact("occupation", occupationFresh, ev, ev ? 0.4 + 0.5 * ev.share : 0);
+  }
+  if (ageNew !== null && safeAgeForDb(ageNew) === ageNew && (ageToWrite === ageNew || isPendingFact("age", ageNew))) {
+    const ev = findAgeEvidence(ageNew);
+    addFact("age", String(ageNew), ev, ev.confidence);
+  }
+  for (const [field, fresh, final] of [
+    ["topics_like", topicsLikeNew, finalTopicsLike],
+    ["topics_avoid", topicsAvoidNew, finalTopicsAvoid],
+  ]) {
+    for (const topic of fresh) {
+      if (!final.includes(topic) && !isPendingFact(field, topic)) continue;
+      const ev = findTopicEvidence(topic);
+      addFact(field, topic, ev, ev?.confidence || 0);
+    }
+  }
+  if (finalAge !== null && finalAge !== undefined && ageToWrite === null) {
+    console.log("[post-call] dropping invalid age", { finalAge });
+  }
+
+  const marker = "SOPHIE_PREFS:";
+  const safePreferredForNotes = scrubName(finalPreferredName);
+  const prefsLine = `${marker} preferred_name=${safePreferredForNotes}; preferred_addressing=${finalAddressing}; preferred_pronoun=${finalPronoun}`.trim();
+
+  let finalNotes = existing.notes || "";
+  if (!finalNotes) {
+    finalNotes = prefsLine;
+  } else if (finalNotes.includes(marker)) {
+    finalNotes = finalNotes
+      .split("\n")
+      .map((ln) => (ln.includes(marker) ? prefsLine : ln))
+      .join("\n")
+      .trim();
+  } else {
+    finalNotes = `${finalNotes}\n${prefsLine}`.trim();
+  }
+
+  const profileRow = {
+    user_id: user.id,
+    first_name: finalFirstName || null,
+    preferred_name: finalPreferredName || null,
+    preferred_addressing: finalAddressing || null,
+    preferred_pronoun: finalPronoun || null,
+    preferred_language: finalLang || null,
+    preferred_language_source: finalLang ? finalLangSource || null : null,
+    age: ageToWrite,
+    occupation: finalOccupation || null,
+    conversation_style: finalStyle || null,
+    topics_like: finalTopicsLike.length ? finalTopicsLike : null,
+    topics_avoid: finalTopicsAvoid.length ? finalTopicsAvoid : null,
+    notes: finalNotes.slice(0, 2000),
+    updated_at: nowIso,
+    memory_confidence: prof?.memory_confidence || "medium",
+  };
+
+  const { error: profUpErr } = await supabase.from("user_profile").upsert(profileRow, { onConflict: "user_id" });
+  if (profUpErr) {
+    console.error("user_profile upsert failed:", profUpErr);
+    throw new Error(`user_profile upsert failed: ${profUpErr.message}`);
+  }
+
+  // ---------------------------
+  // RELATIONSHIP + SESSION
+  // ---------------------------
+  const mergeContinuity = (prev, next) => {
+    prev = clean(prev);
+    next = clean(next);
+    if (!next) return prev;
+    if (prev && prev.includes(next)) return prev;
+
+    let parts = prev ? prev.split(" • ").map(clean).filter(Boolean) : [];
+    parts = parts.filter((x) => x !== next);
+    parts.unshift(next);
+    return parts.slice(0, 3).join(" • ").slice(0, 600);
+  };
+
+  // Persona details (deny patterns for "summary") are cut out unless the user said them
+  const sanitizeSummary = (s) => scrubDeniedText("summary", clean(s), { userText: userOnlyJoined });
+
+  const modelSummary = clean(rr.last_interaction_summary || ss.short_summary);
+
+  let deterministicSummary = "";
+  const bits = [];
+
+  if (finalFirstName) bits.push(`name ${finalFirstName}`);
+  if (finalPreferredName && finalPreferredName !== finalFirstName) bits.push(`nickname ${finalPreferredName}`);
+  if (finalOccupation) bits.push(`occupation ${finalOccupation}`);
+
+  if (bits.length > 0) deterministicSummary = `User shared ${bits.join(", ")}.`;
+
+  const rawContinuity = modelSummary || deterministicSummary;
+  const merged = mergeContinuity(existing.last_interaction_summary, rawContinuity);
+  const sanitized = sanitizeSummary(merged);
+  const fallbackSummary = secondsUsed > 0 ? `Talked for ${secondsUsed}s.` : "Talked.";
+
+  const finalContinuity =
+    clean(sanitized) || clean(existing.last_interaction_summary) || deterministicSummary || fallbackSummary;
+
+  const relRow = {
+    user_id: user.id,
+    tone_baseline: keepConfirmed("tone_baseline", clean(rr.tone_baseline || existing.tone_baseline).slice(0, 200)),
+    openness_level: clean(rr.openness_level || existing.openness_level).slice(0, 50),
+    emotional_patterns: keepConfirmed(
+      "emotional_patterns",
+      clean(rr.emotional_patterns || existing.emotional_patterns).slice(0, 500)
+    ),
+    last_interaction_summary: keepConfirmed("last_interaction_summary", finalContinuity.slice(0, 600)),
+    updated_at: nowIso,
+  };
+
+  const { error: relUpErr } = await supabase.from("user_relationship").upsert(relRow, { onConflict: "user_id" });
+  if (relUpErr) console.error("user_relationship upsert failed:", relUpErr);
+
+  const sessSummary = sanitizeSummary(clean(ss.short_summary) || deterministicSummary || fallbackSummary);
+
+  const finalSessionTitle = clean(profileRow.preferred_name || profileRow.first_name)
+    ? `Conversation with ${clean(profileRow.preferred_name || profileRow.first_name)}`
+    : "Conversation";
+
+  const { data: savedSession, error: sessErr } = await supabase
+    .from("user_sessions")
+    .update({
+      title: finalSessionTitle.slice(0, 120),
+      emotional_tone: clean(ss.emotional_tone).slice(0, 50) || "unknown",
+      stress_level: Number.isFinite(ss.stress_level) ? ss.stress_level : null,
+      closeness_level: Number.isFinite(ss.closeness_level) ? ss.closeness_level : null,
+      short_summary: sessSummary.slice(0, 300),
+      spoken_language: spokenLang,
+    })
+    .eq("id", session.id)
+    .eq("user_id", user.id)
+    .select("id, user_id, session_date, short_summary, title, report_emailed_at")
+    .single();
+
+  if (sessErr || !savedSession?.id) {
+    console.error("user_sessions update failed:", sessErr);
+    throw new Error(`user_sessions update failed: ${sessErr?.message || "Missing session id"}`);
+  }
+
+  // Facts point at this session + message seq; values dropped from the profile lose their fact
+  const { error: factsErr } = await syncMemoryFacts(
+    supabase,
+    user.id,
+    profileRow,
+    factEvidence.map((f) => ({ ...f, source_session_id: savedSession.id }))
+  );
+  if (factsErr) console.error("memory_facts sync failed:", factsErr);
+
+  // One report per call: a retried or re-uploaded job keeps the stored one
+  // (further versions only come from /api/admin/reports)
+  const { data: storedOutput, error: storedErr } = await supabase
+    .from("conversation_outputs")
+    .select(OUTPUT_COLUMNS)
+    .eq("session_id", savedSession.id)
+    .eq("is_current", true)
+    .maybeSingle();
+
+  if (storedErr) throw new Error(`conversation_outputs lookup failed: ${storedErr.message}`);
+
+  let conversationOutput = null;
+  let outputRow = storedOutput;
+
+  if (outputRow) {
+    console.log("[post-call] report exists, keeping it", { session_id: savedSession.id });
+  } else {
+    const outputModel = process.env.OUTPUT_MODEL || process.env.MEMORY_MODEL || DEFAULT_OUTPUT_MODEL;
+    const reportContext = {
+      fallbackSummary: sessSummary,
+      emotionalTone: clean(ss.emotional_tone),
+      stressLevel: ss.stress_level,
+      closenessLevel: ss.closeness_level,
+    };
+
+    try {
+      conversationOutput = await generateConversationOutput({
+        ...reportContext,
+        transcriptText,
+        openAiKey: process.env.OPENAI_API_KEY,
+        model: outputModel,
+        intent: sessionIntent,
+        sessionDate: savedSession.session_date,
+      });
+    } catch (e) {
+      console.error("conversation output generation failed:", e?.message || e);
+      conversationOutput = fallbackConversationOutput(reportContext);
+    }
+
+    outputRow = outputRowFor(conversationOutput, {
+      ...reportContext,
+      title: finalSessionTitle,
+      model: outputModel,
+      promptVersion: templateId(CONVERSATION_INSIGHTS_PROMPT),
+    });
+
+    // Version 1 only: a run that lost the race to another one adds nothing
+    const saved = await saveConversationOutput(supabase, savedSession.id, outputRow, { firstOnly: true });
+
+    if (saved.error) {
+      console.error("conversation_outputs insert failed:", saved.error);
+      throw new Error(`conversation_outputs insert failed: ${saved.error.message}`);
+    }
+    if (!saved.created) console.log("[post-call] report stored by another run", { session_id: savedSession.id });
+  }
+
+  const { error: sessFlagErr } = await supabase
+    .from("user_sessions")
+    .update({ has_output: true, report_status: null })
+    .eq("id", savedSession.id);
+
+  if (sessFlagErr) console.error("user_sessions has_output update failed:", sessFlagErr);
+
+  // Items and tasks come with a new report; a kept one has them already
+  if (conversationOutput) {
+    // Long-term memory: atomic items from this report (same session again = no double count)
+    const { error: itemsErr } = await saveMemoryItems(supabase, user.id, {
+      sessionId: savedSession.id,
+      threadId,
+      items: conversationOutput.memory_items,
+    });
+
+    if (itemsErr) console.error("memory_items upsert failed:", itemsErr);
+
+    // Action plan -> trackable tasks (follow-ups in the next sessions, /api/tasks)
+    const { error: tasksErr } = await saveActionTasks(supabase, user.id, {
+      sessionId: savedSession.id,
+      actionPlan: conversationOutput.tasks,
+    });
+
+    if (tasksErr) console.error("action_tasks insert failed:", tasksErr);
+  }
+
+  // Opt-in report email (report_emailed_at: a retried job never sends it twice)
+  const reportEmail = await sendReportEmailIfOptedIn(supabase, user, {
+    session: savedSession,
+    output: outputRow,
+    language: profileRow.preferred_language,
+  });
+  if (reportEmail.sent) console.log("[post-call] report email sent", { session_id: savedSession.id });
+
+  return {
+    ok: true,
+    session: {
+      id: savedSession.id,
+      title: savedSession.title,
+      short_summary: savedSession.short_summary,
+      session_date: savedSession.session_date,
+      thread_id: threadId,
+      intent: sessionIntent || null,
+    },
+    output: {
+      title: outputRow.title,
+      short_summary: outputRow.short_summary,
+      structured_summary: outputRow.structured_summary,
+      key_insights: outputRow.key_insights,
+      action_plan: outputRow.action_plan,
+      open_questions: outputRow.open_questions,
+      intent_report: outputRow.intent_report,
+    },
+    report_emailed: reportEmail.sent,
+    extracted: {
+      first_name: profileRow.first_name,
+      preferred_name: profileRow.preferred_name,
+      preferred_language: profileRow.preferred_language,
+      spoken_language: spokenLang,
+      age: profileRow.age,
+      occupation: profileRow.occupation,
+      conversation_style: profileRow.conversation_style,
+      topics_like: profileRow.topics_like,
+      topics_avoid: profileRow.topics_avoid,
+      last_interaction_summary: relRow.last_interaction_summary,
+    },
+    // Extracted values that contradict a confirmed one (see GET /api/memory)
+    pending_confirmation: pendingFacts.map(({ field, value }) => ({ field, value })),
+  };
+}
+
+// ---------------------------
+// Background job "post_call" (api/_lib/jobs.js, /api/admin/run-jobs)
+// ---------------------------
+
+const POST_CALL_JOB = "post_call";
+
+/**
+ * Loads what memory-update stored (session, transcript, user) and processes it.
+ * The job runs with the service role, so every lookup is scoped to job.user_id.
+ */
+async function runPostCallJob(supabase, job) {
+  const { data: userData, error: userErr } = await supabase.auth.admin.getUserById(job.user_id);
+  const user = userData?.user;
+  if (userErr || !user) throw new Error(`user lookup failed: ${userErr?.message || "not found"}`);
+
+  const { data: session, error: sessErr } = await supabase
+    .from("user_sessions")
+    .select("id, thread_id, duration_seconds, intent")
+    .eq("id", job.session_id)
+    .eq("user_id", job.user_id)
+    .maybeSingle();
+  if (sessErr) throw new Error(`user_sessions lookup failed: ${sessErr.message}`);
+  if (!session) throw new Error("session not found");
+
+  const { data: messages, error: msgErr } = await supabase
+    .from("conversation_messages")
+    .select("seq, role, text")
+    .eq("session_id", session.id)
+    .order("seq", { ascending: true });
+  if (msgErr) throw new Error(`conversation_messages lookup failed: ${msgErr.message}`);
+
+  const transcriptArr = (Array.isArray(messages) ? messages : []).map((m) => ({
+    role: m.role === "user" || m.role === "assistant" ? m.role : "other",
+    text: String(m.text || "").trim(),
+  }));
+
+  return processPostCall(supabase, user, { session, transcriptArr });
+}
+
+// Dead letter: the session keeps its transcript and summary, the list shows report_status
+// "failed". The error itself stays on background_jobs.last_error (never shown to the user
+// or put into Sophie's prompt).
+async function markPostCallFailed(supabase, job) {
+  const { error } = await supabase
+    .from("user_sessions")
+    .update({ report_status: "failed" })
+    .eq("id", job.session_id)
+    .eq("user_id", job.user_id)
+    .eq("has_output", false);
+
+  if (error) console.error("user_sessions dead-letter update failed:", error);
+}
+
+module.exports = {
+  POST_CALL_JOB,
+  processPostCall,
+  runPostCallJob,
+  markPostCallFailed,
+};
@@ -0,0 +1,162 @@
+// api/_lib/report-email.js
+// Post-call thinking report by email (opt-in, email_preferences.report_emails).
+// Sent by the post-call job (api/_lib/post-call.js) right after the report is stored,
+// so it arrives even when the tab was closed before the report was ready.
+// Every mail carries the user's unsubscribe link (/api/unsubscribe?token=...).
+
+const { createTransport } = require("./mail");
+const { reportDate, reportSections, reportTitle } = require("./report-export");
+
+const DEFAULT_APP_URL = "https://meet-sophie.com";
+
+// Mail texts per language (languages.js codes), English as fallback. {title} / {date} are filled in.
+const EMAIL_TEXTS = {
+  en: {
+    subject: "Your thinking report: {title}",
+    intro: "Here is the report from your conversation with Sophie on {date}.",
+    footer: "You get this email because you turned on report emails in Sophie.",
+    unsubscribe: "Unsubscribe",
+  },
+  de: {
+    subject: "Dein Gesprächsbericht: {title}",
+    intro: "Hier ist der Bericht zu deinem Gespräch mit Sophie vom {date}.",
+    footer: "Du bekommst diese E-Mail, weil du Berichte per E-Mail in Sophie eingeschaltet hast.",
+    unsubscribe: "Abmelden",
+  },
+  fr: {
+    subject: "Ton compte rendu : {title}",
+    intro: "Voici le compte rendu de ta conversation avec Sophie du {date}.",
+    footer: "Tu reçois cet e-mail parce que tu as activé les comptes rendus par e-mail dans Sophie.",
+    unsubscribe: "Se désabonner",
+  },
+  es: {
+    subject: "Tu informe de la conversación: {title}",
+    intro: "Aquí tienes el informe de tu conversación con Sophie del {date}.",
+    footer: "Recibes este correo porque activaste los informes por correo en Sophie.",
+    unsubscribe: "Darse de baja",
+  },
+};
+
+const fill = (s, values) => s.replace(/\{(\w+)\}/g, (_, k) => values[k] ?? "");
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function unsubscribeUrl(token, env = process.env) {
+  const base = String(env.APP_URL || DEFAULT_APP_URL).replace(/\/+$/, "");
+  return `${base}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * { session, output } + language + unsubscribe URL -> { subject, text, html }
+ */
+function composeReportEmail(report, { language = "en", unsubscribe }) {
+  const T = EMAIL_TEXTS[String(language || "").toLowerCase()] || EMAIL_TEXTS.en;
+  const title = reportTitle(report);
+  const date = reportDate(report.session);
+  const sections = reportSections(report, { language });
+  const intro = date ? fill(T.intro, { date }) : "";
+
+  const text = [
+    title,
+    intro,
+    ...sections.map((s) =>
+      [s.title, s.text || "", ...(s.items || []).map((i) => (i.startsWith("  ") ? `    ${i.trim()}` : `• ${i}`))]
+        .filter(Boolean)
+        .join("\n")
+    ),
+    `--\n${T.footer}\n${T.unsubscribe}: ${unsubscribe}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const htmlSections = sections
+    .map((s) => {
+      const body = s.text ? `<p>${escapeHtml(s.text)}</p>` : "";
+      const items = (s.items || []).length
+        ? `<ul>${s.items
+            .map((i) => `<li${i.startsWith("  ") ? ' style="list-style:none;"' : ""}>${escapeHtml(i.trim())}</li>`)
+            .join("")}</ul>`
+        : "";
+      return `<h2 style="font-size:16px; margin:24px 0 8px;">${escapeHtml(s.title)}</h2>${body}${items}`;
+    })
+    .join("");
+
+  const html =
+    `<!doctype html><html><body style="font-family:Helvetica,Arial,sans-serif; font-size:15px; line-height:1.5; color:#222; max-width:600px;">` +
+    `<h1 style="font-size:20px;">${escapeHtml(title)}</h1>` +
+    (intro ? `<p style="color:#666;">${escapeHtml(intro)}</p>` : "") +
+    htmlSections +
+    `<p style="margin-top:32px; font-size:12px; color:#888;">${escapeHtml(T.footer)}<br>` +
+    `<a href="${escapeHtml(unsubscribe)}" style="color:#888;">${escapeHtml(T.unsubscribe)}</a></p>` +
+    `</body></html>`;
+
+  return { subject: fill(T.subject, { title }), text, html };
+}
+
+/**
+ * Sends the report if the user opted in and it was not sent for this session yet.
+ * supabase: client that may read the user's email_preferences and update their user_sessions row.
+ * Never throws: returns { sent: boolean, reason?: string }.
+ */
+async function sendReportEmailIfOptedIn(supabase, user, { session, output, language, transport }) {
+  try {
+    if (!user?.email) return { sent: false, reason: "no_email" };
+    if (!session?.id || !output) return { sent: false, reason: "no_report" };
+    if (session.report_emailed_at) return { sent: false, reason: "already_sent" };
+
+    const { data: prefs, error: prefsErr } = await supabase
+      .from("email_preferences")
+      .select("report_emails, unsubscribe_token")
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (prefsErr) {
+      console.error("email_preferences lookup failed:", prefsErr);
+      return { sent: false, reason: "lookup_failed" };
+    }
+    if (!prefs?.report_emails) return { sent: false, reason: "not_opted_in" };
+
+    let mailer = transport;
+    if (!mailer) {
+      try {
+        mailer = createTransport();
+      } catch (err) {
+        console.error("report email not sent:", err.message);
+        return { sent: false, reason: "mail_not_configured" };
+      }
+    }
+
+    const unsubscribe = unsubscribeUrl(prefs.unsubscribe_token);
+    const mail = composeReportEmail({ session, output }, { language, unsubscribe });
+
+    await mailer.send({
+      to: user.email,
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
+      headers: {
+        "List-Unsubscribe": `<${unsubscribe}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+
+    const { error: flagErr } = await supabase
+      .from("user_sessions")
+      .update({ report_emailed_at: new Date().toISOString() })
+      .eq("id", session.id);
+    if (flagErr) console.error("user_sessions report_emailed_at update failed:", flagErr);
+
+    return { sent: true };
+  } catch (err) {
+    console.error("report email failed:", err);
+    return { sent: false, reason: "send_failed" };
+  }
+}
+
+module.exports = {
+  EMAIL_TEXTS,
+  composeReportEmail,
+  unsubscribeUrl,
+  sendReportEmailIfOptedIn,
+};
@@ -0,0 +1,324 @@
+// api/_lib/report-export.js
+// Thinking report (conversation_outputs row) -> Markdown, PDF, iCalendar.
+// Used by /api/export. Input everywhere: { session, output } as read from
+// user_sessions / conversation_outputs.
+
+const { buildPdf } = require("./pdf");
+
+// Section titles and field labels per language (languages.js codes), English as fallback
+const REPORT_LABELS = {
+  en: {
+    summary: "Summary",
+    keyInsights: "Key Insights",
+    actionPlan: "Action Plan",
+    openQuestions: "Open Questions",
+    due: "due",
+    decision_matrix: "Decision Matrix",
+    idea_map: "Idea Map",
+    reflection: "Reflection",
+    question: "Question",
+    option: "Option",
+    criteria: "Criteria",
+    leaning: "Leaning",
+    coreIdea: "Core idea",
+    nextExperiment: "Next experiment",
+    whatHappened: "What happened",
+    feelings: "Feelings",
+    meaning: "What it means",
+    keepInMind: "Keep in mind",
+  },
+  de: {
+    summary: "Zusammenfassung",
+    keyInsights: "Wichtigste Erkenntnisse",
+    actionPlan: "Aktionsplan",
+    openQuestions: "Offene Fragen",
+    due: "fällig",
+    decision_matrix: "Entscheidungsmatrix",
+    idea_map: "Ideenlandkarte",
+    reflection: "Reflexion",
+    question: "Frage",
+    option: "Option",
+    criteria: "Kriterien",
+    leaning: "Tendenz",
+    coreIdea: "Kernidee",
+    nextExperiment: "Nächstes Experiment",
+    whatHappened: "Was passiert ist",
+    feelings: "Gefühle",
+    meaning: "Was es bedeutet",
+    keepInMind: "Im Kopf behalten",
+  },
+  fr: {
+    summary: "Résumé",
+    keyInsights: "Idées clés",
+    actionPlan: "Plan d’action",
+    openQuestions: "Questions ouvertes",
+    due: "échéance",
+    decision_matrix: "Matrice de décision",
+    idea_map: "Carte d’idées",
+    reflection: "Réflexion",
+    question: "Question",
+    option: "Option",
+    criteria: "Critères",
+    leaning: "Tendance",
+    coreIdea: "Idée centrale",
+    nextExperiment: "Prochaine expérience",
+    whatHappened: "Ce qui s’est passé",
+    feelings: "Ressentis",
+    meaning: "Ce que cela signifie",
+    keepInMind: "À garder en tête",
+  },
+  es: {
+    summary: "Resumen",
+    keyInsights: "Ideas clave",
+    actionPlan: "Plan de acción",
+    openQuestions: "Preguntas abiertas",
+    due: "fecha límite",
+    decision_matrix: "Matriz de decisión",
+    idea_map: "Mapa de ideas",
+    reflection: "Reflexión",
+    question: "Pregunta",
+    option: "Opción",
+    criteria: "Criterios",
+    leaning: "Inclinación",
+    coreIdea: "Idea central",
+    nextExperiment: "Próximo experimento",
+    whatHappened: "Qué pasó",
+    feelings: "Sentimientos",
+    meaning: "Qué significa",
+    keepInMind: "Para tener en cuenta",
+  },
+};
+
+const INTENT_REPORT_TYPES = new Set(["decision_matrix", "idea_map", "reflection"]);
+
+const reportLabels = (language) => REPORT_LABELS[String(language || "").toLowerCase()] || REPORT_LABELS.en;
+
+const t = (v) => String(v || "").replace(/\s+/g, " ").trim();
+const list = (v) => (Array.isArray(v) ? v.map(t).filter(Boolean) : []);
+
+function reportDate(session) {
+  const d = new Date(session?.session_date || "");
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString().slice(0, 10);
+}
+
+function reportTitle({ session, output }) {
+  return t(output?.title) || t(session?.title) || "Conversation";
+}
+
+function actionItems(output) {
+  return (Array.isArray(output?.action_plan) ? output.action_plan : [])
+    .map((a) => ({ label: t(a?.label), detail: t(a?.detail || a?.text), due_date: t(a?.due_date) }))
+    .filter((a) => a.label || a.detail);
+}
+
+/**
+ * Report as sections: [{ title, items: [string] , text?: string }]
+ * One structure for Markdown, PDF and the report email so all show the same content.
+ * language: labels (REPORT_LABELS), the report text itself is as the model wrote it
+ */
+function reportSections({ output }, { language = "en" } = {}) {
+  const L = reportLabels(language);
+  const sections = [];
+
+  const summary = t(output?.short_summary);
+  if (summary) sections.push({ title: L.summary, text: summary });
+
+  const insights = (Array.isArray(output?.key_insights) ? output.key_insights : []).map((i) => t(i?.text)).filter(Boolean);
+  if (insights.length) sections.push({ title: L.keyInsights, items: insights });
+
+  const actions = actionItems(output).map((a) => {
+    const head = a.label && a.detail ? `${a.label}: ${a.detail}` : a.label || a.detail;
+    return a.due_date ? `${head} (${L.due} ${a.due_date})` : head;
+  });
+  if (actions.length) sections.push({ title: L.actionPlan, items: actions });
+
+  const questions = list(output?.open_questions);
+  if (questions.length) sections.push({ title: L.openQuestions, items: questions });
+
+  const intentReport = output?.intent_report;
+  if (INTENT_REPORT_TYPES.has(intentReport?.type)) {
+    sections.push({ title: L[intentReport.type], items: intentReportLines(intentReport, L) });
+  }
+
+  return sections;
+}
+
+function intentReportLines(report, L) {
+  if (report?.type === "decision_matrix") {
+    const options = (Array.isArray(report.options) ? report.options : []).flatMap((o) => [
+      `${L.option}: ${t(o?.option)}`,
+      ...list(o?.pros).map((x) => `  + ${x}`),
+      ...list(o?.cons).map((x) => `  − ${x}`),
+    ]);
+    return [
+      t(report.question) ? `${L.question}: ${t(report.question)}` : "",
+      ...options,
+      list(report.criteria).length ? `${L.criteria}: ${list(report.criteria).join(", ")}` : "",
+      t(report.leaning) ? `${L.leaning}: ${t(report.leaning)}` : "",
+    ].filter(Boolean);
+  }
+
+  if (report?.type === "idea_map") {
+    return [
+      t(report.core_idea) ? `${L.coreIdea}: ${t(report.core_idea)}` : "",
+      ...(Array.isArray(report.directions) ? report.directions : [])
+        .filter((d) => t(d?.direction))
+        .map((d) => (t(d?.why_interesting) ? `${t(d.direction)}: ${t(d.why_interesting)}` : t(d.direction))),
+      t(report.next_experiment) ? `${L.nextExperiment}: ${t(report.next_experiment)}` : "",
+    ].filter(Boolean);
+  }
+
+  if (report?.type === "reflection") {
+    return [
+      t(report.what_happened) ? `${L.whatHappened}: ${t(report.what_happened)}` : "",
+      list(report.feelings).length ? `${L.feelings}: ${list(report.feelings).join(", ")}` : "",
+      t(report.meaning) ? `${L.meaning}: ${t(report.meaning)}` : "",
+      t(report.keep_in_mind) ? `${L.keepInMind}: ${t(report.keep_in_mind)}` : "",
+    ].filter(Boolean);
+  }
+
+  return [];
+}
+
+// ---------------------------
+// Markdown
+// ---------------------------
+
+// Keep model text from turning into Markdown structure
+const mdEscape = (s) => String(s).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+
+function reportToMarkdown(report, { language = "en" } = {}) {
+  const date = reportDate(report.session);
+  const lines = [`# ${mdEscape(reportTitle(report))}`, ""];
+  if (date) lines.push(`_${date}_`, "");
+
+  for (const section of reportSections(report, { language })) {
+    lines.push(`## ${section.title}`, "");
+    if (section.text) lines.push(mdEscape(section.text));
+    for (const item of section.items || []) {
+      // indented lines (pros / cons) become nested bullets
+      lines.push(item.startsWith("  ") ? `  - ${mdEscape(item.trim())}` : `- ${mdEscape(item)}`);
+    }
+    lines.push("");
+  }
+
+  return `${lines.join("\n").trim()}\n`;
+}
+
+// ---------------------------
+// PDF
+// ---------------------------
+
+function reportToPdf(report, { language = "en" } = {}) {
+  const title = reportTitle(report);
+  const date = reportDate(report.session);
+  const blocks = [{ text: title, size: 20, bold: true }];
+  if (date) blocks.push({ text: date, size: 10, spaceBefore: 2 });
+
+  for (const section of reportSections(report, { language })) {
+    blocks.push({ text: section.title, size: 13, bold: true, spaceBefore: 14 });
+    if (section.text) blocks.push({ text: section.text, spaceBefore: 4 });
+    for (const item of section.items || []) {
+      blocks.push({ text: item.startsWith("  ") ? `      ${item.trim()}` : `•  ${item}`, spaceBefore: 3 });
+    }
+  }
+
+  return buildPdf(blocks, { title });
+}
+
+// ---------------------------
+// iCalendar (RFC 5545)
+// ---------------------------
+
+const icsEscape = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsDate = (ymd) => ymd.replace(/-/g, "");
+const icsStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded (continuation starts with a space), never inside a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, "utf8");
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Action plan as calendar entries.
+ * kind "todo"  -> VTODO per item, DUE only where a date is known
+ * kind "event" -> all-day VEVENT per item (items without a date land on defaultDue,
+ *                 or the day after the conversation), for calendars that ignore tasks
+ * defaultDue: YYYY-MM-DD for items without their own due_date
+ */
+function reportToIcs(report, { kind = "todo", defaultDue = "", now = new Date() } = {}) {
+  const sessionId = t(report.session?.id) || "session";
+  const title = reportTitle(report);
+  const fallbackDay = defaultDue || addDays(reportDate(report.session) || now.toISOString().slice(0, 10), 1);
+  const stamp = icsStamp(now);
+
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Meet Sophie//Thinking Report//EN", "CALSCALE:GREGORIAN"];
+
+  actionItems(report.output).forEach((item, i) => {
+    const summary = item.label || item.detail;
+    const description = [item.label && item.detail ? item.detail : "", `From: ${title}`].filter(Boolean).join("\n");
+    const due = item.due_date || defaultDue;
+    const uid = `${sessionId}-${i + 1}@meet-sophie`;
+
+    if (kind === "event") {
+      const day = due || fallbackDay;
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(day)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDays(day, 1))}`,
+        `SUMMARY:${icsEscape(summary)}`,
+        `DESCRIPTION:${icsEscape(description)}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+      );
+      return;
+    }
+
+    lines.push(
+      "BEGIN:VTODO",
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      ...(due ? [`DUE;VALUE=DATE:${icsDate(due)}`] : []),
+      `SUMMARY:${icsEscape(summary)}`,
+      `DESCRIPTION:${icsEscape(description)}`,
+      "STATUS:NEEDS-ACTION",
+      "END:VTODO"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  REPORT_LABELS,
+  reportTitle,
+  reportDate,
+  reportSections,
+  reportToMarkdown,
+  reportToPdf,
+  reportToIcs,
+};
@@ -0,0 +1,569 @@
+// api/_lib/stripe-events.js
+// Stripe event handling, shared by the webhook and the admin replay route.
+// handleStripeEvent returns { ok: true } or { ok: false, error }; a failed event
+// is recorded in stripe_events and Stripe (or a replay) runs it again later.
+
+const { adjustUsage, grantTopup, grantUsage } = require("./ledger");
+const { BILLING_ISSUE_STATUSES, billingStateFor, graceFieldsFor, resolveBillingIssue } = require("./billing");
+const {
+  includedSecondsForPlan,
+  normalizeInterval,
+  normalizePlanId,
+  priceIdForPlan,
+  priceInfoFromPriceId,
+  topupSecondsForPack,
+} = require("./plans");
+
+const HANDLED = { ok: true };
+
+function failed(error) {
+  return { ok: false, error };
+}
+
+// Optional: Top-ups verfallen nach N Tagen (leer/0 = kein Ablauf)
+function topupExpiresAt(purchasedAt = new Date()) {
+  const days = parseInt(process.env.TOPUP_EXPIRY_DAYS || "0", 10);
+  if (!Number.isFinite(days) || days <= 0) return null;
+  return new Date(purchasedAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Share of the current billing period that is still ahead (0..1)
+function remainingPeriodFraction(sub, nowMs = Date.now()) {
+  const item = sub?.items?.data?.[0];
+  const start = Number(sub?.current_period_start ?? item?.current_period_start) * 1000;
+  const end = Number(sub?.current_period_end ?? item?.current_period_end) * 1000;
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return 1;
+  return Math.min(1, Math.max(0, (end - nowMs) / (end - start)));
+}
+
+async function safeTrack(supabase, userId, event_name, meta = {}) {
+  try {
+    if (!userId) return;
+    await supabase.from("analytics_events").insert({
+      user_id: userId,
+      event_name,
+      meta,
+    });
+  } catch (e) {
+    console.warn("Analytics insert failed:", e?.message || e);
+  }
+}
+
+async function handleStripeEvent(event, { stripe, supabase }) {
+  // 1) Checkout completed
+  if (event.type === "checkout.session.completed") {
+    const session = event.data.object;
+
+    const userId = session?.metadata?.user_id;
+    if (!userId) {
+      console.warn("checkout.session.completed without metadata.user_id");
+      return HANDLED;
+    }
+
+    const mode = session?.mode; // "subscription" | "payment"
+    const stripeCustomerId = session?.customer || null;
+
+    // A) Subscription
+    if (mode === "subscription") {
+      const stripeSubscriptionId = session?.subscription || null;
+
+      let plan = normalizePlanId(session?.metadata?.plan);
+      let interval = normalizeInterval(session?.metadata?.interval) || "month";
+
+      if ((!plan || plan === "0") && stripeSubscriptionId) {
+        try {
+          const subObj = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+          plan = normalizePlanId(subObj?.metadata?.plan);
+          interval = normalizeInterval(subObj?.metadata?.interval) || "month";
+
+          if (!plan || plan === "0") {
+            const item = subObj?.items?.data?.[0];
+            const priceInfo = priceInfoFromPriceId(item?.price?.id || "");
+            plan = priceInfo?.plan || "";
+            interval = priceInfo?.interval || interval;
+          }
+        } catch (e) {
+          console.warn("Plan fallback failed:", e?.message || e);
+        }
+      }
+
+      const includedSeconds = includedSecondsForPlan(plan, interval);
+
+      if (!includedSeconds) {
+        console.error("No included seconds resolved - refusing activation", {
+          userId,
+          plan,
+          stripeSubscriptionId,
+        });
+        await safeTrack(supabase, userId, "subscription_activation_failed", {
+          plan: plan || null,
+          stripe_subscription_id: stripeSubscriptionId,
+          reason: "no_included_seconds",
+        });
+        return failed("No included seconds resolved");
+      }
+
+      const { error: subErr } = await supabase
+        .from("user_subscriptions")
+        .upsert(
+          {
+            user_id: userId,
+            stripe_customer_id: stripeCustomerId,
+            stripe_subscription_id: stripeSubscriptionId,
+            status: "active",
+            is_active: true,
+            plan: plan || null,
+            billing_interval: interval,
+            stripe_price_id: priceIdForPlan(plan, interval),
+            current_period_end: null,
+          },
+          { onConflict: "user_id" }
+        );
+
+      if (subErr) {
+        console.error("Supabase upsert user_subscriptions failed:", subErr);
+        return failed("Supabase write failed (user_subscriptions)");
+      }
+
+      // Erste Nutzung überhaupt? -> Freetime ist im Upgrade-Moment abgelaufen
+      const { data: ledgerRows, error: lFindErr } = await supabase
+        .from("usage_ledger")
+        .select("id")
+        .eq("user_id", userId)
+        .limit(1);
+
+      if (lFindErr) {
+        console.error("Supabase select usage_ledger failed:", lFindErr);
+        return failed("Supabase read failed (usage_ledger)");
+      }
+
+      if (!Array.isArray(ledgerRows) || !ledgerRows.length) {
+        const { error: fExpErr } = await grantUsage(supabase, userId, "free", 0, {
+          reason: "upgrade",
+          ref: session.id,
+          replace: true,
+        });
+        if (fExpErr) {
+          console.error("usage_grant (free expire) failed:", fExpErr);
+          return failed("Supabase write failed (usage_ledger free)");
+        }
+      }
+
+      const { error: pGrantErr } = await grantUsage(supabase, userId, "paid", includedSeconds, {
+        reason: "plan_activation",
+        ref: session.id,
+        replace: true,
+      });
+
+      if (pGrantErr) {
+        console.error("usage_grant (plan activation) failed:", pGrantErr);
+        return failed("Supabase write failed (usage_ledger paid)");
+      }
+
+      await safeTrack(supabase, userId, "subscription_activated", {
+        plan: plan || null,
+        interval,
+        stripe_subscription_id: stripeSubscriptionId,
+        stripe_customer_id: stripeCustomerId,
+        included_seconds: includedSeconds,
+      });
+
+      return HANDLED;
+    }
+
+    // B) Top-up payment
+    if (mode === "payment") {
+      const pack = session?.metadata?.topup_pack;
+      const addSeconds = topupSecondsForPack(pack);
+
+      if (addSeconds <= 0) {
+        await safeTrack(supabase, userId, "topup_invalid_pack", { pack });
+        return HANDLED;
+      }
+
+      const expiresAt = topupExpiresAt();
+      const { error: tGrantErr, pack_id: packId } = await grantTopup(supabase, userId, addSeconds, {
+        packMinutes: Number(pack),
+        ref: session.id,
+        expiresAt,
+      });
+
+      if (tGrantErr) return failed("Supabase write failed (topup_packs)");
+
+      await safeTrack(supabase, userId, "topup_completed", {
+        pack: Number(pack),
+        pack_id: packId,
+        added_seconds: addSeconds,
+        expires_at: expiresAt,
+        stripe_customer_id: stripeCustomerId,
+      });
+
+      return HANDLED;
+    }
+
+    return HANDLED;
+  }
+
+  // 2) Subscription Updated -> status/period_end sync + plan change (new price)
+  if (event.type === "customer.subscription.updated") {
+    const sub = event.data.object;
+    const stripeSubscriptionId = sub.id;
+    const status = sub.status || null;
+    let isActive = status === "active" || status === "trialing";
+    const periodEndTs = sub.current_period_end ?? sub?.items?.data?.[0]?.current_period_end;
+    const currentPeriodEnd = periodEndTs ? new Date(periodEndTs * 1000).toISOString() : null;
+
+    const { data: row, error: findErr } = await supabase
+      .from("user_subscriptions")
+      .select("user_id, stripe_subscription_id, plan, billing_interval, payment_failed_at, grace_until, paid_paused_at")
+      .eq("stripe_subscription_id", stripeSubscriptionId)
+      .maybeSingle();
+
+    if (findErr) return failed("Supabase read failed (user_subscriptions)");
+    if (!row?.user_id) return HANDLED;
+
+    const userId = row.user_id;
+
+    // past_due / unpaid: access stays until grace_until (api/_lib/billing.js)
+    let graceFields = null;
+    if (BILLING_ISSUE_STATUSES.includes(status)) {
+      graceFields = graceFieldsFor(row, (event.created || 0) * 1000 || Date.now());
+      const billing = billingStateFor({ ...row, ...graceFields, status });
+      isActive = billing.in_grace && !billing.paused;
+    }
+
+    // Back to active after a billing issue -> paused seconds come back
+    if (isActive && !graceFields && row.payment_failed_at) {
+      const { error: resErr, resumed_seconds } = await resolveBillingIssue(supabase, userId, row);
+      if (resErr) {
+        console.error("Billing issue resolve failed:", resErr);
+        return failed("Supabase write failed (billing resume)");
+      }
+
+      await safeTrack(supabase, userId, "billing_issue_resolved", {
+        stripe_subscription_id: stripeSubscriptionId,
+        resumed_seconds,
+        source: "subscription_updated",
+      });
+    }
+
+    const update = {
+      status,
+      is_active: isActive,
+      current_period_end: currentPeriodEnd,
+      ...(graceFields || {}),
+    };
+
+    // Plan switch (change-plan endpoint or billing portal): detected from the price
+    const priceId = sub?.items?.data?.[0]?.price?.id || "";
+    const priceInfo = priceInfoFromPriceId(priceId);
+    const oldPlan = normalizePlanId(row.plan);
+    const oldInterval = normalizeInterval(row.billing_interval) || "month";
+    let planChange = null;
+
+    if (priceInfo) {
+      update.stripe_price_id = priceId;
+
+      if (priceInfo.plan !== oldPlan || priceInfo.interval !== oldInterval) {
+        update.plan = priceInfo.plan;
+        update.billing_interval = priceInfo.interval;
+
+        const oldIncluded = includedSecondsForPlan(oldPlan, oldInterval);
+        const newIncluded = includedSecondsForPlan(priceInfo.plan, priceInfo.interval);
+        const fraction = remainingPeriodFraction(sub);
+
+        // month <-> year starts a new billing period at Stripe: the new period's
+        // allocation replaces the rest (no renewal invoice for it, billing_reason
+        // is subscription_update). Same interval: pro-rata difference for the rest.
+        const intervalChanged = priceInfo.interval !== oldInterval;
+
+        planChange = {
+          from_plan: oldPlan || null,
+          from_interval: oldInterval,
+          to_plan: priceInfo.plan,
+          to_interval: priceInfo.interval,
+          mode: intervalChanged ? "replace" : "prorate",
+          period_fraction_left: Math.round(fraction * 1000) / 1000,
+          grant_seconds: intervalChanged ? newIncluded : 0,
+          adjust_seconds: !intervalChanged && oldIncluded ? Math.round((newIncluded - oldIncluded) * fraction) : 0,
+        };
+      }
+    }
+
+    // Paid seconds first: a retry after a failed row update finds the same change again,
+    // and grant / adjustment are keyed by event id so they are only booked once
+    if (planChange && isActive && planChange.mode === "replace" && planChange.grant_seconds > 0) {
+      const { error: grantErr, granted } = await grantUsage(supabase, userId, "paid", planChange.grant_seconds, {
+        reason: "plan_change",
+        ref: event.id,
+        replace: true,
+      });
+
+      if (grantErr) {
+        console.error("usage_grant (interval change) failed:", grantErr);
+        return failed("Supabase write failed (usage_ledger interval change)");
+      }
+
+      planChange.granted = granted;
+    }
+
+    if (planChange && isActive && planChange.mode === "prorate" && planChange.adjust_seconds !== 0) {
+      const { error: adjErr, adjusted_seconds } = await adjustUsage(
+        supabase,
+        userId,
+        "paid",
+        planChange.adjust_seconds,
+        { reason: "plan_change", ref: event.id }
+      );
+
+      if (adjErr) {
+        console.error("usage_adjust (plan change) failed:", adjErr);
+        return failed("Supabase write failed (usage_ledger plan change)");
+      }
+
+      planChange.adjusted_seconds = adjusted_seconds;
+    }
+
+    const { error: updErr } = await supabase
+      .from("user_subscriptions")
+      .update(update)
+      .eq("user_id", userId);
+
+    if (updErr) return failed("Supabase write failed (user_subscriptions)");
+
+    if (planChange) {
+      await safeTrack(supabase, userId, "subscription_plan_changed", {
+        ...planChange,
+        stripe_subscription_id: stripeSubscriptionId,
+        stripe_price_id: priceId,
+      });
+    }
+
+    await safeTrack(supabase, userId, "subscription_updated", {
+      status,
+      is_active: isActive,
+      current_period_end: currentPeriodEnd,
+      stripe_subscription_id: stripeSubscriptionId,
+    });
+
+    return HANDLED;
+  }
+
+  // 3) Renewal (monthly or annual) -> reset seconds (THIS is crucial)
+  //    Any paid invoice also ends a running billing issue (dunning)
+  if (event.type === "invoice.paid") {
+    const invoice = event.data.object;
+
+    const stripeSubscriptionId = invoice?.subscription || null;
+    if (!stripeSubscriptionId) return HANDLED;
+
+    const { data: row, error: findErr } = await supabase
+      .from("user_subscriptions")
+      .select("user_id, stripe_subscription_id, plan, billing_interval, is_active, status, payment_failed_at, paid_paused_at")
+      .eq("stripe_subscription_id", stripeSubscriptionId)
+      .maybeSingle();
+
+    if (findErr) return failed("Supabase read failed (user_subscriptions)");
+    if (!row?.user_id) return HANDLED;
+
+    const userId = row.user_id;
+    let isActive = !!row.is_active;
+
+    // Paid after a failed payment: access back (subscription.updated may arrive later)
+    if (row.payment_failed_at || BILLING_ISSUE_STATUSES.includes(row.status)) {
+      const { error: resErr, resumed_seconds } = await resolveBillingIssue(supabase, userId, row, {
+        status: "active",
+        is_active: true,
+      });
+      if (resErr) {
+        console.error("Billing issue resolve failed:", resErr);
+        return failed("Supabase write failed (billing resume)");
+      }
+
+      isActive = true;
+
+      await safeTrack(supabase, userId, "billing_issue_resolved", {
+        stripe_subscription_id: stripeSubscriptionId,
+        invoice_id: invoice.id,
+        resumed_seconds,
+        source: "invoice_paid",
+      });
+    }
+
+    // only for subscription renewals
+    if (invoice?.billing_reason !== "subscription_cycle") return HANDLED;
+    if (!isActive) return HANDLED;
+
+    const includedSeconds = includedSecondsForPlan(row.plan, row.billing_interval);
+
+    if (!includedSeconds) return HANDLED;
+
+    // Reset = Rest verfällt, neues Kontingent (atomar, gleiche Invoice nur einmal)
+    const { error: rGrantErr } = await grantUsage(supabase, userId, "paid", includedSeconds, {
+      reason: "plan_renewal",
+      ref: invoice.id,
+      replace: true,
+    });
+
+    if (rGrantErr) return failed("Supabase write failed (usage_ledger reset)");
+
+    await safeTrack(supabase, userId, "subscription_renewed", {
+      stripe_subscription_id: stripeSubscriptionId,
+      included_seconds: includedSeconds,
+    });
+
+    return HANDLED;
+  }
+
+  // 4) Subscription Deleted -> deactivate (+ optional zero seconds)
+  if (event.type === "customer.subscription.deleted") {
+    const sub = event.data.object;
+    const stripeSubscriptionId = sub.id;
+
+    const { data: row, error: findErr } = await supabase
+      .from("user_subscriptions")
+      .select("user_id")
+      .eq("stripe_subscription_id", stripeSubscriptionId)
+      .maybeSingle();
+
+    if (findErr) return failed("Supabase read failed (user_subscriptions)");
+    if (!row?.user_id) return HANDLED;
+
+    const userId = row.user_id;
+
+    const { error: updErr } = await supabase
+      .from("user_subscriptions")
+      .update({
+        status: "canceled",
+        is_active: false,
+        current_period_end: null,
+        payment_failed_at: null,
+        grace_until: null,
+        paid_paused_at: null,
+      })
+      .eq("user_id", userId);
+
+    if (updErr) return failed("Supabase write failed (user_subscriptions)");
+
+    // optional: take away paid seconds immediately (depends on your gating)
+    const { error: dExpErr } = await grantUsage(supabase, userId, "paid", 0, {
+      reason: "subscription_deleted",
+      ref: stripeSubscriptionId,
+      replace: true,
+    });
+    if (dExpErr) console.warn("usage_grant (paid expire) failed:", dExpErr.message);
+
+    await safeTrack(supabase, userId, "subscription_deleted", {
+      stripe_subscription_id: stripeSubscriptionId,
+    });
+
+    return HANDLED;
+  }
+
+  // 5) Payment failed -> start grace period (access kept until grace_until)
+  if (event.type === "invoice.payment_failed") {
+    const invoice = event.data.object;
+
+    const stripeSubscriptionId = invoice?.subscription || null;
+    if (!stripeSubscriptionId) return HANDLED;
+
+    const { data: row, error: findErr } = await supabase
+      .from("user_subscriptions")
+      .select("user_id, payment_failed_at, grace_until")
+      .eq("stripe_subscription_id", stripeSubscriptionId)
+      .maybeSingle();
+
+    if (findErr) return failed("Supabase read failed (user_subscriptions)");
+    if (!row?.user_id) return HANDLED;
+
+    const userId = row.user_id;
+    const graceFields = graceFieldsFor(row, (event.created || 0) * 1000 || Date.now());
+
+    if (!row.payment_failed_at) {
+      const { error: updErr } = await supabase
+        .from("user_subscriptions")
+        .update(graceFields)
+        .eq("user_id", userId);
+
+      if (updErr) return failed("Supabase write failed (user_subscriptions)");
+    }
+
+    await safeTrack(supabase, userId, "payment_failed", {
+      stripe_subscription_id: stripeSubscriptionId,
+      invoice_id: invoice.id,
+      attempt_count: invoice?.attempt_count ?? null,
+      amount_due: invoice?.amount_due ?? null,
+      next_payment_attempt: invoice?.next_payment_attempt
+        ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+        : null,
+      payment_failed_at: graceFields.payment_failed_at,
+      grace_until: graceFields.grace_until,
+    });
+
+    return HANDLED;
+  }
+
+  return HANDLED;
+}
+
+// ---------------------------
+// Dedup / replay log (stripe_events)
+// ---------------------------
+
+// Atomic: only one delivery (or replay) processes an event at a time,
+// processed events are never run again
+async function claimStripeEvent(supabase, event, payloadHash) {
+  const { data, error } = await supabase.rpc("stripe_event_claim", {
+    p_id: event.id,
+    p_type: event.type,
+    p_livemode: !!event.livemode,
+    p_payload: event,
+    p_payload_hash: payloadHash,
+  });
+  if (error) return { error };
+
+  const row = Array.isArray(data) ? data[0] || null : data || null;
+  return {
+    error: null,
+    claimed: row?.claimed === true,
+    status: row?.status || null,
+    attempts: row?.attempts ?? 0,
+    payload_hash: row?.payload_hash || null,
+  };
+}
+
+async function finishStripeEvent(supabase, eventId, result) {
+  const nowIso = new Date().toISOString();
+  const { error } = await supabase
+    .from("stripe_events")
+    .update(
+      result?.ok
+        ? { status: "processed", error: null, processed_at: nowIso, updated_at: nowIso }
+        : { status: "failed", error: String(result?.error || "unknown error").slice(0, 2000), updated_at: nowIso }
+    )
+    .eq("id", eventId);
+
+  if (error) console.warn("stripe_events update failed:", error.message);
+  return { error: error || null };
+}
+
+// Claim -> handle -> record; exceptions count as a failed run
+async function runStripeEvent(supabase, stripe, event) {
+  let result;
+  try {
+    result = await handleStripeEvent(event, { stripe, supabase });
+  } catch (e) {
+    console.error("Stripe event handling error:", { id: event?.id, type: event?.type, error: e });
+    result = failed(e?.message || "Webhook handler failed");
+  }
+
+  await finishStripeEvent(supabase, event.id, result);
+  return result;
+}
+
+module.exports = {
+  handleStripeEvent,
+  claimStripeEvent,
+  finishStripeEvent,
+  runStripeEvent,
+};
@@ -0,0 +1,92 @@
+import { createClient } from "@supabase/supabase-js";
+import { isAdminRequest } from "../_lib/admin.js";
+import { EXPERIMENTS, getExperiment } from "../_lib/experiments.js";
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+const num = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * GET /api/admin/experiments
+ * Authorization: Bearer <ADMIN_API_SECRET>
+ * Query:
+ *   experiment?: string     // report for one experiment (otherwise: list of experiments)
+ *   since?: ISO date        // only exposures / sessions from then on
+ *
+ * Per variant: exposed users, session length (user_sessions.duration_seconds),
+ * return rate (another session >= 24h after the first exposure) and
+ * upgrade rate (subscription_activated after the first exposure).
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const experimentId = String(req.query?.experiment || "").trim();
+
+    if (!experimentId) {
+      return res.status(200).json({
+        experiments: Object.values(EXPERIMENTS).map((e) => ({
+          id: e.id,
+          running: e.running,
+          description: e.description,
+          variants: e.variants.map((v) => ({ id: v.id, weight: v.weight, config: v.config })),
+        })),
+      });
+    }
+
+    const experiment = getExperiment(experimentId);
+    if (!experiment) return res.status(404).json({ error: "Experiment not found" });
+
+    const sinceRaw = String(req.query?.since || "").trim();
+    const since = sinceRaw ? new Date(sinceRaw) : null;
+    if (since && !Number.isFinite(since.getTime())) return res.status(400).json({ error: "Invalid since" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: rows, error } = await supabase.rpc("experiment_report", {
+      p_experiment: experiment.id,
+      p_since: since ? since.toISOString() : null,
+    });
+    if (error) return res.status(500).json({ error: error.message });
+
+    const byVariant = new Map((Array.isArray(rows) ? rows : []).map((r) => [r.variant, r]));
+
+    // Catalog variants first (also without exposures yet), then anything only found in the data
+    const variantIds = [...new Set([...experiment.variants.map((v) => v.id), ...byVariant.keys()])];
+
+    const variants = variantIds.map((id) => {
+      const r = byVariant.get(id) || {};
+      const users = r.users || 0;
+      return {
+        variant: id,
+        in_catalog: experiment.variants.some((v) => v.id === id),
+        users,
+        sessions: r.sessions || 0,
+        avg_session_seconds: num(r.avg_session_seconds),
+        median_session_seconds: num(r.median_session_seconds),
+        returned_users: r.returned_users || 0,
+        return_rate: rate(r.returned_users || 0, users),
+        upgraded_users: r.upgraded_users || 0,
+        upgrade_rate: rate(r.upgraded_users || 0, users),
+      };
+    });
+
+    return res.status(200).json({
+      experiment: experiment.id,
+      running: experiment.running,
+      since: since ? since.toISOString() : null,
+      variants,
+    });
+  } catch (e) {
+    console.error("experiments report error:", e);
+    return res.status(500).json({ error: "Report failed" });
+  }
+}
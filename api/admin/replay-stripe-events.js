@@ -0,0 +1,91 @@
+import Stripe from "stripe";
+import { createClient } from "@supabase/supabase-js";
+import { isAdminRequest } from "../_lib/admin.js";
+import { claimStripeEvent, runStripeEvent } from "../_lib/stripe-events.js";
+
+const DEFAULT_BATCH = 20;
+const MAX_BATCH = 100;
+
+/**
+ * POST /api/admin/replay-stripe-events
+ * Authorization: Bearer <ADMIN_API_SECRET>
+ * Body: {
+ *   event_id?: string,     // replay one event
+ *   limit?: number         // otherwise: oldest failed events (default 20, max 100)
+ * }
+ *
+ * Re-runs failed webhook events from the stored payload (e.g. after a bug fix).
+ * Processed events are never run again.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(500).json({ error: "Missing STRIPE_SECRET_KEY" });
+    }
+
+    const { event_id, limit } = req.body || {};
+    const eventId = String(event_id || "").trim();
+    const batch = Math.max(1, Math.min(MAX_BATCH, parseInt(limit ?? DEFAULT_BATCH, 10) || DEFAULT_BATCH));
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+    let query = supabase
+      .from("stripe_events")
+      .select("id, type, status, payload, payload_hash, attempts");
+
+    query = eventId
+      ? query.eq("id", eventId)
+      : query.eq("status", "failed").order("received_at", { ascending: true }).limit(batch);
+
+    const { data: rows, error: listErr } = await query;
+    if (listErr) return res.status(500).json({ error: listErr.message });
+
+    if (eventId && !rows?.length) return res.status(404).json({ error: "Event not found" });
+
+    const results = [];
+
+    for (const row of Array.isArray(rows) ? rows : []) {
+      const claim = await claimStripeEvent(supabase, row.payload, row.payload_hash);
+      if (claim.error) {
+        results.push({ id: row.id, type: row.type, replayed: false, error: claim.error.message });
+        continue;
+      }
+
+      if (!claim.claimed) {
+        results.push({ id: row.id, type: row.type, replayed: false, status: claim.status });
+        continue;
+      }
+
+      const result = await runStripeEvent(supabase, stripe, row.payload);
+      results.push({
+        id: row.id,
+        type: row.type,
+        replayed: true,
+        status: result.ok ? "processed" : "failed",
+        attempts: claim.attempts,
+        error: result.ok ? undefined : result.error,
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      replayed: results.filter((r) => r.replayed).length,
+      failed: results.filter((r) => r.status === "failed").length,
+      results,
+    });
+  } catch (e) {
+    console.error("replay-stripe-events error:", e);
+    return res.status(500).json({ error: "Replay failed" });
+  }
+}
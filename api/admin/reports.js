@@ -0,0 +1,207 @@
+import { createClient } from "@supabase/supabase-js";
+import { isAdminRequest } from "../_lib/admin.js";
+import { CONVERSATION_INSIGHTS_PROMPT, CONVERSATION_INSIGHTS_VERSIONS, getInsightsPrompt, templateId } from "../_lib/prompts.js";
+import {
+  DEFAULT_OUTPUT_MODEL,
+  generateConversationOutput,
+  outputRowFor,
+  saveConversationOutput,
+  transcriptForModel,
+} from "../_lib/conversation-output.js";
+import { replaceUntouchedTasks } from "../_lib/action-tasks.js";
+
+const OUTDATED_LIMIT = 50;
+
+const VERSION_COLUMNS =
+  "version, is_current, superseded_at, title, short_summary, key_insights, action_plan, open_questions, " +
+  "intent_report, model, prompt_version, created_at";
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+const isModelName = (value) => /^[A-Za-z0-9._:-]{1,64}$/.test(value);
+
+/**
+ * /api/admin/reports
+ * Authorization: Bearer <ADMIN_API_SECRET>
+ *
+ * GET  ?session_id=<id>   -> all report versions of the session, newest first
+ * GET  ?outdated=1        -> sessions whose current report ran on an older insights prompt
+ * POST { session_id, model?, prompt_version?, activate? }
+ *      -> re-runs the report over the stored transcript (conversation_messages) as a new version.
+ *         model           default OUTPUT_MODEL / MEMORY_MODEL / gpt-4o-mini
+ *         prompt_version  e.g. "conversation-insights-v3" or 3 (default: current)
+ *         activate        default true; false = store for comparison, current version stays
+ *
+ * Earlier versions are never overwritten. When the new version becomes current, its action
+ * plan replaces the session's untouched open tasks (action_tasks; done / dropped / reopened
+ * ones stay). Long-term memory (memory_items) stays as the call produced it.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    // ---- GET ----
+    if (req.method === "GET") {
+      const query = req.query || {};
+      const sessionId = String(query.session_id || "").trim();
+
+      if (!sessionId && query.outdated) {
+        const current = templateId(CONVERSATION_INSIGHTS_PROMPT);
+        const { data: rows, error } = await supabase
+          .from("conversation_outputs")
+          .select("session_id, version, model, prompt_version, created_at")
+          .eq("is_current", true)
+          .or(`prompt_version.is.null,prompt_version.neq.${current}`)
+          .order("created_at", { ascending: false })
+          .limit(OUTDATED_LIMIT);
+        if (error) return res.status(500).json({ error: error.message });
+
+        return res.status(200).json({
+          current_prompt_version: current,
+          prompt_versions: Object.keys(CONVERSATION_INSIGHTS_VERSIONS),
+          sessions: Array.isArray(rows) ? rows : [],
+        });
+      }
+
+      if (!isUuid(sessionId)) return res.status(400).json({ error: "Invalid session_id" });
+
+      const { data: versions, error } = await supabase
+        .from("conversation_outputs")
+        .select(VERSION_COLUMNS)
+        .eq("session_id", sessionId)
+        .order("version", { ascending: false });
+      if (error) return res.status(500).json({ error: error.message });
+      if (!versions?.length) return res.status(404).json({ error: "No report for this session" });
+
+      return res.status(200).json({ session_id: sessionId, versions });
+    }
+
+    // ---- POST: regenerate ----
+    let body = req.body;
+    if (typeof body === "string") {
+      try { body = JSON.parse(body); } catch { body = {}; }
+    }
+    body = body && typeof body === "object" ? body : {};
+
+    const sessionId = String(body.session_id || "").trim();
+    const model = String(body.model || "").trim() || process.env.OUTPUT_MODEL || process.env.MEMORY_MODEL || DEFAULT_OUTPUT_MODEL;
+    const template = getInsightsPrompt(body.prompt_version);
+    const activate = body.activate === undefined ? true : body.activate;
+
+    if (!isUuid(sessionId)) return res.status(400).json({ error: "Invalid session_id" });
+    if (!isModelName(model)) return res.status(400).json({ error: "Invalid model" });
+    if (!template) {
+      return res.status(400).json({
+        error: `Unknown prompt_version (known: ${Object.keys(CONVERSATION_INSIGHTS_VERSIONS).join(", ")})`,
+      });
+    }
+    if (typeof activate !== "boolean") return res.status(400).json({ error: "activate must be a boolean" });
+    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
+
+    const { data: session, error: sessErr } = await supabase
+      .from("user_sessions")
+      .select("id, user_id, title, session_date, short_summary, emotional_tone, stress_level, closeness_level, intent")
+      .eq("id", sessionId)
+      .maybeSingle();
+    if (sessErr) return res.status(500).json({ error: sessErr.message });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const { data: messages, error: msgErr } = await supabase
+      .from("conversation_messages")
+      .select("role, text")
+      .eq("session_id", sessionId)
+      .order("seq", { ascending: true });
+    if (msgErr) return res.status(500).json({ error: msgErr.message });
+
+    const transcriptText = transcriptForModel(messages);
+    if (!transcriptText) return res.status(409).json({ error: "No stored transcript for this session" });
+
+    const { data: current } = await supabase
+      .from("conversation_outputs")
+      .select("title")
+      .eq("session_id", sessionId)
+      .eq("is_current", true)
+      .maybeSingle();
+
+    const reportContext = {
+      fallbackSummary: session.short_summary || "",
+      emotionalTone: session.emotional_tone || "",
+      stressLevel: session.stress_level,
+      closenessLevel: session.closeness_level,
+    };
+
+    // No fallback here: a failed run must not become a version
+    let conversationOutput;
+    try {
+      conversationOutput = await generateConversationOutput({
+        ...reportContext,
+        transcriptText,
+        openAiKey: process.env.OPENAI_API_KEY,
+        model,
+        intent: session.intent || "",
+        sessionDate: session.session_date,
+        template,
+      });
+    } catch (e) {
+      console.error("report regeneration failed:", e?.message || e);
+      return res.status(502).json({ error: "Report generation failed", detail: String(e?.message || e) });
+    }
+
+    const row = outputRowFor(conversationOutput, {
+      ...reportContext,
+      title: current?.title || session.title || "",
+      model,
+      promptVersion: templateId(template),
+    });
+
+    const saved = await saveConversationOutput(supabase, sessionId, row, { activate });
+    if (saved.error) return res.status(500).json({ error: saved.error.message });
+
+    // The follow-ups should come from the report the user sees
+    let tasks = null;
+    if (saved.isCurrent) {
+      const replaced = await replaceUntouchedTasks(supabase, session.user_id, {
+        sessionId,
+        actionPlan: conversationOutput.tasks,
+      });
+      if (replaced.error) {
+        console.error("action_tasks replace failed:", replaced.error);
+        return res.status(500).json({ error: replaced.error.message, version: saved.version });
+      }
+      tasks = { removed: replaced.removed, added: replaced.saved };
+    }
+
+    console.log("[admin/reports] regenerated", {
+      session_id: sessionId,
+      version: saved.version,
+      model,
+      prompt_version: row.prompt_version,
+      current: saved.isCurrent,
+      tasks,
+    });
+
+    return res.status(200).json({
+      session_id: sessionId,
+      version: saved.version,
+      is_current: saved.isCurrent,
+      output: row,
+      tasks,
+    });
+  } catch (err) {
+    console.error("admin reports error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -0,0 +1,146 @@
+import { createClient } from "@supabase/supabase-js";
+import { isAdminRequest, isCronRequest } from "../_lib/admin.js";
+import { claimJob, completeJob, failJob, requeueJob } from "../_lib/jobs.js";
+import { POST_CALL_JOB, markPostCallFailed, runPostCallJob } from "../_lib/post-call.js";
+
+const DEFAULT_BATCH = 5;
+const MAX_BATCH = 20;
+const START_BUDGET_MS = 20000; // no new job after this; a running one finishes
+
+// type -> { run(supabase, job) -> result, onDead?(supabase, job) }
+const JOB_HANDLERS = {
+  [POST_CALL_JOB]: { run: runPostCallJob, onDead: markPostCallFailed },
+};
+
+// Dead-letter handling of the job type; a failure here must not stop the batch
+async function onDead(supabase, job) {
+  const jobHandler = JOB_HANDLERS[job.type];
+  if (!jobHandler?.onDead) return;
+  try {
+    await jobHandler.onDead(supabase, job);
+  } catch (e) {
+    console.error("[run-jobs] onDead failed", { id: job.id, type: job.type, error: String(e?.message || e) });
+  }
+}
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+/**
+ * /api/admin/run-jobs  (background job worker)
+ * Authorization: Bearer <ADMIN_API_SECRET> or Bearer <CRON_SECRET>
+ *
+ * GET                         -> scheduled run (e.g. Vercel Cron, every minute): due jobs, oldest first
+ * POST {
+ *   job_id?: string,          // run this job now (memory-update kicks its job this way)
+ *   requeue?: boolean,        // with job_id: take a dead job out of the dead letter first
+ *   limit?: number            // otherwise: up to N due jobs (default 5, max 20)
+ * }
+ *
+ * Due = queued with run_after reached, or running with an expired lease (the run died).
+ * A failed attempt goes back to queued with backoff (api/_lib/jobs.js); after
+ * max_attempts the job is dead and the handler's onDead runs. That includes a last
+ * attempt that died with its lease: the claim hands those back as dead.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isAdminRequest(req) && !isCronRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
+
+    let body = req.method === "POST" ? req.body : {};
+    if (typeof body === "string") {
+      try { body = JSON.parse(body); } catch { body = {}; }
+    }
+    body = body && typeof body === "object" ? body : {};
+
+    const jobId = String(body.job_id || "").trim();
+    const batch = jobId ? 1 : Math.max(1, Math.min(MAX_BATCH, parseInt(body.limit ?? DEFAULT_BATCH, 10) || DEFAULT_BATCH));
+
+    if (jobId && !isUuid(jobId)) return res.status(400).json({ error: "Invalid job_id" });
+    if (body.requeue && !jobId) return res.status(400).json({ error: "requeue needs a job_id" });
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    if (body.requeue) {
+      const { error: requeueErr, job: requeued } = await requeueJob(supabase, jobId);
+      if (requeueErr) return res.status(500).json({ error: requeueErr.message });
+      if (!requeued) return res.status(409).json({ error: "Job is not dead" });
+    }
+
+    const startedAt = Date.now();
+    const results = [];
+
+    while (results.length < batch && Date.now() - startedAt < START_BUDGET_MS) {
+      const { error: claimErr, job, expired } = await claimJob(supabase, { jobId: jobId || null });
+      if (claimErr) return res.status(500).json({ error: claimErr.message, results });
+
+      // Last attempt died with its lease (timeout / crash): dead now, same handling as a failed run
+      for (const deadJob of expired) {
+        console.error("[run-jobs] job dead (lease expired)", { id: deadJob.id, type: deadJob.type, attempts: deadJob.attempts });
+        await onDead(supabase, deadJob);
+        results.push({ id: deadJob.id, type: deadJob.type, status: "dead", attempts: deadJob.attempts, error: "lease expired" });
+      }
+
+      if (!job) break;
+
+      const jobHandler = JOB_HANDLERS[job.type];
+
+      try {
+        if (!jobHandler) throw new Error(`Unknown job type: ${job.type}`);
+        const result = await jobHandler.run(supabase, job);
+
+        const { error: doneErr, settled } = await completeJob(supabase, job, result);
+        if (doneErr) console.error("background_jobs complete failed:", doneErr);
+
+        results.push({ id: job.id, type: job.type, status: settled ? "done" : "lost_lease", attempts: job.attempts });
+      } catch (e) {
+        const message = String(e?.message || e);
+        console.error("[run-jobs] attempt failed", { id: job.id, type: job.type, attempt: job.attempts, error: message });
+
+        const failed = await failJob(supabase, job, e);
+        if (failed.error) console.error("background_jobs fail update failed:", failed.error);
+
+        if (failed.dead && failed.settled) {
+          console.error("[run-jobs] job dead", { id: job.id, type: job.type, attempts: job.attempts });
+          await onDead(supabase, { ...job, last_error: message });
+        }
+
+        results.push({
+          id: job.id,
+          type: job.type,
+          status: !failed.settled ? "lost_lease" : failed.dead ? "dead" : "queued",
+          attempts: job.attempts,
+          retry_at: failed.dead ? undefined : failed.runAfter || undefined,
+          error: message,
+        });
+      }
+
+      if (jobId) break;
+    }
+
+    if (jobId && !results.length) {
+      const { data: current } = await supabase
+        .from("background_jobs")
+        .select("id, type, status, attempts, run_after")
+        .eq("id", jobId)
+        .maybeSingle();
+      if (!current) return res.status(404).json({ error: "Job not found" });
+      return res.status(200).json({ ok: true, ran: 0, job: current });
+    }
+
+    return res.status(200).json({ ok: true, ran: results.length, results });
+  } catch (err) {
+    console.error("run-jobs error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
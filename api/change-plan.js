@@ -0,0 +1,116 @@
+import Stripe from "stripe";
+import { createClient } from "@supabase/supabase-js";
+import {
+  getPlan,
+  intervalIds,
+  normalizeInterval,
+  normalizePlanId,
+  planIds,
+  priceIdForPlan,
+} from "./_lib/plans.js";
+
+/**
+ * POST /api/change-plan
+ * Body: {
+ *   plan: "starter" | "plus",
+ *   interval?: "month" | "year"        // default "month"
+ * }
+ *
+ * Switches the existing Stripe subscription to the new price with proration
+ * (the difference is invoiced right away). Plan, interval and paid seconds are
+ * updated by the webhook (customer.subscription.updated), not here.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    let body = req.body;
+    if (typeof body === "string") {
+      try { body = JSON.parse(body); } catch { body = {}; }
+    }
+    const { plan, interval } = body && typeof body === "object" ? body : {};
+
+    const p = getPlan(plan)?.id || "";
+    const billingInterval = normalizeInterval(interval);
+
+    if (!billingInterval) {
+      const allowed = intervalIds().map((id) => `'${id}'`).join(" | ");
+      return res.status(400).json({ error: `Invalid interval. Use { interval: ${allowed} }` });
+    }
+
+    const priceId = priceIdForPlan(p, billingInterval);
+    if (!priceId) {
+      const allowed = planIds().map((id) => `'${id}'`).join(" | ");
+      return res.status(400).json({ error: `Missing/invalid plan. Use { plan: ${allowed} }` });
+    }
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(500).json({ error: "Missing STRIPE_SECRET_KEY" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+    const { data: { user }, error: userErr } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    const { data: row, error: subErr } = await supabase
+      .from("user_subscriptions")
+      .select("stripe_subscription_id, plan, billing_interval, is_active")
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (subErr) return res.status(500).json({ error: subErr.message });
+
+    // No subscription yet -> regular checkout
+    if (!row?.stripe_subscription_id || !row.is_active) {
+      return res.status(404).json({ error: "No active subscription" });
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(row.stripe_subscription_id);
+    const item = subscription?.items?.data?.[0];
+
+    if (!item?.id) return res.status(409).json({ error: "Subscription has no item to change" });
+    if (subscription.cancel_at_period_end) {
+      return res.status(409).json({ error: "Subscription is set to cancel. Resume it first." });
+    }
+
+    if (item.price?.id === priceId) {
+      return res.status(409).json({
+        error: "Already on this plan",
+        plan: normalizePlanId(row.plan) || p,
+        interval: normalizeInterval(row.billing_interval) || "month",
+      });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price: priceId }],
+      proration_behavior: "always_invoice",
+      metadata: { ...(subscription.metadata || {}), plan: p, interval: billingInterval },
+    });
+
+    return res.status(200).json({
+      ok: true,
+      plan: p,
+      interval: billingInterval,
+      status: updated?.status || null,
+      stripe_subscription_id: updated?.id || subscription.id,
+    });
+  } catch (e) {
+    console.error("change-plan error:", e);
+    if (e?.type && String(e.type).startsWith("Stripe")) {
+      return res.status(502).json({ error: "Stripe error", detail: e.message });
+    }
+    return res.status(500).json({ error: "Plan change failed" });
+  }
+}
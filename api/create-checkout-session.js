@@ -1,3 +1,5 @@
+import { getPlan, intervalIds, normalizeInterval, planIds, priceIdForPlan } from "./_lib/plans.js";
+
 export default async function handler(req, res) {
   try {
     if (req.method !== "POST") {
@@ -42,18 +44,20 @@ export default async function handler(req, res) {
     const stripeKey = process.env.STRIPE_SECRET_KEY;
     if (!stripeKey) return res.status(500).json({ error: "Missing STRIPE_SECRET_KEY" });
 
-    const { plan, legal } = bodyJson || {};
-    const p = String(plan || "").toLowerCase().trim();
+    const { plan, interval, legal } = bodyJson || {};
+    const p = getPlan(plan)?.id || "";
+    const billingInterval = normalizeInterval(interval);
+
+    if (!billingInterval) {
+      const allowed = intervalIds().map((id) => `'${id}'`).join(" | ");
+      return res.status(400).json({ error: `Invalid interval. Use { interval: ${allowed} }` });
+    }
 
-    const priceId =
-      p === "starter"
-        ? process.env.STRIPE_PRICE_ID_STARTER
-        : p === "plus"
-        ? process.env.STRIPE_PRICE_ID_PLUS
-        : null;
+    const priceId = priceIdForPlan(p, billingInterval);
 
     if (!priceId) {
-      return res.status(400).json({ error: "Missing/invalid plan. Use { plan: 'starter' | 'plus' }" });
+      const allowed = planIds().map((id) => `'${id}'`).join(" | ");
+      return res.status(400).json({ error: `Missing/invalid plan. Use { plan: ${allowed} }` });
     }
 
     // --- LEGAL ENFORCEMENT (server-side) ---
@@ -136,12 +140,14 @@ export default async function handler(req, res) {
 
     stripeBody.append("metadata[user_id]", userId);
     stripeBody.append("metadata[plan]", p);
+    stripeBody.append("metadata[interval]", billingInterval);
     stripeBody.append("metadata[terms_version]", TERMS_VERSION);
     stripeBody.append("metadata[privacy_version]", PRIVACY_VERSION);
     stripeBody.append("metadata[waiver_version]", WAIVER_VERSION);
 
     stripeBody.append("subscription_data[metadata][user_id]", userId);
     stripeBody.append("subscription_data[metadata][plan]", p);
+    stripeBody.append("subscription_data[metadata][interval]", billingInterval);
     stripeBody.append("subscription_data[metadata][terms_version]", TERMS_VERSION);
     stripeBody.append("subscription_data[metadata][privacy_version]", PRIVACY_VERSION);
     stripeBody.append("subscription_data[metadata][waiver_version]", WAIVER_VERSION);
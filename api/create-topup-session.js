@@ -1,3 +1,5 @@
+import { TOPUP_PACKS, priceIdForTopupPack } from "./_lib/plans.js";
+
 export default async function handler(req, res) {
   try {
     if (req.method !== "POST") {
@@ -48,17 +50,10 @@ export default async function handler(req, res) {
     const { pack } = req.body || {}; // 5 | 10 | 20
     const k = Number(pack);
 
-    const priceId =
-      k === 5
-        ? process.env.STRIPE_PRICE_ID_TOPUP_5
-        : k === 10
-        ? process.env.STRIPE_PRICE_ID_TOPUP_10
-        : k === 20
-        ? process.env.STRIPE_PRICE_ID_TOPUP_20
-        : null;
+    const priceId = priceIdForTopupPack(k);
 
     if (!priceId) {
-      return res.status(400).json({ error: "Invalid pack. Use { pack: 5 | 10 | 20 }" });
+      return res.status(400).json({ error: `Invalid pack. Use { pack: ${Object.keys(TOPUP_PACKS).join(" | ")} }` });
     }
 
     const origin = req.headers.origin || "https://meet-sophie.com";
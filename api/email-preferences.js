@@ -0,0 +1,78 @@
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * /api/email-preferences
+ * Authorization: Bearer <user JWT>
+ *
+ * GET   -> { report_emails, email }
+ * PATCH { report_emails: boolean } -> opt in / out of the post-call report email
+ *
+ * The first write creates the row (with the user's unsubscribe token, see
+ * /api/unsubscribe). Opt-in only: nothing is sent before report_emails = true.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "PATCH") {
+      res.setHeader("Allow", "GET, PATCH");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    if (req.method === "PATCH") {
+      let body = req.body;
+      if (typeof body === "string") {
+        try { body = JSON.parse(body); } catch { body = {}; }
+      }
+      body = body && typeof body === "object" ? body : {};
+
+      if (typeof body.report_emails !== "boolean") {
+        return res.status(400).json({ error: "report_emails must be a boolean" });
+      }
+      if (body.report_emails && !user.email) {
+        return res.status(400).json({ error: "No email address on this account" });
+      }
+
+      const nowIso = new Date().toISOString();
+      const { error: upErr } = await supabase.from("email_preferences").upsert(
+        {
+          user_id: user.id,
+          report_emails: body.report_emails,
+          ...(body.report_emails ? { opted_in_at: nowIso, unsubscribed_at: null } : { unsubscribed_at: nowIso }),
+          updated_at: nowIso,
+        },
+        { onConflict: "user_id" }
+      );
+      if (upErr) return res.status(500).json({ error: upErr.message });
+    }
+
+    const { data: prefs, error: prefsErr } = await supabase
+      .from("email_preferences")
+      .select("report_emails")
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (prefsErr) return res.status(500).json({ error: prefsErr.message });
+
+    return res.status(200).json({
+      report_emails: !!prefs?.report_emails,
+      email: user.email || null,
+    });
+  } catch (err) {
+    console.error("email-preferences error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -0,0 +1,125 @@
+import { createClient } from "@supabase/supabase-js";
+import { reportToIcs, reportToMarkdown, reportToPdf } from "./_lib/report-export.js";
+
+const FORMATS = {
+  md: { type: "text/markdown; charset=utf-8", ext: "md" },
+  pdf: { type: "application/pdf", ext: "pdf" },
+  ics: { type: "text/calendar; charset=utf-8", ext: "ics" },
+};
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+function isDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// "Conversation with Len" + 2026-10-19 -> "sophie-2026-10-19-conversation-with-len"
+function fileBase(session, output) {
+  const slug = String(output?.title || session?.title || "report")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  const date = String(session?.session_date || "").slice(0, 10);
+  return ["sophie", date, slug || "report"].filter(Boolean).join("-");
+}
+
+/**
+ * GET /api/export?id=<session_id>&format=md|pdf|ics
+ * Authorization: Bearer <user JWT>
+ *
+ * Thinking report of one session (conversation_outputs) as a file:
+ * - md   Markdown
+ * - pdf  printable PDF, rendered on the server
+ * - ics  action plan as calendar entries. Optional:
+ *        kind=todo (default, VTODO tasks) | event (all-day events, for calendars without tasks)
+ *        due=YYYY-MM-DD  due date for items the report has no date for
+ *
+ * Section titles follow the user's preferred_language (report text as the model wrote it).
+ * Always scoped to the caller, like /api/sessions.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    const query = req.query || {};
+    const sessionId = String(query.id || "").trim();
+    const format = String(query.format || "md").toLowerCase().trim();
+    const kind = String(query.kind || "todo").toLowerCase().trim();
+    const due = String(query.due || "").trim();
+
+    if (!isUuid(sessionId)) return res.status(400).json({ error: "Invalid session id" });
+    if (!FORMATS[format]) return res.status(400).json({ error: "Invalid format (md, pdf or ics)" });
+    if (kind !== "todo" && kind !== "event") return res.status(400).json({ error: "Invalid kind (todo or event)" });
+    if (due && !isDay(due)) return res.status(400).json({ error: "Invalid due date (YYYY-MM-DD)" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    const { data: session, error: sessErr } = await supabase
+      .from("user_sessions")
+      .select("id, title, session_date")
+      .eq("id", sessionId)
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (sessErr) return res.status(500).json({ error: sessErr.message });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const { data: output, error: outErr } = await supabase
+      .from("conversation_outputs")
+      .select("title, short_summary, key_insights, action_plan, open_questions, intent_report")
+      .eq("session_id", sessionId)
+      .eq("is_current", true)
+      .maybeSingle();
+
+    if (outErr) return res.status(500).json({ error: outErr.message });
+    if (!output) return res.status(404).json({ error: "No thinking report for this session" });
+
+    // Section titles in the user's language, like the report email
+    const { data: profile, error: profErr } = await supabase
+      .from("user_profile")
+      .select("preferred_language")
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (profErr) return res.status(500).json({ error: profErr.message });
+    const language = profile?.preferred_language || "en";
+
+    const report = { session, output };
+    const body =
+      format === "pdf"
+        ? reportToPdf(report, { language })
+        : format === "ics"
+        ? reportToIcs(report, { kind, defaultDue: due })
+        : reportToMarkdown(report, { language });
+
+    res.setHeader("Content-Type", FORMATS[format].type);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileBase(session, output)}.${FORMATS[format].ext}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.status(200).send(body);
+  } catch (err) {
+    console.error("export error:", err);
+    return res.status(500).json({ error: "Export failed" });
+  }
+}
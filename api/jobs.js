@@ -0,0 +1,69 @@
+import { createClient } from "@supabase/supabase-js";
+
+const JOB_COLUMNS = "id, type, session_id, status, attempts, max_attempts, run_after, result, created_at, updated_at, finished_at";
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+/**
+ * GET /api/jobs?id=<job id>            (or ?session_id=<id>: the session's post-call job)
+ * Authorization: Bearer <user JWT>
+ *
+ * -> { job: { id, type, session_id, status, attempts, max_attempts, retry_at, ... }, result }
+ *    status: queued | running | done | dead
+ *    result: what the job produced once done (post_call: session, output, report_emailed, ...),
+ *            null before
+ *
+ * The talk page polls this after /api/memory-update queued the post-call job.
+ * Always scoped to the caller.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    const query = req.query || {};
+    const jobId = String(query.id || "").trim();
+    const sessionId = String(query.session_id || "").trim();
+
+    if (!isUuid(jobId) && !isUuid(sessionId)) return res.status(400).json({ error: "Invalid job id" });
+
+    let lookup = supabase.from("background_jobs").select(JOB_COLUMNS).eq("user_id", user.id);
+    lookup = isUuid(jobId) ? lookup.eq("id", jobId) : lookup.eq("session_id", sessionId).eq("type", "post_call");
+
+    const { data: job, error: jobErr } = await lookup.maybeSingle();
+    if (jobErr) return res.status(500).json({ error: jobErr.message });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    const { result, run_after, ...rest } = job;
+
+    // No-store: the status changes while the page polls
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      job: { ...rest, retry_at: job.status === "queued" && job.attempts > 0 ? run_after : null },
+      result: job.status === "done" ? result || null : null,
+    });
+  } catch (err) {
+    console.error("jobs error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
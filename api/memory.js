@@ -0,0 +1,292 @@
+import { createClient } from "@supabase/supabase-js";
+import { MEMORY_FIELDS, isMemoryField, memoryFieldNames, validateMemoryValue } from "./_lib/memory-rules.js";
+import {
+  FACT_FIELDS,
+  LIST_FIELDS,
+  USER_CONFIDENCE,
+  factKey,
+  loadMemoryFacts,
+  rejectPendingFacts,
+  syncMemoryFacts,
+} from "./_lib/memory-facts.js";
+
+function fieldsOf(table) {
+  return memoryFieldNames().filter((f) => MEMORY_FIELDS[f].table === table);
+}
+
+function fieldView(field, prof, rel, confirmed, facts = []) {
+  const row = MEMORY_FIELDS[field].table === "user_profile" ? prof : rel;
+  const view = {
+    field,
+    value: row?.[field] ?? null,
+    confirmed: confirmed.has(field),
+  };
+
+  // Where a value came from (session + message) and how sure Sophie is,
+  // earlier values (history) and extractions waiting for confirmation (pending)
+  if (FACT_FIELDS.includes(field)) {
+    const ofStatus = (status) => facts.filter((f) => f.field === field && (f.status || "current") === status);
+    const provenance = (f) => ({
+      value: f.value,
+      confidence: f.confidence,
+      source: f.source,
+      source_session_id: f.source_session_id || null,
+      source_seq: f.source_seq ?? null,
+      extracted_at: f.extracted_at || null,
+    });
+
+    view.sources = ofStatus("current").map(provenance);
+    view.pending = ofStatus("pending").map((f) => ({ ...provenance(f), evidence: f.evidence || null }));
+    view.history = ofStatus("past").map((f) => ({
+      value: f.value,
+      source: f.source,
+      valid_from: f.valid_from || null,
+      valid_to: f.valid_to || null,
+    }));
+  }
+
+  return view;
+}
+
+/**
+ * /api/memory  ("What Sophie knows about me")
+ *
+ * GET    /api/memory                   -> all memory fields
+ * GET    /api/memory?field=occupation  -> one field
+ * PATCH  /api/memory?field=occupation  body { value }          -> set one field
+ * PATCH  /api/memory                   body { fields: {...} }  -> set several fields
+ * DELETE /api/memory?field=occupation  -> clear one field
+ *
+ * PATCH  /api/memory?field=occupation  body { resolve: "accept" | "reject", value? }
+ *   -> settle an extraction that contradicted a confirmed value (field.pending)
+ *
+ * The replaced value goes to the field's history (valid_from / valid_to). If it was
+ * never true, pass previous: "wrong" (body, or ?previous=wrong on DELETE) to drop it instead.
+ *
+ * Values go through the same scrub/ban rules as memory-update (api/_lib/memory-rules.js).
+ * Every edit marks the field as confirmed (later extraction runs keep it) and sets
+ * memory_confidence = high and last_confirmed_at on user_profile.
+ */
+export default async function handler(req, res) {
+  try {
+    if (!["GET", "PATCH", "DELETE"].includes(req.method)) {
+      res.setHeader("Allow", "GET, PATCH, DELETE");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    const field = req.query?.field ? String(req.query.field).trim() : "";
+    if (field && !isMemoryField(field)) {
+      return res.status(400).json({ error: `Unknown field. Use one of: ${memoryFieldNames().join(", ")}` });
+    }
+
+    // ---------------------------
+    // Current rows
+    // ---------------------------
+    const { data: prof, error: profErr } = await supabase
+      .from("user_profile")
+      .select([...fieldsOf("user_profile"), "memory_confidence", "last_confirmed_at", "confirmed_fields", "updated_at"].join(", "))
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (profErr) return res.status(500).json({ error: profErr.message });
+
+    const { data: rel, error: relErr } = await supabase
+      .from("user_relationship")
+      .select([...fieldsOf("user_relationship"), "updated_at"].join(", "))
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (relErr) return res.status(500).json({ error: relErr.message });
+
+    const confirmed = new Set(Array.isArray(prof?.confirmed_fields) ? prof.confirmed_fields : []);
+
+    // ---------------------------
+    // GET
+    // ---------------------------
+    if (req.method === "GET") {
+      const { facts, error: factsErr } = await loadMemoryFacts(supabase, user.id, {
+        statuses: ["current", "pending", "past"],
+      });
+      if (factsErr) return res.status(500).json({ error: factsErr.message });
+
+      const meta = {
+        memory_confidence: prof?.memory_confidence || null,
+        last_confirmed_at: prof?.last_confirmed_at || null,
+      };
+
+      if (field) return res.status(200).json({ ...fieldView(field, prof, rel, confirmed, facts), ...meta });
+
+      return res.status(200).json({
+        fields: memoryFieldNames().map((f) => fieldView(f, prof, rel, confirmed, facts)),
+        ...meta,
+      });
+    }
+
+    // ---------------------------
+    // PATCH / DELETE -> validated changes
+    // ---------------------------
+    let changes = {};
+    let previous = String(req.query?.previous || "").trim();
+    let settle = true;
+
+    if (req.method === "DELETE") {
+      if (!field) return res.status(400).json({ error: "Missing field" });
+      changes[field] = null;
+    } else {
+      let body = req.body;
+      if (typeof body === "string") {
+        try { body = JSON.parse(body); } catch { body = {}; }
+      }
+      body = body && typeof body === "object" ? body : {};
+      if (body.previous !== undefined) previous = String(body.previous || "").trim();
+
+      if (body.resolve !== undefined) {
+        // ---------------------------
+        // Pending conflict: accept = becomes the value, reject = stays as it is
+        // ---------------------------
+        if (!field || !FACT_FIELDS.includes(field)) {
+          return res.status(400).json({ error: "resolve needs ?field= with a fact field" });
+        }
+
+        const { facts: pendingFacts, error: pendErr } = await loadMemoryFacts(supabase, user.id, {
+          statuses: ["pending"],
+        });
+        if (pendErr) return res.status(500).json({ error: pendErr.message });
+
+        const hasValue = body.value !== undefined && body.value !== null;
+        const candidates = pendingFacts.filter(
+          (f) => f.field === field && (!hasValue || f.value_key === factKey(body.value))
+        );
+        if (!candidates.length) return res.status(404).json({ error: "No pending value for this field" });
+
+        if (body.resolve === "reject") {
+          const { error: rejErr } = await rejectPendingFacts(supabase, user.id, field, hasValue ? body.value : null);
+          if (rejErr) return res.status(500).json({ error: rejErr.message });
+          return res.status(200).json({ ok: true, field, rejected: candidates.map((f) => f.value) });
+        }
+
+        if (body.resolve !== "accept") return res.status(400).json({ error: "resolve must be accept or reject" });
+        if (candidates.length > 1) {
+          return res.status(409).json({ error: "Several pending values, pass the one to accept as value" });
+        }
+
+        if (LIST_FIELDS.has(field)) {
+          // A pending topic joins the list; the other pending topics stay open
+          const list = Array.isArray(prof?.[field]) ? prof[field] : [];
+          changes[field] = [...list, candidates[0].value];
+          settle = false;
+        } else {
+          changes[field] = field === "age" ? Number(candidates[0].value) : candidates[0].value;
+        }
+      } else if (field) {
+        if (!Object.prototype.hasOwnProperty.call(body, "value")) {
+          return res.status(400).json({ error: "Missing value. Use { value }" });
+        }
+        changes[field] = body.value;
+      } else {
+        const fields = body.fields && typeof body.fields === "object" ? body.fields : {};
+        const unknown = Object.keys(fields).filter((f) => !isMemoryField(f));
+        if (unknown.length) return res.status(400).json({ error: `Unknown field(s): ${unknown.join(", ")}` });
+        changes = { ...fields };
+      }
+
+      if (!Object.keys(changes).length) return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const values = {};
+    const errors = {};
+    for (const [f, raw] of Object.entries(changes)) {
+      const r = validateMemoryValue(f, raw);
+      if (r.error) errors[f] = r.error;
+      else values[f] = r.value;
+    }
+
+    if (Object.keys(errors).length) return res.status(400).json({ error: "Invalid value", fields: errors });
+
+    if (previous && previous !== "past" && previous !== "wrong") {
+      return res.status(400).json({ error: "previous must be past or wrong" });
+    }
+
+    const nowIso = new Date().toISOString();
+    const profileValues = {};
+    const relationshipValues = {};
+    for (const [f, v] of Object.entries(values)) {
+      if (MEMORY_FIELDS[f].table === "user_profile") profileValues[f] = v;
+      else relationshipValues[f] = v;
+    }
+
+    if (Object.keys(relationshipValues).length) {
+      const { error: relUpErr } = await supabase
+        .from("user_relationship")
+        .upsert({ user_id: user.id, ...relationshipValues, updated_at: nowIso }, { onConflict: "user_id" });
+
+      if (relUpErr) return res.status(500).json({ error: relUpErr.message });
+    }
+
+    const confirmedFields = [...new Set([...confirmed, ...Object.keys(values)])];
+
+    const { error: profUpErr } = await supabase.from("user_profile").upsert(
+      {
+        user_id: user.id,
+        ...profileValues,
+        // Language set here is never replaced by spoken-language detection
+        ...(Object.prototype.hasOwnProperty.call(profileValues, "preferred_language")
+          ? { preferred_language_source: profileValues.preferred_language ? "user" : null }
+          : {}),
+        confirmed_fields: confirmedFields,
+        memory_confidence: "high",
+        last_confirmed_at: nowIso,
+        updated_at: nowIso,
+      },
+      { onConflict: "user_id" }
+    );
+
+    if (profUpErr) return res.status(500).json({ error: profUpErr.message });
+
+    const nextConfirmed = new Set(confirmedFields);
+    const nextProf = { ...(prof || {}), ...profileValues };
+    const nextRel = { ...(rel || {}), ...relationshipValues };
+
+    // Edited values become user-sourced facts (full confidence), cleared ones lose theirs
+    const userFacts = [];
+    for (const f of Object.keys(profileValues).filter((k) => FACT_FIELDS.includes(k))) {
+      const v = profileValues[f];
+      for (const item of Array.isArray(v) ? v : v === null ? [] : [v]) {
+        userFacts.push({ field: f, value: String(item), confidence: USER_CONFIDENCE, source: "user" });
+      }
+    }
+
+    // The user decided these fields: open conflicts there are settled too
+    const { error: factsErr } = await syncMemoryFacts(supabase, user.id, nextProf, userFacts, {
+      closeAs: previous === "wrong" ? "rejected" : "past",
+      settleFields: settle ? Object.keys(profileValues).filter((k) => FACT_FIELDS.includes(k)) : [],
+    });
+    if (factsErr) console.error("memory_facts sync failed:", factsErr);
+
+    return res.status(200).json({
+      ok: true,
+      fields: Object.keys(values).map((f) => fieldView(f, nextProf, nextRel, nextConfirmed, userFacts)),
+      memory_confidence: "high",
+      last_confirmed_at: nowIso,
+    });
+  } catch (err) {
+    console.error("memory error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
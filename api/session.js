@@ -1,5 +1,23 @@
 // api/session.js
 const { createClient } = require("@supabase/supabase-js");
+const { HEARTBEAT_INTERVAL_SECONDS, expireStaleCalls, openCall } = require("./_lib/metering");
+const { getBalance, getTopupPacks } = require("./_lib/ledger");
+const { getPlan, sessionSettingsFor } = require("./_lib/plans");
+const { billingStateFor, pausePaidSeconds } = require("./_lib/billing");
+const { factHistoryOf, filterProfileByConfidence, loadMemoryFacts } = require("./_lib/memory-facts");
+const { loadRelevantMemoryItems } = require("./_lib/memory-items");
+const { loadFollowUpTasks } = require("./_lib/action-tasks");
+const { normalizeLanguage } = require("./_lib/languages");
+const { CORE_STYLE_VARIANTS, composeSessionPrompt } = require("./_lib/prompts");
+const { assignExperiments, logExposures } = require("./_lib/experiments");
+const { isSupportedIntent, normalizeIntent, sanitizeTopic } = require("./_lib/intents");
+
+// Realtime defaults (experiments in api/_lib/experiments.js may override them)
+const DEFAULT_TEMPERATURE = 0.85;
+const DEFAULT_SILENCE_DURATION_MS = 200;
+
+// How many earlier sessions of a thread are loaded into the prompt
+const THREAD_SESSION_LIMIT = 5;
 
 module.exports = async function handler(req, res) {
   try {
@@ -29,65 +47,147 @@ module.exports = async function handler(req, res) {
     // ---------------------------
     let isPremium = false;
     let plan = null;
+    let billing = billingStateFor(null);
 
     try {
       const { data: sub, error: subErr } = await supabase
         .from("user_subscriptions")
-        .select("is_active, status, plan")
+        .select("user_id, stripe_subscription_id, is_active, status, plan, payment_failed_at, grace_until, paid_paused_at")
         .eq("user_id", user.id)
         .maybeSingle();
 
       if (subErr) console.warn("Subscription lookup error:", subErr.message);
 
+      billing = billingStateFor(sub);
+
+      // Failed payment and grace period over -> pause paid seconds (once per episode)
+      if (billing.pause_due) {
+        const paused = await pausePaidSeconds(supabase, user.id, sub);
+        if (paused.error) {
+          console.warn("Pausing paid seconds failed:", paused.error.message);
+        } else {
+          billing = { ...billing, paused: true, pause_due: false };
+        }
+      }
+
       const active = !!(sub?.is_active || sub?.status === "active" || sub?.status === "trialing");
-      isPremium = active;
-      plan = sub?.plan || null;
+      isPremium = billing.billing_issue ? billing.in_grace && !billing.paused : active;
+      plan = getPlan(sub?.plan)?.id || sub?.plan || null;
     } catch (e) {
       console.warn("Subscription lookup crashed:", e?.message || e);
     }
 
     // ---------------------------
-    // Mode (Companion vs Best Friend)
-    // Companion = plan "start" (or no active plan)
-    // Best Friend = plan "plus"
+    // Mode + memory depth from the plan catalog (api/_lib/plans.js)
+    // No active plan = companion with 1 session
     // ---------------------------
-    const effectivePlan = String(plan || "").toLowerCase().trim();
-    const isBestFriend = isPremium && effectivePlan === "plus";
-    const mode = isBestFriend ? "best_friend" : "companion";
-    const sessionLimit = isBestFriend ? 3 : 1;
+    const planSettings = sessionSettingsFor(plan, isPremium);
+    const mode = planSettings.mode;
+    const sessionLimit = planSettings.sessionLimit;
 
     // ---------------------------
-    // Usage / Remaining seconds (für ALLE)
+    // Usage / Remaining seconds (für ALLE, aus usage_ledger)
+    // Calls without heartbeat since the lock TTL are charged first
     // ---------------------------
-    const { data: usage, error: usageErr } = await supabase
-      .from("user_usage")
-      .select("free_seconds_total, free_seconds_used, paid_seconds_total, paid_seconds_used, topup_seconds_balance")
-      .eq("user_id", user.id)
-      .maybeSingle();
+    const expired = await expireStaleCalls(supabase, user.id);
+    if (expired.error) console.warn("Stale call settlement failed:", expired.error.message);
 
+    const { balance, error: usageErr } = await getBalance(supabase, user.id);
     if (usageErr) return res.status(500).json({ error: usageErr.message });
 
-    const freeTotal = usage?.free_seconds_total ?? 120;
-    const freeUsed = usage?.free_seconds_used ?? 0;
-    const freeRemaining = Math.max(0, freeTotal - freeUsed);
-
-    const paidTotal = usage?.paid_seconds_total ?? 0;
-    const paidUsed = usage?.paid_seconds_used ?? 0;
-    const paidRemaining = Math.max(0, paidTotal - paidUsed);
-
-    const topupRemaining = Math.max(0, usage?.topup_seconds_balance ?? 0);
+    const freeRemaining = balance.free_seconds;
+    const paidRemaining = balance.paid_seconds;
+    const topupRemaining = balance.topup_seconds;
 
     const remaining = freeRemaining + paidRemaining + topupRemaining;
 
+    let topupPacks = [];
+    if (topupRemaining > 0) {
+      const { packs, error: packsErr } = await getTopupPacks(supabase, user.id);
+      if (packsErr) console.warn("Topup packs lookup error:", packsErr.message);
+      topupPacks = packs || [];
+    }
+
     if (remaining <= 0) {
       return res.status(402).json({
         error: "No remaining time",
         remaining_seconds: 0,
         is_premium: isPremium,
         plan: plan,
+        billing_issue: billing.billing_issue,
+        billing_grace_until: billing.grace_until,
+        billing_paused: billing.paused,
       });
     }
 
+    // ---------------------------
+    // Session intent + topic picked before the call (optional ?intent=explore|decide|reflect&topic=...)
+    // ---------------------------
+    const rawIntent = String(req.query?.intent || "").trim();
+    if (rawIntent && !isSupportedIntent(rawIntent)) {
+      return res.status(400).json({ error: "Invalid intent" });
+    }
+    const intent = normalizeIntent(rawIntent);
+    const topic = sanitizeTopic(req.query?.topic);
+
+    // ---------------------------
+    // Thread continuation (optional ?thread_id=...)
+    // A thread id is the id shared by all sessions of one line of thinking.
+    // Legacy sessions have no thread_id yet -> their own id works as thread id.
+    // ---------------------------
+    const requestedThreadId = String(req.query?.thread_id || "").trim();
+    let threadId = null;
+    let threadSessions = [];
+    let threadLookupFailed = false;
+
+    if (requestedThreadId) {
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestedThreadId)) {
+        return res.status(400).json({ error: "Invalid thread_id" });
+      }
+
+      try {
+        const { data: tSess, error: tSessErr } = await supabase
+          .from("user_sessions")
+          .select("id, session_date, short_summary")
+          .eq("user_id", user.id)
+          .or(`thread_id.eq.${requestedThreadId},id.eq.${requestedThreadId}`)
+          .order("session_date", { ascending: false })
+          .limit(THREAD_SESSION_LIMIT);
+
+        if (tSessErr) {
+          console.warn("Thread lookup error:", tSessErr.message);
+          threadLookupFailed = true;
+        }
+
+        if (Array.isArray(tSess) && tSess.length) {
+          threadId = requestedThreadId;
+
+          const { data: tOut, error: tOutErr } = await supabase
+            .from("conversation_outputs")
+            .select("session_id, short_summary, key_insights, open_questions")
+            .in("session_id", tSess.map((s) => s.id))
+            .eq("is_current", true);
+
+          if (tOutErr) console.warn("Thread outputs lookup error:", tOutErr.message);
+
+          const outBySession = new Map((Array.isArray(tOut) ? tOut : []).map((o) => [o.session_id, o]));
+
+          // oldest first, so the prompt reads like the thread unfolded
+          threadSessions = tSess
+            .slice()
+            .reverse()
+            .map((s) => ({ ...s, output: outBySession.get(s.id) || null }));
+        }
+      } catch (e) {
+        console.warn("Thread lookup crashed:", e?.message || e);
+        threadLookupFailed = true;
+      }
+
+      // A failed lookup is not a missing thread
+      if (threadLookupFailed) return res.status(500).json({ error: "Thread lookup failed" });
+      if (!threadId) return res.status(404).json({ error: "Thread not found" });
+    }
+
     // ---------------------------
     // 1 ACTIVE SESSION PER USER (anti tab/refresh spam)
     // ---------------------------
@@ -161,6 +261,9 @@ module.exports = async function handler(req, res) {
       last_interaction_summary: "",
     };
 
+    // { field: [{ value, valid_from, valid_to }] } from memory_facts (status past)
+    let factHistory = {};
+
     try {
       const { data: prof, error: profErr } = await supabase
         .from("user_profile")
@@ -194,6 +297,22 @@ module.exports = async function handler(req, res) {
           memory_confidence: (prof.memory_confidence || "").trim(),
           last_confirmed_at: prof.last_confirmed_at ?? null,
         };
+
+        // Facts with too little evidence (memory_facts.confidence) stay out of the prompt,
+        // earlier values (status past) become "used to ..." context
+        const { facts, error: factsErr } = await loadMemoryFacts(supabase, user.id, {
+          statuses: ["current", "past"],
+        });
+        if (factsErr) {
+          console.warn("Memory facts lookup error:", factsErr.message);
+        } else {
+          const filtered = filterProfileByConfidence(profile, facts);
+          profile = filtered.profile;
+          factHistory = factHistoryOf(facts, profile);
+          if (filtered.dropped.length) {
+            console.log("[session] low-confidence facts left out:", filtered.dropped.map((d) => d.field));
+          }
+        }
       }
 
       const { data: relData, error: relErr } = await supabase
@@ -234,6 +353,45 @@ module.exports = async function handler(req, res) {
       console.warn("Sessions lookup crashed:", e?.message || e);
     }
 
+    // ---------------------------
+    // Long-term memory (memory_items), ranked against what is likely to come up now
+    // ---------------------------
+    let longTermItems = [];
+    try {
+      const queryText = [
+        rel.last_interaction_summary,
+        ...recentSessions.map((s) => s.short_summary),
+        ...threadSessions.map((s) => s.output?.short_summary || s.short_summary),
+        ...threadSessions.flatMap((s) => (Array.isArray(s.output?.open_questions) ? s.output.open_questions : [])),
+        ...(Array.isArray(profile.topics_like) ? profile.topics_like : []),
+      ]
+        .map((x) => String(x || "").trim())
+        .filter(Boolean)
+        .join("\n");
+
+      const { items, error: itemsErr } = await loadRelevantMemoryItems(supabase, user.id, {
+        queryText,
+        tokenBudget: planSettings.memoryTokenBudget,
+      });
+
+      if (itemsErr) console.warn("Memory items lookup error:", itemsErr.message);
+      if (Array.isArray(items)) longTermItems = items;
+    } catch (e) {
+      console.warn("Memory items lookup crashed:", e?.message || e);
+    }
+
+    // ---------------------------
+    // Follow-ups: open action-plan tasks from recent sessions (action_tasks)
+    // ---------------------------
+    let followUpTasks = [];
+    try {
+      const { tasks, error: tasksErr } = await loadFollowUpTasks(supabase, user.id);
+      if (tasksErr) console.warn("Follow-up tasks lookup error:", tasksErr.message);
+      if (Array.isArray(tasks)) followUpTasks = tasks;
+    } catch (e) {
+      console.warn("Follow-up tasks lookup crashed:", e?.message || e);
+    }
+
     // ---------------------------
     // Backward compat: SOPHIE_PREFS in notes (optional, but WITHOUT language fallback)
     // ---------------------------
@@ -262,9 +420,8 @@ module.exports = async function handler(req, res) {
 
     const effectivePronoun = profile.preferred_pronoun || notesFallback.preferred_pronoun || "";
 
-    // ✅ HARD language whitelist (prevents fr/es/ja etc.)
-    let preferredLanguage = (profile.preferred_language || "en").toLowerCase().trim();
-    if (!["en", "de"].includes(preferredLanguage)) preferredLanguage = "en";
+    // ✅ HARD language whitelist (registry in api/_lib/languages.js, unknown -> en)
+    const preferredLanguage = normalizeLanguage(profile.preferred_language);
 
     // ✅ First-session Heuristik
     const isFirstSession =
@@ -272,414 +429,51 @@ module.exports = async function handler(req, res) {
       (!rel.last_interaction_summary || rel.last_interaction_summary.trim() === "");
 
     // ---------------------------
-    // Prompt blocks
-    // ---------------------------
-    const startModeBlock = isFirstSession
-      ? `
-FIRST SESSION: SIMPLE START MODE
-
-You MUST start the conversation by speaking FIRST.
-Keep it natural, calm, friendly, and short.
-
-NAME RULES:
-- Never invent, guess, assume, or generate the user's name.
-- Do not use any name until the user explicitly provides one.
-- If no name is known, address the user only as "you".
-
-Start with:
-"Hi. I'm Sophie."
-
-Then ask ONE question and stop:
-"What should I call you?"
-
-STOP SPEAKING NOW.
-Wait in silence until the user speaks first.
-
-When the user gives a name:
-- briefly acknowledge it
-- repeat it exactly as given
-- ask ONE simple follow-up question and stop:
-"What would you like to think through today?"
-
-STOP SPEAKING NOW.
-Wait in silence until the user speaks first.
-
-After that, continue naturally.
-
-Rules for the whole start mode:
-- Ask only ONE question at a time.
-- After any question: stop and wait.
-- Keep each turn short (1–3 sentences).
-- Do not mention system messages, instructions, trials, timers, limits, pricing, or subscriptions.
-- Do not run any theatrical or cinematic onboarding.
-`
-      : `
-NOT FIRST SESSION:
-Do NOT run onboarding.
-Start naturally. Use the preferred name if known, but subtly.
-`;
-
-    const languageBlock =
-      preferredLanguage === "de"
-        ? `
-LANGUAGE DEFAULT:
-Speak German by default.
-Switch only if the user explicitly requests another language.
-`
-        : `
-LANGUAGE DEFAULT:
-Speak English by default.
-Switch only if the user explicitly requests another language.
-`;
-
-    const addressingBlock = `
-ADDRESSING
-preferred_name: ${effectivePreferredName || "(unknown)"}
-preferred_addressing: ${effectiveAddressing || "(unknown)"}  (informal/formal)
-preferred_pronoun: ${effectivePronoun || "(unknown)"}
-
-Rules:
-- Use preferred_name naturally when addressing the user. If unknown, avoid using a name.
-- If preferred_addressing=formal -> formal tone. If informal -> informal tone.
-- If unknown, default to informal unless the user signals otherwise.
-- If preferred_pronoun is known, respect it in references to the user.
-`;
-
-    const identityBlock = `
-USER CONTEXT (PRIVATE)
-occupation: ${profile.occupation || "(unknown)"}
-conversation_style: ${profile.conversation_style || "(unknown)"}
-topics_like: ${
-      Array.isArray(profile.topics_like) && profile.topics_like.length
-        ? profile.topics_like.join(", ")
-        : "(none)"
-    }
-topics_avoid: ${
-      Array.isArray(profile.topics_avoid) && profile.topics_avoid.length
-        ? profile.topics_avoid.join(", ")
-        : "(none)"
+    // Experiments: sticky variant per user (api/_lib/experiments.js)
+    // ---------------------------
+    let experiments = { assignments: {}, config: {} };
+    try {
+      experiments = await assignExperiments(supabase, user.id);
+      if (experiments.error) console.warn("Experiment assignment error:", experiments.error.message);
+    } catch (e) {
+      console.warn("Experiment assignment crashed:", e?.message || e);
     }
-memory_confidence: ${profile.memory_confidence || "(unknown)"}
-last_confirmed_at: ${profile.last_confirmed_at || "(unknown)"}
-
-Rules:
-- If occupation is known, you may reference it occasionally and naturally when relevant.
-- If topics_like exist, weave them in gently when relevant. Do not force them.
-- Avoid topics_avoid unless the user reintroduces them.
-- If conversation_style is known, adapt slightly and subtly.
-`;
-
-    const coreStyle = `
-IDENTITY
-
-You are Sophie.
-
-You are an AI Thinking Partner.
-
-Your role is to help people think through ideas, decisions, and questions.
-You are not a chatbot that gives quick answers.
-You help users explore their thinking.
-
-
-THINKING MODES
-
-You can operate in three thinking styles depending on the situation.
-
-
-EXPLORER MODE (ideas / creativity)
-
-Use this when the user is exploring possibilities.
-
-In Explorer Mode you:
-
-- expand ideas
-- connect unexpected angles
-- encourage curiosity
-- explore "what if" scenarios
-- help generate possibilities
-
-Tone:
-curious, playful, imaginative.
-
-Example behavior:
-
-User: "I have an idea for a project."
-
-Response style:
-
-"Interesting…  
-Is the idea more about solving a problem —  
-or creating something people didn't even know they wanted?"
-
-Explorer mode should feel like thinking out loud together.
-
-
-
-STRATEGIST MODE (decisions / clarity)
-
-Use this when the user is facing a decision or dilemma.
-
-In Strategist Mode you:
-
-- examine trade-offs
-- clarify priorities
-- test assumptions
-- explore consequences
-- help structure thinking
-
-Tone:
-calm, sharp, thoughtful.
-
-Example behavior:
-
-User: "I'm thinking about quitting my job."
-
-Response style:
-
-"Okay.  
-Is this more about moving toward something —  
-or escaping something?"
-
-Strategist mode should feel like a calm strategic sparring partner.
-
-
-
-REFLECTION MODE (experiences / emotions)
-
-Use this when the user is reflecting on something that happened.
-
-In Reflection Mode you:
-
-- mirror observations
-- explore meaning
-- help unpack thoughts and emotions
-- gently deepen the reflection
-
-Tone:
-warm, attentive, thoughtful.
-
-Example behavior:
-
-User: "Something weird happened today."
-
-Response style:
-
-"Hm…  
-What part of it stayed with you the most?"
 
-Reflection mode should feel calm and human.
+    const silenceDurationMs = experiments.config.silenceDurationMs ?? DEFAULT_SILENCE_DURATION_MS;
+    const coreStyleTemplate = CORE_STYLE_VARIANTS[experiments.config.coreStyle] || CORE_STYLE_VARIANTS.default;
 
-
-MODE SELECTION
-
-Choose the mode naturally based on the user's situation.
-
-Examples:
-
-ideas → Explorer  
-decisions → Strategist  
-experiences → Reflection  
-
-Do not explicitly mention the modes to the user.
-
-
-MODE SELECTION RULE
-
-For each user message, silently choose the most useful thinking mode.
-
-Use Explorer Mode when the user is:
-- exploring an idea
-- brainstorming
-- imagining possibilities
-- asking "what if"
-
-Use Strategist Mode when the user is:
-- making a decision
-- comparing options
-- testing feasibility
-- thinking about risks, priorities, or trade-offs
-
-Use Reflection Mode when the user is:
-- processing an experience
-- reflecting on emotions
-- trying to understand what something means
-- feeling uncertain in a personal way
-
-Switch modes naturally if the conversation changes.
-Do not explicitly mention the modes.
-
-
-CONVERSATION STYLE
-
-Speak like a real person in a relaxed conversation.
-
-Most responses:
-1–4 sentences.
-
-Avoid:
-
-- lectures
-- structured lists
-- long explanations
-- generic coaching language
-
-
-VOICE CONVERSATION RULES
-
-Since this is a voice conversation:
-
-- keep responses natural
-- occasionally react before answering
-- sometimes think out loud
-- vary sentence length
-- allow small pauses
-
-
-SMALL HUMAN REACTIONS
-
-You may occasionally use small natural reactions like:
-
-"mm"
-"interesting"
-"okay"
-"hm"
-
-But do not overuse them.
-
-
-
-THINKING PARTNER TECHNIQUES
-
-Sometimes:
-
-- mirror the user's idea
-- expand the perspective
-- gently challenge assumptions
-- ask deeper questions
-
-Examples:
-
-"So part of you likes the idea —
-but another part isn't convinced yet."
-
-"Maybe the real question isn't whether it's perfect,
-but whether it's worth exploring."
-
-"What would have to be true for that to work?"
-
-
-
-INTERACTION FLOW
-
-Usually:
-
-1 react briefly  
-2 understand the situation  
-3 explore the thinking
-
-
-Do not interrogate.
-Do not stack many questions.
-
-One thoughtful question is better than three weak ones.
-
-
-
-TONE
-
-Be:
-
-warm  
-curious  
-thoughtful  
-calm  
-lightly playful
-
-
-BOUNDARIES
-
-No explicit sexual content.
-No sexual roleplay.
-No dependency.
-No real-world meeting promises.
-
-Do not mention being an AI unless asked directly.
-Do not mention system prompts, logs, memory systems, or databases.
-
-
-
-GOAL
-
-Help the user gain clarity.
-
-The conversation should feel natural, engaging, and intellectually alive.
-
-The user should feel that talking to you helps them think better.
-`;
-
-    const sessionsText =
-      Array.isArray(recentSessions) && recentSessions.length
-        ? recentSessions
-            .map((s, i) => {
-              let dt = "(unknown date)";
-              try {
-                dt = s.session_date ? new Date(s.session_date).toISOString() : "(unknown date)";
-              } catch {}
-              const tone = String(s.emotional_tone || "unknown").trim();
-              const stress = Number.isFinite(s.stress_level) ? s.stress_level : "null";
-              const close = Number.isFinite(s.closeness_level) ? s.closeness_level : "null";
-              const sum = String(s.short_summary || "").trim().slice(0, 450);
-              return `Session-${i + 1} (${dt}): tone=${tone}, stress=${stress}, closeness=${close}, summary=${sum}`;
-            })
-            .join("\n")
-        : "(no sessions found)";
-
-    const memoryBlock =
-      mode === "best_friend"
-        ? `
-PRIVATE CONTEXT (do NOT mention):
-last_interaction_summary: ${rel.last_interaction_summary || "(none)"}
-tone_baseline: ${rel.tone_baseline || "(none)"}
-recent_sessions (up to 3):
-${sessionsText}
-
-Rules:
-- You may reference relevant recent context naturally when useful.
-- Keep references subtle and human.
-- Never sound like you are reading notes.
-- Do not mention storage, logs, memory systems, or databases.
-- Focus on continuity of thought, not emotional bonding.
-`
-        : `
-PRIVATE CONTEXT (do NOT mention):
-last_interaction_summary: ${rel.last_interaction_summary || "(none)"}
-recent_session:
-${sessionsText}
-
-Rules:
-- You may reference relevant recent context naturally when useful.
-- Keep references subtle and human.
-- Never sound like you are reading notes.
-- Do not mention storage, logs, memory systems, or databases.
-- Focus on continuity of thought, not emotional bonding.
-- Do not force references to old conversations.
-`;
-
-    const sophiePrompt = `
-You are Sophie.
-
-${startModeBlock}
-
-${languageBlock}
-
-${addressingBlock}
-
-${identityBlock}
-
-${coreStyle}
-
-${memoryBlock}
-`;
+    // ---------------------------
+    // Prompt (versioned templates in api/_lib/prompts.js)
+    // ---------------------------
+    const sophiePrompt = composeSessionPrompt({
+      startMode: { isFirstSession },
+      language: { language: preferredLanguage },
+      addressing: {
+        preferredName: effectivePreferredName,
+        addressing: effectiveAddressing,
+        pronoun: effectivePronoun,
+      },
+      identity: {
+        occupation: profile.occupation || "",
+        conversationStyle: profile.conversation_style || "",
+        topicsLike: Array.isArray(profile.topics_like) ? profile.topics_like : [],
+        topicsAvoid: Array.isArray(profile.topics_avoid) ? profile.topics_avoid : [],
+        memoryConfidence: profile.memory_confidence || "",
+        lastConfirmedAt: profile.last_confirmed_at || null,
+        factHistory,
+      },
+      intent: { intent, topic, isFirstSession },
+      memory: {
+        mode,
+        lastInteractionSummary: rel.last_interaction_summary,
+        toneBaseline: rel.tone_baseline,
+        sessionLimit,
+        recentSessions: Array.isArray(recentSessions) ? recentSessions : [],
+      },
+      longTermMemory: { items: longTermItems },
+      followUps: { tasks: followUpTasks, today: new Date().toISOString().slice(0, 10) },
+      thread: { threadId, sessions: threadSessions },
+    }, { templates: { coreStyle: coreStyleTemplate } });
 
     // ---------------------------
     // Realtime session create
@@ -696,15 +490,15 @@ ${memoryBlock}
         voice: "shimmer",
         // Required for GA Realtime to reliably start audio + text
         modalities: ["audio", "text"],
-        temperature: 0.85,
-        instructions: sophiePrompt,
+        temperature: experiments.config.temperature ?? DEFAULT_TEMPERATURE,
+        instructions: sophiePrompt.text,
         input_audio_transcription: { model: "gpt-4o-mini-transcribe" },
         input_audio_format: "pcm16",
         turn_detection: {
           type: "server_vad",
           threshold: 0.5,
           prefix_padding_ms: 300,
-          silence_duration_ms: 200,
+          silence_duration_ms: silenceDurationMs,
           idle_timeout_ms: null,
           create_response: isFirstSession ? false : true,
           interrupt_response: true,
@@ -719,15 +513,46 @@ ${memoryBlock}
 
     const data = await response.json();
 
+    // ---------------------------
+    // Metered call record (billing runs on server timestamps from here)
+    // ---------------------------
+    const { data: call, error: callErr } = await openCall(supabase, user.id, {
+      promptVersion: sophiePrompt.version,
+      experiments: experiments.assignments,
+      intent,
+      topic,
+      // A call that stops heartbeating is charged this much (api/_lib/metering.js)
+      maxSeconds: remaining,
+    });
+    if (callErr || !call?.id) {
+      console.error("realtime_calls insert failed:", callErr);
+      return res.status(500).json({ error: "Could not start metered call" });
+    }
+
+    const { error: exposureErr } = await logExposures(supabase, user.id, experiments.assignments, { callId: call.id });
+    if (exposureErr) console.warn("Experiment exposure logging failed:", exposureErr.message);
+
     return res.status(200).json({
       ...data,
+      call_id: call.id,
+      prompt_version: sophiePrompt.version,
+      heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS,
       remaining_seconds: remaining,
+      topup_packs: topupPacks,
       is_premium: isPremium,
       plan: plan,
+      billing_issue: billing.billing_issue,
+      billing_grace_until: billing.grace_until,
+      billing_paused: billing.paused,
       mode: mode,
       user_id: user.id,
       preferred_language: preferredLanguage,
+      // the client re-sends turn_detection on connect, it must keep the experiment's value
+      silence_duration_ms: silenceDurationMs,
       is_first_session: isFirstSession,
+      thread_id: threadId,
+      intent: intent || null,
+      topic: topic || null,
     });
   } catch (error) {
     console.error("Server error:", error);
@@ -0,0 +1,175 @@
+import { createClient } from "@supabase/supabase-js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const SESSION_COLUMNS =
+  "id, title, session_date, started_at, ended_at, duration_seconds, thread_id, intent, topic, " +
+  "emotional_tone, stress_level, closeness_level, short_summary, has_transcript, has_output, report_status";
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+// Cursor = "<session_date>_<id>" of the last row: sessions with the same session_date
+// are ordered by id, so none is skipped between pages. A bare session_date (older
+// clients) still works. The date is kept as stored (microseconds) for the comparison.
+function parseCursor(value) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+
+  const [rawDate, id = ""] = s.split("_");
+  // An unencoded "+00:00" arrives as " 00:00"
+  const date = rawDate.replace(/ (\d{2}:?\d{2})$/, "+$1");
+  if (!/^[0-9T:.+\-Z]+$/.test(date) || Number.isNaN(new Date(date).getTime())) return undefined;
+  if (id && !isUuid(id)) return undefined;
+  return { date, id: id || null };
+}
+
+function cursorFor(row) {
+  return row?.session_date ? `${row.session_date}_${row.id}` : null;
+}
+
+/**
+ * /api/sessions
+ *
+ * GET    /api/sessions?limit=20&before=<next_cursor>   -> paginated list (newest first)
+ * GET    /api/sessions?id=<session_id>                 -> session + transcript + thinking report
+ * DELETE /api/sessions?id=<session_id>                 -> delete session (messages/outputs/memory items cascade)
+ *
+ * Reads back what /api/memory-update writes into user_sessions,
+ * conversation_messages and conversation_outputs. Always scoped to the caller.
+ * report_status "failed": the post-call job gave up, there will be no report.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "DELETE") {
+      res.setHeader("Allow", "GET, DELETE");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    const query = req.query || {};
+    const sessionId = query.id ? String(query.id).trim() : "";
+
+    if (sessionId && !isUuid(sessionId)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+
+    // ---------------------------
+    // DELETE one session (cascade removes messages + outputs, and long-term memory
+    // items that came only from this session, see memory_item_sources)
+    // ---------------------------
+    if (req.method === "DELETE") {
+      if (!sessionId) return res.status(400).json({ error: "Missing session id" });
+
+      const { data: deleted, error: delErr } = await supabase
+        .from("user_sessions")
+        .delete()
+        .eq("id", sessionId)
+        .eq("user_id", user.id)
+        .select("id");
+
+      if (delErr) return res.status(500).json({ error: delErr.message });
+      if (!Array.isArray(deleted) || !deleted.length) return res.status(404).json({ error: "Session not found" });
+
+      return res.status(200).json({ ok: true, deleted: sessionId });
+    }
+
+    // ---------------------------
+    // GET one session (detail)
+    // ---------------------------
+    if (sessionId) {
+      const { data: session, error: sessErr } = await supabase
+        .from("user_sessions")
+        .select(SESSION_COLUMNS)
+        .eq("id", sessionId)
+        .eq("user_id", user.id)
+        .maybeSingle();
+
+      if (sessErr) return res.status(500).json({ error: sessErr.message });
+      if (!session) return res.status(404).json({ error: "Session not found" });
+
+      const { data: messages, error: msgErr } = await supabase
+        .from("conversation_messages")
+        .select("seq, role, text, created_at")
+        .eq("session_id", sessionId)
+        .order("seq", { ascending: true });
+
+      if (msgErr) return res.status(500).json({ error: msgErr.message });
+
+      const { data: output, error: outErr } = await supabase
+        .from("conversation_outputs")
+        .select(
+          "title, short_summary, structured_summary, key_insights, action_plan, open_questions, intent_report, model, " +
+            "prompt_version, version, created_at"
+        )
+        .eq("session_id", sessionId)
+        .eq("is_current", true)
+        .maybeSingle();
+
+      if (outErr) return res.status(500).json({ error: outErr.message });
+
+      return res.status(200).json({
+        session,
+        messages: Array.isArray(messages) ? messages : [],
+        output: output || null,
+      });
+    }
+
+    // ---------------------------
+    // GET list (cursor = session_date + id of the last row)
+    // ---------------------------
+    const limitRaw = parseInt(query.limit || String(DEFAULT_PAGE_SIZE), 10);
+    const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, Number.isFinite(limitRaw) ? limitRaw : DEFAULT_PAGE_SIZE));
+
+    const before = parseCursor(query.before);
+    if (before === undefined) return res.status(400).json({ error: "Invalid cursor" });
+
+    let listQuery = supabase
+      .from("user_sessions")
+      .select(SESSION_COLUMNS)
+      .eq("user_id", user.id)
+      .order("session_date", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit + 1);
+
+    if (before?.id) {
+      listQuery = listQuery.or(
+        `session_date.lt."${before.date}",and(session_date.eq."${before.date}",id.lt.${before.id})`
+      );
+    } else if (before) {
+      listQuery = listQuery.lt("session_date", before.date);
+    }
+
+    const { data: rows, error: listErr } = await listQuery;
+    if (listErr) return res.status(500).json({ error: listErr.message });
+
+    const list = Array.isArray(rows) ? rows : [];
+    const hasMore = list.length > limit;
+    const sessions = hasMore ? list.slice(0, limit) : list;
+
+    return res.status(200).json({
+      sessions,
+      next_cursor: hasMore ? cursorFor(sessions[sessions.length - 1]) : null,
+    });
+  } catch (err) {
+    console.error("sessions error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -0,0 +1,109 @@
+import { createClient } from "@supabase/supabase-js";
+import { TASK_STATUSES, isTaskStatus } from "./_lib/action-tasks.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const TASK_COLUMNS = "id, session_id, position, label, detail, due_date, status, status_changed_at, created_at";
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+/**
+ * /api/tasks
+ * Authorization: Bearer <user JWT>
+ *
+ * GET   /api/tasks?status=open|done|dropped|all&session_id=<id>&limit=20  -> { tasks } (newest first)
+ * PATCH /api/tasks  { id, status: "done" | "dropped" | "open" }            -> { task }
+ *
+ * Tasks are the action-plan items of the thinking reports (action_tasks, written by
+ * /api/memory-update). Open ones come back in the next sessions as follow-ups.
+ * Always scoped to the caller.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "PATCH") {
+      res.setHeader("Allow", "GET, PATCH");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const {
+      data: { user },
+      error: userErr,
+    } = await supabase.auth.getUser(token);
+    if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
+
+    // ---- PATCH: change status ----
+    if (req.method === "PATCH") {
+      let body = req.body;
+      if (typeof body === "string") {
+        try { body = JSON.parse(body); } catch { body = {}; }
+      }
+      body = body && typeof body === "object" ? body : {};
+
+      const taskId = String(body.id || "").trim();
+      const status = String(body.status || "").toLowerCase().trim();
+      if (!isUuid(taskId)) return res.status(400).json({ error: "Invalid task id" });
+      if (!isTaskStatus(status)) {
+        return res.status(400).json({ error: `status must be one of: ${TASK_STATUSES.join(", ")}` });
+      }
+
+      const nowIso = new Date().toISOString();
+      const { data: task, error: upErr } = await supabase
+        .from("action_tasks")
+        .update({ status, status_changed_at: nowIso, updated_at: nowIso })
+        .eq("id", taskId)
+        .eq("user_id", user.id)
+        .select(TASK_COLUMNS)
+        .maybeSingle();
+
+      if (upErr) return res.status(500).json({ error: upErr.message });
+      if (!task) return res.status(404).json({ error: "Task not found" });
+
+      return res.status(200).json({ task });
+    }
+
+    // ---- GET: list ----
+    const query = req.query || {};
+    const status = String(query.status || "open").toLowerCase().trim();
+    const sessionId = query.session_id ? String(query.session_id).trim() : "";
+
+    if (status !== "all" && !isTaskStatus(status)) {
+      return res.status(400).json({ error: `status must be one of: ${[...TASK_STATUSES, "all"].join(", ")}` });
+    }
+    if (sessionId && !isUuid(sessionId)) return res.status(400).json({ error: "Invalid session id" });
+
+    const limitRaw = parseInt(query.limit || String(DEFAULT_PAGE_SIZE), 10);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.isFinite(limitRaw) ? limitRaw : DEFAULT_PAGE_SIZE));
+
+    let listQuery = supabase
+      .from("action_tasks")
+      .select(TASK_COLUMNS)
+      .eq("user_id", user.id)
+      .order("created_at", { ascending: false })
+      .order("position", { ascending: true })
+      .limit(limit);
+
+    if (status !== "all") listQuery = listQuery.eq("status", status);
+    if (sessionId) listQuery = listQuery.eq("session_id", sessionId);
+
+    const { data: tasks, error: listErr } = await listQuery;
+    if (listErr) return res.status(500).json({ error: listErr.message });
+
+    return res.status(200).json({ tasks: Array.isArray(tasks) ? tasks : [] });
+  } catch (err) {
+    console.error("tasks error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -0,0 +1,106 @@
+import { createClient } from "@supabase/supabase-js";
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+function page(res, status, title, text, form = "") {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(status).send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>Sophie – ${title}</title>
+  <style>
+    body{ font-family: system-ui,-apple-system,Segoe UI,Roboto,sans-serif; max-width:560px; margin:64px auto; padding:0 18px; color:#111; }
+    h1{ font-size:24px; margin:0 0 10px; }
+    p{ line-height:1.55; }
+    button{ padding:12px 16px; border-radius:12px; border:0; background:#111; color:#fff; font-size:15px; cursor:pointer; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p>${text}</p>
+  ${form}
+</body>
+</html>`);
+}
+
+/**
+ * /api/unsubscribe?token=<email_preferences.unsubscribe_token>
+ *
+ * GET  -> confirmation page (link scanners only fetch, they do not unsubscribe anyone)
+ * POST -> report_emails = false. Also the RFC 8058 one-click target
+ *         (List-Unsubscribe-Post header of the report email)
+ *
+ * No login: the token is the credential, one per user, unchanged on re-opt-in.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const token = String(req.query?.token || "").trim();
+    if (!isUuid(token)) return page(res, 400, "Invalid link", "This unsubscribe link is not valid.");
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: prefs, error: prefsErr } = await supabase
+      .from("email_preferences")
+      .select("user_id, report_emails")
+      .eq("unsubscribe_token", token)
+      .maybeSingle();
+
+    if (prefsErr) {
+      console.error("unsubscribe lookup failed:", prefsErr);
+      return page(res, 500, "Something went wrong", "Please try again later.");
+    }
+    if (!prefs) return page(res, 404, "Invalid link", "This unsubscribe link is not valid.");
+
+    if (req.method === "GET") {
+      if (!prefs.report_emails) {
+        return page(res, 200, "Unsubscribed", "You no longer get thinking reports by email.");
+      }
+      return page(
+        res,
+        200,
+        "Unsubscribe",
+        "Stop getting your thinking report by email after each conversation with Sophie?",
+        `<form method="post" action="/api/unsubscribe?token=${token}"><button type="submit">Unsubscribe</button></form>`
+      );
+    }
+
+    if (prefs.report_emails) {
+      const nowIso = new Date().toISOString();
+      const { error: upErr } = await supabase
+        .from("email_preferences")
+        .update({ report_emails: false, unsubscribed_at: nowIso, updated_at: nowIso })
+        .eq("user_id", prefs.user_id);
+
+      if (upErr) {
+        console.error("unsubscribe update failed:", upErr);
+        return page(res, 500, "Something went wrong", "Please try again later.");
+      }
+      console.log("[unsubscribe] report emails off", { user_id: prefs.user_id });
+    }
+
+    return page(
+      res,
+      200,
+      "Unsubscribed",
+      "You no longer get thinking reports by email. You can turn them back on in Sophie at any time."
+    );
+  } catch (err) {
+    console.error("unsubscribe error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
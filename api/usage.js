@@ -1,5 +1,31 @@
 import { createClient } from "@supabase/supabase-js";
+import { MAX_CALL_SECONDS, billableSecondsFor, expireStaleCalls, heartbeatCall, settleCall } from "./_lib/metering.js";
+import { getTopupPacks } from "./_lib/ledger.js";
 
+async function safeTrack(supabase, userId, event_name, meta = {}) {
+  try {
+    if (!userId) return;
+    await supabase.from("analytics_events").insert({
+      user_id: userId,
+      event_name,
+      meta,
+    });
+  } catch (e) {
+    console.warn("Analytics insert failed:", e?.message || e);
+  }
+}
+
+/**
+ * POST /api/usage
+ * Body: {
+ *   call_id?: string,                  // from /api/session
+ *   action?: "heartbeat" | "close",    // default "close"
+ *   seconds_used?: number              // client measurement, cross-check only
+ * }
+ *
+ * Billable seconds are computed from the server-side call record, never from
+ * seconds_used. Deviations of the client report are logged to analytics_events.
+ */
 export default async function handler(req, res) {
   try {
     if (req.method !== "POST") {
@@ -11,9 +37,15 @@ export default async function handler(req, res) {
     const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
     if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
 
-    const { seconds_used } = req.body || {};
-    const sec = Math.max(0, Math.min(60 * 60, Number(seconds_used || 0))); // max 1h pro call
-    if (!sec) return res.status(200).json({ ok: true, ignored: true });
+    const { call_id, action, seconds_used } = req.body || {};
+    const callId = String(call_id || "").trim();
+    const act = String(action || "close").toLowerCase().trim();
+    if (act !== "heartbeat" && act !== "close") {
+      return res.status(400).json({ error: "Invalid action. Use { action: 'heartbeat' | 'close' }" });
+    }
+
+    const clientRaw = Number(seconds_used);
+    const clientSeconds = Number.isFinite(clientRaw) ? Math.max(0, Math.min(MAX_CALL_SECONDS, clientRaw)) : null;
 
     if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
       return res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars" });
@@ -24,91 +56,95 @@ export default async function handler(req, res) {
     const { data: { user }, error: userErr } = await supabase.auth.getUser(token);
     if (userErr || !user) return res.status(401).json({ error: "Invalid token" });
 
-    // usage row holen (oder anlegen)
-    let { data: usage, error: usageErr } = await supabase
-      .from("user_usage")
-      .select("free_seconds_total, free_seconds_used, paid_seconds_total, paid_seconds_used, topup_seconds_balance")
-      .eq("user_id", user.id)
-      .maybeSingle();
-
-    if (usageErr) return res.status(500).json({ error: usageErr.message });
-
-    if (!usage) {
-      const ins = await supabase.from("user_usage").insert({
-        user_id: user.id,
-        free_seconds_total: 120,
-        free_seconds_used: 0,
-        paid_seconds_total: 0,
-        paid_seconds_used: 0,
-        topup_seconds_balance: 0,
-      }).select().maybeSingle();
-
-      if (ins.error) return res.status(500).json({ error: ins.error.message });
-      usage = ins.data;
+    // ---------------------------
+    // Heartbeat: keep the call open
+    // ---------------------------
+    if (act === "heartbeat") {
+      if (!callId) return res.status(400).json({ error: "Missing call_id" });
+
+      const { data: call, error: beatErr } = await heartbeatCall(supabase, user.id, callId);
+      if (beatErr) return res.status(500).json({ error: beatErr.message });
+      if (!call) return res.status(409).json({ error: "Call not open" });
+
+      return res.status(200).json({
+        ok: true,
+        call_id: call.id,
+        elapsed_seconds: billableSecondsFor(call),
+      });
     }
 
-    const freeTotal = usage?.free_seconds_total ?? 120;
-    const freeUsed  = usage?.free_seconds_used ?? 0;
-    const paidTotal = usage?.paid_seconds_total ?? 0;
-    const paidUsed  = usage?.paid_seconds_used ?? 0;
-    const topupBal  = usage?.topup_seconds_balance ?? 0;
-
-    const freeRemaining  = Math.max(0, freeTotal - freeUsed);
-    const paidRemaining  = Math.max(0, paidTotal - paidUsed);
-    const topupRemaining = Math.max(0, topupBal);
-
-    const totalRemaining = freeRemaining + paidRemaining + topupRemaining;
-    if (totalRemaining <= 0) {
-      return res.status(402).json({ error: "No remaining time", remaining_seconds: 0 });
+    // ---------------------------
+    // Close: settle from server timestamps
+    // ---------------------------
+    const expired = await expireStaleCalls(supabase, user.id);
+    if (expired.error) return res.status(500).json({ error: expired.error.message });
+
+    let callQuery = supabase
+      .from("realtime_calls")
+      .select("id, user_id, status, started_at, last_heartbeat_at, max_seconds, billable_seconds, charged_seconds")
+      .eq("user_id", user.id);
+
+    // Clients without call_id: close their latest open call
+    callQuery = callId
+      ? callQuery.eq("id", callId)
+      : callQuery.eq("status", "open").order("started_at", { ascending: false }).limit(1);
+
+    const { data: call, error: callErr } = await callQuery.maybeSingle();
+    if (callErr) return res.status(500).json({ error: callErr.message });
+
+    // A client report alone never charges anything
+    if (!call) return res.status(200).json({ ok: true, ignored: true });
+
+    if (call.status !== "open") {
+      return res.status(200).json({
+        ok: true,
+        already_settled: true,
+        call_id: call.id,
+        billable_seconds: call.billable_seconds ?? 0,
+        charged_seconds: call.charged_seconds ?? 0,
+      });
     }
 
-    // Abbuchung: free -> paid -> topup
-    let toCharge = sec;
-
-    const chargeFree = Math.min(freeRemaining, toCharge);
-    toCharge -= chargeFree;
-
-    const chargePaid = Math.min(paidRemaining, toCharge);
-    toCharge -= chargePaid;
+    const settled = await settleCall(supabase, call, {
+      status: "closed",
+      reason: "client_close",
+      clientSeconds,
+    });
 
-    const chargeTopup = Math.min(topupRemaining, toCharge);
-    toCharge -= chargeTopup;
+    if (settled.error) return res.status(500).json({ error: settled.error.message });
 
-    // Wenn mehr reported wurde als verfügbar: wir kappen hart auf verfügbar
-    // (kein negativer Balance, kein Overdraw)
-    const newFreeUsed = Math.min(freeTotal, freeUsed + chargeFree);
-    const newPaidUsed = Math.min(paidTotal, paidUsed + chargePaid);
-    const newTopupBal = Math.max(0, topupBal - chargeTopup);
+    if (!settled.settled) {
+      return res.status(200).json({ ok: true, already_settled: true, call_id: call.id });
+    }
 
-    const upd = await supabase
-      .from("user_usage")
-      .update({
-        free_seconds_used: newFreeUsed,
-        paid_seconds_used: newPaidUsed,
-        topup_seconds_balance: newTopupBal,
-      })
-      .eq("user_id", user.id)
-      .select("free_seconds_total, free_seconds_used, paid_seconds_total, paid_seconds_used, topup_seconds_balance")
-      .maybeSingle();
+    // Cross-check: client measurement vs. server timestamps
+    if (clientSeconds !== null) {
+      const diff = clientSeconds - settled.billable_seconds;
+      const tolerance = Math.max(15, Math.round(settled.billable_seconds * 0.1));
+      if (Math.abs(diff) > tolerance) {
+        await safeTrack(supabase, user.id, "usage_report_mismatch", {
+          call_id: call.id,
+          client_seconds: clientSeconds,
+          server_seconds: settled.billable_seconds,
+          diff_seconds: diff,
+        });
+      }
+    }
 
-    if (upd.error) return res.status(500).json({ error: upd.error.message });
+    const charge = settled.charge;
 
-    const u2 = upd.data;
-    const rem =
-      Math.max(0, (u2.free_seconds_total ?? 120) - (u2.free_seconds_used ?? 0)) +
-      Math.max(0, (u2.paid_seconds_total ?? 0) - (u2.paid_seconds_used ?? 0)) +
-      Math.max(0, (u2.topup_seconds_balance ?? 0));
+    const { packs: topupPacks, error: packsErr } = await getTopupPacks(supabase, user.id);
+    if (packsErr) console.warn("Topup packs lookup error:", packsErr.message);
 
     return res.status(200).json({
       ok: true,
-      charged_seconds: (sec - toCharge),
-      buckets: {
-        free: chargeFree,
-        paid: chargePaid,
-        topup: chargeTopup,
-      },
-      remaining_seconds: rem,
-      usage: u2,
+      call_id: call.id,
+      billable_seconds: settled.billable_seconds,
+      charged_seconds: charge.charged_seconds,
+      buckets: charge.buckets,
+      remaining_seconds: charge.balance.total_seconds,
+      usage: charge.balance,
+      topup_packs: topupPacks || [],
     });
   } catch (e) {
     console.error("Usage update error:", e);
@@ -0,0 +1,19 @@
+// scripts/render-session-prompts.mjs
+// Prints Sophie's composed session prompt for sample users, exactly as /api/session sends it.
+// Usage: node scripts/render-session-prompts.mjs [first-session|companion|best-friend ...]
+// The same output is kept in test/snapshots/ and checked by npm test.
+import { composeSessionPrompt } from "../api/_lib/prompts.js";
+import { USERS } from "./session-prompt-users.js";
+
+const names = process.argv.slice(2);
+const unknown = names.filter((n) => !USERS[n]);
+if (unknown.length) {
+  console.error(`Unknown user(s): ${unknown.join(", ")}. Available: ${Object.keys(USERS).join(", ")}`);
+  process.exit(1);
+}
+
+for (const name of names.length ? names : Object.keys(USERS)) {
+  const { text, version } = composeSessionPrompt(USERS[name]);
+  console.log(`===== ${name} (${version}) =====`);
+  console.log(text);
+}
@@ -0,0 +1,102 @@
+// scripts/session-prompt-users.js
+// Sample users for Sophie's session prompt: the inputs composeSessionPrompt gets from
+// /api/session. Shared by scripts/render-session-prompts.mjs and the snapshot test
+// (test/session-prompts.test.js).
+
+const profile = {
+  occupation: "nurse",
+  conversationStyle: "direct",
+  topicsLike: ["climbing", "books"],
+  topicsAvoid: ["politics"],
+  memoryConfidence: "high",
+  lastConfirmedAt: "2026-10-10T10:00:00.000Z",
+  factHistory: { occupation: [{ value: "student", valid_to: "2026-03-01T00:00:00Z" }] },
+};
+
+const sessions = [
+  { session_date: "2026-10-09T10:00:00Z", emotional_tone: "calm", stress_level: 3, closeness_level: 6, short_summary: "Talked about switching wards." },
+  { session_date: "2026-10-01T10:00:00Z", emotional_tone: "tense", stress_level: 7, closeness_level: 4, short_summary: "Night shifts are draining." },
+];
+
+const longTermItems = [
+  { kind: "decision", text: "Will apply to the day ward", last_seen_at: "2026-10-09T10:00:00Z" },
+  { kind: "goal", text: "Climb outdoors twice a month", last_seen_at: "2026-10-01T10:00:00Z" },
+];
+
+const openTasks = [
+  { label: "Talk to the ward manager", detail: "Ask about open day-ward positions", due_date: "2026-10-10", created_at: "2026-10-09T10:00:00Z" },
+  { label: "Sleep plan", detail: "Try going to bed at the same time for a week", due_date: null, created_at: "2026-10-01T10:00:00Z" },
+];
+
+const USERS = {
+  // brand-new user: nothing known yet
+  "first-session": {
+    startMode: { isFirstSession: true },
+    language: { language: "en" },
+    addressing: { preferredName: "", addressing: "", pronoun: "" },
+    identity: {
+      occupation: "",
+      conversationStyle: "",
+      topicsLike: [],
+      topicsAvoid: [],
+      memoryConfidence: "",
+      lastConfirmedAt: null,
+      factHistory: {},
+    },
+    intent: { intent: "", topic: "", isFirstSession: true },
+    memory: { mode: "companion", lastInteractionSummary: "", toneBaseline: "", sessionLimit: 1, recentSessions: [] },
+    longTermMemory: { items: [] },
+    followUps: { tasks: [], today: "2026-10-11" },
+    thread: { threadId: null, sessions: [] },
+  },
+  // no plan / starter: last session only
+  companion: {
+    startMode: { isFirstSession: false },
+    language: { language: "de" },
+    addressing: { preferredName: "Len", addressing: "informal", pronoun: "she" },
+    identity: profile,
+    intent: { intent: "", topic: "", isFirstSession: false },
+    memory: {
+      mode: "companion",
+      lastInteractionSummary: "Weighing a ward switch.",
+      toneBaseline: "warm",
+      sessionLimit: 1,
+      recentSessions: sessions.slice(0, 1),
+    },
+    longTermMemory: { items: longTermItems.slice(0, 1) },
+    followUps: { tasks: openTasks.slice(0, 1), today: "2026-10-11" },
+    thread: { threadId: null, sessions: [] },
+  },
+  // plus: more sessions, more long-term memory, continuing a thread with a decision to make
+  "best-friend": {
+    startMode: { isFirstSession: false },
+    language: { language: "de" },
+    addressing: { preferredName: "Len", addressing: "informal", pronoun: "she" },
+    identity: profile,
+    intent: { intent: "decide", topic: "Should I move to the day ward?", isFirstSession: false },
+    memory: {
+      mode: "best_friend",
+      lastInteractionSummary: "Weighing a ward switch.",
+      toneBaseline: "warm",
+      sessionLimit: 3,
+      recentSessions: sessions,
+    },
+    longTermMemory: { items: longTermItems },
+    followUps: { tasks: openTasks, today: "2026-10-11" },
+    thread: {
+      threadId: "11111111-1111-1111-1111-111111111111",
+      sessions: [
+        {
+          session_date: "2026-10-01T10:00:00Z",
+          output: {
+            short_summary: "Night shifts.",
+            key_insights: [{ text: "Sleep matters most" }],
+            open_questions: ["Is the day ward calmer?"],
+          },
+        },
+      ],
+    },
+  },
+};
+
+module.exports = { USERS };
@@ -0,0 +1,45 @@
+begin;
+
+-- =========================================================
+-- 1) user_sessions.idempotency_key
+--    Ein Key pro Call (vom Client), Retries landen in derselben Session
+-- =========================================================
+
+alter table public.user_sessions
+  add column if not exists idempotency_key text;
+
+-- NULLs sind distinct -> alte Sessions ohne Key bleiben erlaubt
+create unique index if not exists user_sessions_user_idempotency_key_idx
+  on public.user_sessions (user_id, idempotency_key);
+
+-- =========================================================
+-- 2) Update-Policies (nötig für upsert aus memory-update.js)
+-- =========================================================
+
+drop policy if exists "Users can update own conversation messages" on public.conversation_messages;
+create policy "Users can update own conversation messages"
+on public.conversation_messages
+for update
+using (
+  exists (
+    select 1
+    from public.user_sessions s
+    where s.id = conversation_messages.session_id
+      and s.user_id = auth.uid()
+  )
+);
+
+drop policy if exists "Users can update own conversation outputs" on public.conversation_outputs;
+create policy "Users can update own conversation outputs"
+on public.conversation_outputs
+for update
+using (
+  exists (
+    select 1
+    from public.user_sessions s
+    where s.id = conversation_outputs.session_id
+      and s.user_id = auth.uid()
+  )
+);
+
+commit;
@@ -0,0 +1,46 @@
+begin;
+
+-- =========================================================
+-- realtime_calls
+--   Ein Datensatz pro Realtime-Token (von /api/session erzeugt).
+--   Abrechnung läuft über Server-Zeitstempel, nicht über Client-Sekunden.
+-- =========================================================
+
+create table if not exists public.realtime_calls (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  status text not null default 'open',
+  started_at timestamptz not null default now(),
+  last_heartbeat_at timestamptz not null default now(),
+  max_seconds integer,                      -- Obergrenze: Laufzeit der Realtime-Session, höchstens das Guthaben beim Start
+  ended_at timestamptz,
+  billable_seconds integer,
+  charged_seconds integer,
+  client_reported_seconds integer,
+  closed_reason text,
+  created_at timestamptz not null default now(),
+
+  constraint realtime_calls_status_check
+    check (status in ('open', 'closed', 'expired')),
+
+  constraint realtime_calls_billable_seconds_check
+    check (billable_seconds is null or billable_seconds >= 0)
+);
+
+create index if not exists realtime_calls_user_status_idx
+  on public.realtime_calls (user_id, status);
+
+create index if not exists realtime_calls_last_heartbeat_idx
+  on public.realtime_calls (last_heartbeat_at)
+  where status = 'open';
+
+-- Nur Service Role (API) schreibt/liest; Users dürfen ihre Calls lesen
+alter table public.realtime_calls enable row level security;
+
+drop policy if exists "Users can read own realtime calls" on public.realtime_calls;
+create policy "Users can read own realtime calls"
+on public.realtime_calls
+for select
+using (user_id = auth.uid());
+
+commit;
@@ -0,0 +1,273 @@
+begin;
+
+-- =========================================================
+-- 1) usage_ledger
+--    Append-only: jede Gutschrift (Free Trial, Plan, Top-up) und jede Abbuchung
+--    ist eine Zeile. Salden werden immer aus dem Ledger berechnet.
+--    seconds > 0 = grant, seconds < 0 = debit/expire
+-- =========================================================
+
+create table if not exists public.usage_ledger (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  bucket text not null,
+  kind text not null,
+  seconds integer not null,
+  reason text not null,
+  ref text,
+  created_at timestamptz not null default now(),
+
+  constraint usage_ledger_bucket_check
+    check (bucket in ('free', 'paid', 'topup')),
+
+  constraint usage_ledger_kind_check
+    check (kind in ('grant', 'debit', 'expire')),
+
+  constraint usage_ledger_sign_check
+    check ((kind = 'grant' and seconds >= 0) or (kind in ('debit', 'expire') and seconds <= 0))
+);
+
+create index if not exists usage_ledger_user_id_idx
+  on public.usage_ledger (user_id, created_at);
+
+create index if not exists usage_ledger_ref_idx
+  on public.usage_ledger (user_id, ref)
+  where ref is not null;
+
+alter table public.usage_ledger enable row level security;
+
+drop policy if exists "Users can read own usage ledger" on public.usage_ledger;
+create policy "Users can read own usage ledger"
+on public.usage_ledger
+for select
+using (user_id = auth.uid());
+
+-- =========================================================
+-- 2) Salden (abgeleitet)
+-- =========================================================
+
+create or replace view public.usage_balances
+with (security_invoker = true)
+as
+select
+  user_id,
+  greatest(0, coalesce(sum(seconds) filter (where bucket = 'free'), 0))::integer as free_seconds,
+  greatest(0, coalesce(sum(seconds) filter (where bucket = 'paid'), 0))::integer as paid_seconds,
+  greatest(0, coalesce(sum(seconds) filter (where bucket = 'topup'), 0))::integer as topup_seconds
+from public.usage_ledger
+group by user_id;
+
+create or replace function public.usage_bucket_totals(p_user_id uuid)
+returns table (free_seconds integer, paid_seconds integer, topup_seconds integer, total_seconds integer)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    b.free_seconds,
+    b.paid_seconds,
+    b.topup_seconds,
+    b.free_seconds + b.paid_seconds + b.topup_seconds
+  from (
+    select
+      greatest(0, coalesce(sum(l.seconds) filter (where l.bucket = 'free'), 0))::integer as free_seconds,
+      greatest(0, coalesce(sum(l.seconds) filter (where l.bucket = 'paid'), 0))::integer as paid_seconds,
+      greatest(0, coalesce(sum(l.seconds) filter (where l.bucket = 'topup'), 0))::integer as topup_seconds
+    from public.usage_ledger l
+    where l.user_id = p_user_id
+  ) b;
+$$;
+
+-- Free Trial genau einmal pro User (Aufrufer hält den User-Lock)
+create or replace function public.usage_ensure_free_trial(p_user_id uuid, p_seconds integer default 120)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.usage_ledger l where l.user_id = p_user_id and l.bucket = 'free') then
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason)
+    values (p_user_id, 'free', 'grant', greatest(0, p_seconds), 'free_trial');
+  end if;
+end;
+$$;
+
+create or replace function public.usage_balance(p_user_id uuid)
+returns table (free_seconds integer, paid_seconds integer, topup_seconds integer, total_seconds integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+
+  return query
+    select t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+-- =========================================================
+-- 3) Atomare Abbuchung: free -> paid -> topup
+--    Advisory-Lock pro User serialisiert parallele Calls und Webhook-Resets.
+--    Gleiche ref (z.B. call id) wird nur einmal abgebucht.
+-- =========================================================
+
+create or replace function public.usage_debit(
+  p_user_id uuid,
+  p_seconds integer,
+  p_reason text default 'call',
+  p_ref text default null
+)
+returns table (
+  charged_seconds integer,
+  free_charged integer,
+  paid_charged integer,
+  topup_charged integer,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_left integer := greatest(0, coalesce(p_seconds, 0));
+  v_free integer;
+  v_paid integer;
+  v_topup integer;
+  c_free integer := 0;
+  c_paid integer := 0;
+  c_topup integer := 0;
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+
+  if p_ref is not null and exists (
+    select 1 from public.usage_ledger l
+    where l.user_id = p_user_id and l.kind = 'debit' and l.ref = p_ref
+  ) then
+    -- Retry: report the earlier debit, do not charge again
+    select
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'free'), 0)::integer,
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'paid'), 0)::integer,
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'topup'), 0)::integer
+    into c_free, c_paid, c_topup
+    from public.usage_ledger l
+    where l.user_id = p_user_id and l.kind = 'debit' and l.ref = p_ref;
+  else
+    select t.free_seconds, t.paid_seconds, t.topup_seconds
+    into v_free, v_paid, v_topup
+    from public.usage_bucket_totals(p_user_id) t;
+
+    c_free := least(v_free, v_left);
+    v_left := v_left - c_free;
+    c_paid := least(v_paid, v_left);
+    v_left := v_left - c_paid;
+    c_topup := least(v_topup, v_left);
+
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+    select p_user_id, x.bucket, 'debit', -x.secs, coalesce(p_reason, 'call'), p_ref
+    from (values ('free', c_free), ('paid', c_paid), ('topup', c_topup)) as x(bucket, secs)
+    where x.secs > 0;
+  end if;
+
+  return query
+    select c_free + c_paid + c_topup, c_free, c_paid, c_topup,
+           t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+-- =========================================================
+-- 4) Gutschrift (optional: Bucket vorher auf 0 setzen, z.B. Plan-Renewal)
+--    Gleiche (bucket, reason, ref) wird nur einmal gebucht.
+-- =========================================================
+
+create or replace function public.usage_grant(
+  p_user_id uuid,
+  p_bucket text,
+  p_seconds integer,
+  p_reason text,
+  p_ref text default null,
+  p_replace boolean default false
+)
+returns table (
+  granted boolean,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_current integer := 0;
+  v_granted boolean := false;
+begin
+  if p_bucket not in ('free', 'paid', 'topup') then
+    raise exception 'usage_grant: invalid bucket %', p_bucket;
+  end if;
+
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+
+  if p_ref is null or not exists (
+    select 1 from public.usage_ledger l
+    where l.user_id = p_user_id and l.bucket = p_bucket and l.reason = p_reason and l.ref = p_ref
+  ) then
+    if p_replace then
+      select case p_bucket when 'free' then t.free_seconds when 'paid' then t.paid_seconds else t.topup_seconds end
+      into v_current
+      from public.usage_bucket_totals(p_user_id) t;
+
+      if v_current > 0 then
+        insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+        values (p_user_id, p_bucket, 'expire', -v_current, p_reason, p_ref);
+      end if;
+    end if;
+
+    if coalesce(p_seconds, 0) > 0 then
+      insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+      values (p_user_id, p_bucket, 'grant', p_seconds, p_reason, p_ref);
+    end if;
+
+    v_granted := true;
+  end if;
+
+  return query
+    select v_granted, t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+revoke execute on function public.usage_ensure_free_trial(uuid, integer) from public, anon, authenticated;
+revoke execute on function public.usage_balance(uuid) from public, anon, authenticated;
+revoke execute on function public.usage_debit(uuid, integer, text, text) from public, anon, authenticated;
+revoke execute on function public.usage_grant(uuid, text, integer, text, text, boolean) from public, anon, authenticated;
+
+-- =========================================================
+-- 5) Backfill: bestehende user_usage-Salden als Opening Balance
+--    user_usage wird danach nicht mehr geschrieben (nur noch Altbestand)
+-- =========================================================
+
+insert into public.usage_ledger (user_id, bucket, kind, seconds, reason)
+select u.user_id, x.bucket, 'grant', x.secs, 'opening_balance'
+from public.user_usage u
+cross join lateral (
+  values
+    ('free', greatest(0, coalesce(u.free_seconds_total, 120) - coalesce(u.free_seconds_used, 0))),
+    ('paid', greatest(0, coalesce(u.paid_seconds_total, 0) - coalesce(u.paid_seconds_used, 0))),
+    ('topup', greatest(0, coalesce(u.topup_seconds_balance, 0)))
+) as x(bucket, secs)
+where not exists (select 1 from public.usage_ledger l where l.user_id = u.user_id);
+
+commit;
@@ -0,0 +1,388 @@
+begin;
+
+-- =========================================================
+-- 1) topup_packs
+--    Jedes gekaufte Top-up-Paket ist ein eigener Grant mit Kaufdatum
+--    und optionalem Ablaufdatum. Verbrauch: ältestes gültiges Paket zuerst.
+-- =========================================================
+
+create table if not exists public.topup_packs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  pack_minutes integer,
+  seconds integer not null,
+  purchased_at timestamptz not null default now(),
+  expires_at timestamptz,
+  ref text,
+  created_at timestamptz not null default now(),
+
+  constraint topup_packs_seconds_check
+    check (seconds >= 0)
+);
+
+create index if not exists topup_packs_user_id_idx
+  on public.topup_packs (user_id, purchased_at);
+
+create unique index if not exists topup_packs_user_ref_idx
+  on public.topup_packs (user_id, ref);
+
+alter table public.topup_packs enable row level security;
+
+drop policy if exists "Users can read own topup packs" on public.topup_packs;
+create policy "Users can read own topup packs"
+on public.topup_packs
+for select
+using (user_id = auth.uid());
+
+-- Ledger-Zeilen im topup-Bucket zeigen auf ihr Paket
+alter table public.usage_ledger
+  add column if not exists pack_id uuid references public.topup_packs(id) on delete cascade;
+
+create index if not exists usage_ledger_pack_id_idx
+  on public.usage_ledger (pack_id)
+  where pack_id is not null;
+
+-- =========================================================
+-- 2) Migration: bisheriger topup-Saldo wird ein Paket ohne Ablauf
+--    (Altzeilen werden per expire/grant-Paar auf das Paket umgebucht)
+-- =========================================================
+
+do $$
+declare
+  r record;
+  v_pack uuid;
+begin
+  for r in
+    select l.user_id, sum(l.seconds)::integer as balance
+    from public.usage_ledger l
+    where l.bucket = 'topup' and l.pack_id is null
+    group by l.user_id
+    having sum(l.seconds) > 0
+  loop
+    insert into public.topup_packs (user_id, pack_minutes, seconds, purchased_at, ref)
+    values (r.user_id, null, r.balance, now(), 'pack_migration')
+    returning id into v_pack;
+
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason)
+    values (r.user_id, 'topup', 'expire', -r.balance, 'pack_migration');
+
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref, pack_id)
+    values (r.user_id, 'topup', 'grant', r.balance, 'pack_migration', 'pack_migration', v_pack);
+  end loop;
+end;
+$$;
+
+-- =========================================================
+-- 3) Paket-Salden
+-- =========================================================
+
+create or replace function public.usage_topup_packs(p_user_id uuid)
+returns table (
+  pack_id uuid,
+  pack_minutes integer,
+  seconds_total integer,
+  seconds_remaining integer,
+  purchased_at timestamptz,
+  expires_at timestamptz,
+  is_expired boolean
+)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    p.id,
+    p.pack_minutes,
+    p.seconds,
+    case
+      when p.expires_at is not null and p.expires_at <= now() then 0
+      else greatest(0, coalesce((select sum(l.seconds) from public.usage_ledger l where l.pack_id = p.id), 0))::integer
+    end,
+    p.purchased_at,
+    p.expires_at,
+    (p.expires_at is not null and p.expires_at <= now())
+  from public.topup_packs p
+  where p.user_id = p_user_id
+  order by p.purchased_at, p.id;
+$$;
+
+-- topup = Summe der gültigen Pakete
+create or replace function public.usage_bucket_totals(p_user_id uuid)
+returns table (free_seconds integer, paid_seconds integer, topup_seconds integer, total_seconds integer)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    b.free_seconds,
+    b.paid_seconds,
+    b.topup_seconds,
+    b.free_seconds + b.paid_seconds + b.topup_seconds
+  from (
+    select
+      greatest(0, coalesce(sum(l.seconds) filter (where l.bucket = 'free'), 0))::integer as free_seconds,
+      greatest(0, coalesce(sum(l.seconds) filter (where l.bucket = 'paid'), 0))::integer as paid_seconds,
+      (
+        select coalesce(sum(p.seconds_remaining), 0)::integer
+        from public.usage_topup_packs(p_user_id) p
+      ) as topup_seconds
+    from public.usage_ledger l
+    where l.user_id = p_user_id
+  ) b;
+$$;
+
+create or replace view public.usage_balances
+with (security_invoker = true)
+as
+select u.user_id, t.free_seconds, t.paid_seconds, t.topup_seconds
+from (select distinct l.user_id from public.usage_ledger l) u
+cross join lateral public.usage_bucket_totals(u.user_id) t;
+
+-- Abgelaufene Restsekunden als expire-Zeile festhalten (Audit; Aufrufer hält den User-Lock)
+create or replace function public.usage_expire_topup_packs(p_user_id uuid)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, pack_id)
+  select p_user_id, 'topup', 'expire', -x.rest, 'topup_expired', x.id
+  from (
+    select p.id, coalesce(sum(l.seconds), 0)::integer as rest
+    from public.topup_packs p
+    left join public.usage_ledger l on l.pack_id = p.id
+    where p.user_id = p_user_id
+      and p.expires_at is not null
+      and p.expires_at <= now()
+    group by p.id
+  ) x
+  where x.rest > 0;
+end;
+$$;
+
+-- =========================================================
+-- 4) Gutschrift eines Pakets (gleiche ref nur einmal)
+-- =========================================================
+
+create or replace function public.usage_grant_topup(
+  p_user_id uuid,
+  p_seconds integer,
+  p_pack_minutes integer default null,
+  p_ref text default null,
+  p_expires_at timestamptz default null
+)
+returns table (
+  granted boolean,
+  pack_id uuid,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_pack uuid;
+  v_granted boolean := false;
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+  perform public.usage_expire_topup_packs(p_user_id);
+
+  if p_ref is not null then
+    select p.id into v_pack from public.topup_packs p where p.user_id = p_user_id and p.ref = p_ref;
+  end if;
+
+  if v_pack is null and coalesce(p_seconds, 0) > 0 then
+    insert into public.topup_packs (user_id, pack_minutes, seconds, expires_at, ref)
+    values (p_user_id, p_pack_minutes, p_seconds, p_expires_at, p_ref)
+    returning id into v_pack;
+
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref, pack_id)
+    values (p_user_id, 'topup', 'grant', p_seconds, 'topup', p_ref, v_pack);
+
+    v_granted := true;
+  end if;
+
+  return query
+    select v_granted, v_pack, t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+-- usage_grant bleibt für free/paid; Pakete nur über usage_grant_topup
+create or replace function public.usage_grant(
+  p_user_id uuid,
+  p_bucket text,
+  p_seconds integer,
+  p_reason text,
+  p_ref text default null,
+  p_replace boolean default false
+)
+returns table (
+  granted boolean,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_current integer := 0;
+  v_granted boolean := false;
+begin
+  if p_bucket not in ('free', 'paid') then
+    raise exception 'usage_grant: invalid bucket % (use usage_grant_topup for packs)', p_bucket;
+  end if;
+
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+
+  if p_ref is null or not exists (
+    select 1 from public.usage_ledger l
+    where l.user_id = p_user_id and l.bucket = p_bucket and l.reason = p_reason and l.ref = p_ref
+  ) then
+    if p_replace then
+      select case p_bucket when 'free' then t.free_seconds else t.paid_seconds end
+      into v_current
+      from public.usage_bucket_totals(p_user_id) t;
+
+      if v_current > 0 then
+        insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+        values (p_user_id, p_bucket, 'expire', -v_current, p_reason, p_ref);
+      end if;
+    end if;
+
+    if coalesce(p_seconds, 0) > 0 then
+      insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+      values (p_user_id, p_bucket, 'grant', p_seconds, p_reason, p_ref);
+    end if;
+
+    v_granted := true;
+  end if;
+
+  return query
+    select v_granted, t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+-- =========================================================
+-- 5) Abbuchung: free -> paid -> topup (Pakete FIFO, abgelaufene nie)
+-- =========================================================
+
+create or replace function public.usage_balance(p_user_id uuid)
+returns table (free_seconds integer, paid_seconds integer, topup_seconds integer, total_seconds integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+  perform public.usage_expire_topup_packs(p_user_id);
+
+  return query
+    select t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+create or replace function public.usage_debit(
+  p_user_id uuid,
+  p_seconds integer,
+  p_reason text default 'call',
+  p_ref text default null
+)
+returns table (
+  charged_seconds integer,
+  free_charged integer,
+  paid_charged integer,
+  topup_charged integer,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_left integer := greatest(0, coalesce(p_seconds, 0));
+  v_free integer;
+  v_paid integer;
+  v_take integer;
+  c_free integer := 0;
+  c_paid integer := 0;
+  c_topup integer := 0;
+  pk record;
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+  perform public.usage_expire_topup_packs(p_user_id);
+
+  if p_ref is not null and exists (
+    select 1 from public.usage_ledger l
+    where l.user_id = p_user_id and l.kind = 'debit' and l.ref = p_ref
+  ) then
+    -- Retry: report the earlier debit, do not charge again
+    select
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'free'), 0)::integer,
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'paid'), 0)::integer,
+      coalesce(-sum(l.seconds) filter (where l.bucket = 'topup'), 0)::integer
+    into c_free, c_paid, c_topup
+    from public.usage_ledger l
+    where l.user_id = p_user_id and l.kind = 'debit' and l.ref = p_ref;
+  else
+    select t.free_seconds, t.paid_seconds
+    into v_free, v_paid
+    from public.usage_bucket_totals(p_user_id) t;
+
+    c_free := least(v_free, v_left);
+    v_left := v_left - c_free;
+    c_paid := least(v_paid, v_left);
+    v_left := v_left - c_paid;
+
+    insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+    select p_user_id, x.bucket, 'debit', -x.secs, coalesce(p_reason, 'call'), p_ref
+    from (values ('free', c_free), ('paid', c_paid)) as x(bucket, secs)
+    where x.secs > 0;
+
+    -- Top-up: ältestes gültiges Paket zuerst
+    for pk in
+      select p.pack_id, p.seconds_remaining
+      from public.usage_topup_packs(p_user_id) p
+      where p.seconds_remaining > 0 and not p.is_expired
+    loop
+      exit when v_left <= 0;
+      v_take := least(pk.seconds_remaining, v_left);
+
+      insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref, pack_id)
+      values (p_user_id, 'topup', 'debit', -v_take, coalesce(p_reason, 'call'), p_ref, pk.pack_id);
+
+      c_topup := c_topup + v_take;
+      v_left := v_left - v_take;
+    end loop;
+  end if;
+
+  return query
+    select c_free + c_paid + c_topup, c_free, c_paid, c_topup,
+           t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+revoke execute on function public.usage_expire_topup_packs(uuid) from public, anon, authenticated;
+revoke execute on function public.usage_grant_topup(uuid, integer, integer, text, timestamptz) from public, anon, authenticated;
+
+commit;
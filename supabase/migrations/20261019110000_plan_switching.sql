@@ -0,0 +1,84 @@
+begin;
+
+-- =========================================================
+-- 1) user_subscriptions: Abrechnungsintervall + aktueller Preis
+--    (Bestandsabos waren alle monatlich)
+-- =========================================================
+
+alter table public.user_subscriptions
+  add column if not exists billing_interval text not null default 'month',
+  add column if not exists stripe_price_id text;
+
+alter table public.user_subscriptions
+  drop constraint if exists user_subscriptions_billing_interval_check;
+
+alter table public.user_subscriptions
+  add constraint user_subscriptions_billing_interval_check
+  check (billing_interval in ('month', 'year'));
+
+-- =========================================================
+-- 2) Anteilige Korrektur eines Buckets (Planwechsel)
+--    > 0: Gutschrift, < 0: verfällt, höchstens der Restsaldo.
+--    Gleiche (bucket, reason, ref) wird nur einmal gebucht.
+-- =========================================================
+
+create or replace function public.usage_adjust(
+  p_user_id uuid,
+  p_bucket text,
+  p_seconds integer,
+  p_reason text,
+  p_ref text default null
+)
+returns table (
+  adjusted_seconds integer,
+  free_seconds integer,
+  paid_seconds integer,
+  topup_seconds integer,
+  total_seconds integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_current integer := 0;
+  v_delta integer := 0;
+begin
+  if p_bucket not in ('free', 'paid') then
+    raise exception 'usage_adjust: invalid bucket %', p_bucket;
+  end if;
+
+  perform pg_advisory_xact_lock(hashtextextended(p_user_id::text, 0));
+  perform public.usage_ensure_free_trial(p_user_id);
+
+  if p_ref is null or not exists (
+    select 1 from public.usage_ledger l
+    where l.user_id = p_user_id and l.bucket = p_bucket and l.reason = p_reason and l.ref = p_ref
+  ) then
+    if coalesce(p_seconds, 0) > 0 then
+      v_delta := p_seconds;
+      insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+      values (p_user_id, p_bucket, 'grant', v_delta, p_reason, p_ref);
+    elsif coalesce(p_seconds, 0) < 0 then
+      select case p_bucket when 'free' then t.free_seconds else t.paid_seconds end
+      into v_current
+      from public.usage_bucket_totals(p_user_id) t;
+
+      v_delta := -least(-p_seconds, greatest(v_current, 0));
+      if v_delta < 0 then
+        insert into public.usage_ledger (user_id, bucket, kind, seconds, reason, ref)
+        values (p_user_id, p_bucket, 'expire', v_delta, p_reason, p_ref);
+      end if;
+    end if;
+  end if;
+
+  return query
+    select v_delta, t.free_seconds, t.paid_seconds, t.topup_seconds, t.total_seconds
+    from public.usage_bucket_totals(p_user_id) t;
+end;
+$$;
+
+revoke execute on function public.usage_adjust(uuid, text, integer, text, text) from public, anon, authenticated;
+
+commit;
@@ -0,0 +1,86 @@
+begin;
+
+-- =========================================================
+-- 1) stripe_events
+--    Jede Webhook-Zustellung wird über die Stripe-Event-ID
+--    festgehalten. Verarbeitete Events werden übersprungen,
+--    fehlgeschlagene können per Admin-Route erneut laufen.
+-- =========================================================
+
+create table if not exists public.stripe_events (
+  id text primary key,                       -- Stripe event id (evt_...)
+  type text not null,
+  livemode boolean not null default false,
+  payload jsonb not null,
+  payload_hash text not null,                -- sha256 des Roh-Bodys
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed')),
+  attempts integer not null default 0,
+  error text,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists stripe_events_status_idx
+  on public.stripe_events (status, received_at);
+
+-- Nur Service Role (keine Policies)
+alter table public.stripe_events enable row level security;
+
+-- =========================================================
+-- 2) Event übernehmen (atomar)
+--    claimed = true -> Aufrufer verarbeitet das Event jetzt.
+--    Neu oder failed -> wird übernommen; processing nur, wenn
+--    es länger als p_stale_seconds hängt (abgebrochene Function).
+-- =========================================================
+
+create or replace function public.stripe_event_claim(
+  p_id text,
+  p_type text,
+  p_livemode boolean,
+  p_payload jsonb,
+  p_payload_hash text,
+  p_stale_seconds integer default 300
+)
+returns table (claimed boolean, status text, attempts integer, payload_hash text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  insert into public.stripe_events (id, type, livemode, payload, payload_hash, status, attempts)
+  values (p_id, p_type, coalesce(p_livemode, false), p_payload, p_payload_hash, 'processing', 1)
+  on conflict (id) do nothing;
+
+  if found then
+    return query select true, 'processing'::text, 1, p_payload_hash;
+    return;
+  end if;
+
+  return query
+    update public.stripe_events e
+    set status = 'processing',
+        attempts = e.attempts + 1,
+        error = null,
+        updated_at = now()
+    where e.id = p_id
+      and (
+        e.status = 'failed'
+        or (e.status = 'processing' and e.updated_at < now() - make_interval(secs => p_stale_seconds))
+      )
+    returning true, e.status, e.attempts, e.payload_hash;
+
+  if not found then
+    return query
+      select false, e.status, e.attempts, e.payload_hash
+      from public.stripe_events e
+      where e.id = p_id;
+  end if;
+end;
+$$;
+
+revoke execute on function public.stripe_event_claim(text, text, boolean, jsonb, text, integer) from public, anon, authenticated;
+
+commit;
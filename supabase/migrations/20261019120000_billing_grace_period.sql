@@ -0,0 +1,16 @@
+begin;
+
+-- =========================================================
+-- Zahlungsausfall / Mahnlauf
+--   payment_failed_at: erste fehlgeschlagene Zahlung der aktuellen Episode
+--   grace_until:       bis dahin bleibt der Zugang bestehen
+--   paid_paused_at:    paid-Sekunden wurden nach Ablauf pausiert
+--                      (usage_ledger: reason 'payment_paused' / 'payment_resumed')
+-- =========================================================
+
+alter table public.user_subscriptions
+  add column if not exists payment_failed_at timestamptz,
+  add column if not exists grace_until timestamptz,
+  add column if not exists paid_paused_at timestamptz;
+
+commit;
@@ -0,0 +1,13 @@
+begin;
+
+-- =========================================================
+-- Vom User bestätigte Erinnerungen ("What Sophie knows about me")
+--   confirmed_fields: Felder, die der User gesetzt oder gelöscht hat
+--   (user_profile + user_relationship). memory-update überschreibt
+--   diese Felder nicht mehr.
+-- =========================================================
+
+alter table public.user_profile
+  add column if not exists confirmed_fields text[] not null default '{}';
+
+commit;
@@ -0,0 +1,41 @@
+begin;
+
+-- =========================================================
+-- memory_facts: Herkunft + Konfidenz je gespeichertem Fakt
+--   Eine Zeile pro Feldwert (first_name, preferred_name, occupation, age)
+--   bzw. pro Topic (topics_like / topics_avoid). user_profile bleibt die
+--   aktuelle Sicht; memory_facts sagt, woher ein Wert kommt und wie sicher er ist.
+-- =========================================================
+
+create table if not exists public.memory_facts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  field text not null,
+  value text not null,
+  value_key text not null,                   -- lower(trim(value)) für Abgleich/Unique
+  confidence real not null check (confidence >= 0 and confidence <= 1),
+  source text not null default 'extraction' check (source in ('extraction', 'user')),
+  source_session_id uuid references public.user_sessions(id) on delete set null,
+  source_seq integer,                        -- conversation_messages.seq der zitierten User-Nachricht
+  evidence text,                             -- kurzer Auszug aus dieser Nachricht
+  extracted_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, field, value_key)
+);
+
+create index if not exists memory_facts_user_idx on public.memory_facts (user_id, field);
+
+alter table public.memory_facts enable row level security;
+
+drop policy if exists "memory_facts_select_own" on public.memory_facts;
+create policy "memory_facts_select_own"
+  on public.memory_facts for select
+  using (auth.uid() = user_id);
+
+-- Schreiben nur über die Service Role (Post-Call-Job, /api/memory), damit
+-- memory-rules / memory-poison nicht umgangen werden können
+drop policy if exists "memory_facts_insert_own" on public.memory_facts;
+drop policy if exists "memory_facts_update_own" on public.memory_facts;
+drop policy if exists "memory_facts_delete_own" on public.memory_facts;
+
+commit;
@@ -0,0 +1,200 @@
+begin;
+
+-- =========================================================
+-- 1) memory_items: Langzeitgedächtnis aus den Thinking Reports
+--    Atomare Einträge (fact / goal / decision / open_question),
+--    /api/session wählt daraus die relevantesten fürs Prompt.
+-- =========================================================
+
+create table if not exists public.memory_items (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null check (kind in ('fact', 'goal', 'decision', 'open_question')),
+  text text not null,
+  text_key text not null,                    -- normalisierter Text (Dedup)
+  importance smallint not null default 3 check (importance between 1 and 5),
+  first_session_id uuid references public.user_sessions(id) on delete set null,
+  last_session_id uuid references public.user_sessions(id) on delete set null,
+  thread_id uuid,
+  times_seen integer not null default 1,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  unique (user_id, kind, text_key)
+);
+
+create index if not exists memory_items_user_seen_idx
+  on public.memory_items (user_id, last_seen_at desc);
+
+alter table public.memory_items enable row level security;
+
+drop policy if exists "memory_items_select_own" on public.memory_items;
+create policy "memory_items_select_own"
+  on public.memory_items for select
+  using (auth.uid() = user_id);
+
+-- Aus welchen Sessions ein Eintrag stammt. Wird eine Session gelöscht
+-- (DELETE /api/sessions), fallen ihre Verknüpfungen weg; ein Eintrag
+-- ohne verbleibende Session wird mit gelöscht, sonst zählt times_seen
+-- nur noch die übrigen Sessions.
+create table if not exists public.memory_item_sources (
+  item_id uuid not null references public.memory_items(id) on delete cascade,
+  session_id uuid not null references public.user_sessions(id) on delete cascade,
+  primary key (item_id, session_id)
+);
+
+create index if not exists memory_item_sources_session_idx
+  on public.memory_item_sources (session_id);
+
+-- Nur Service Role (keine Policies)
+alter table public.memory_item_sources enable row level security;
+
+create or replace function public.memory_item_sources_cleanup()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.memory_items m
+  where m.id = old.item_id
+    and not exists (select 1 from public.memory_item_sources s where s.item_id = old.item_id);
+
+  update public.memory_items m
+  set times_seen = (select count(*) from public.memory_item_sources s where s.item_id = m.id)
+  where m.id = old.item_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists memory_item_sources_cleanup on public.memory_item_sources;
+create trigger memory_item_sources_cleanup
+  after delete on public.memory_item_sources
+  for each row execute function public.memory_item_sources_cleanup();
+
+create or replace function public.memory_item_key(p_text text)
+returns text
+language sql
+immutable
+as $$
+  select lower(regexp_replace(regexp_replace(trim(coalesce(p_text, '')), '\s+', ' ', 'g'), '[.!?;:,]+$', ''));
+$$;
+
+-- =========================================================
+-- 2) Einträge eines Reports übernehmen
+--    Schon bekannter Eintrag: importance = max, times_seen +1
+--    (gleiche Session zählt nur einmal -> Retries sind harmlos)
+-- =========================================================
+
+create or replace function public.memory_items_upsert(
+  p_user_id uuid,
+  p_session_id uuid,
+  p_thread_id uuid,
+  p_items jsonb
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer := 0;
+begin
+  -- nur Service Role (Post-Call-Job); ein User-JWT dürfte nur eigene Einträge
+  if auth.uid() is not null and auth.uid() <> p_user_id then
+    raise exception 'memory_items_upsert: user mismatch';
+  end if;
+
+  with upserted as (
+    insert into public.memory_items as m (
+      user_id, kind, text, text_key, importance,
+      first_session_id, last_session_id, thread_id
+    )
+    select distinct on (x.kind, public.memory_item_key(x.text))
+      p_user_id,
+      x.kind,
+      left(regexp_replace(trim(x.text), '\s+', ' ', 'g'), 500),
+      public.memory_item_key(x.text),
+      least(5, greatest(1, coalesce(x.importance, 3))),
+      p_session_id,
+      p_session_id,
+      p_thread_id
+    from jsonb_to_recordset(coalesce(p_items, '[]'::jsonb)) as x(kind text, text text, importance integer)
+    where x.kind in ('fact', 'goal', 'decision', 'open_question')
+      and public.memory_item_key(x.text) <> ''
+    order by x.kind, public.memory_item_key(x.text), x.importance desc nulls last
+    on conflict (user_id, kind, text_key) do update
+    set importance = greatest(m.importance, excluded.importance),
+        text = excluded.text,
+        times_seen = m.times_seen
+          + case when m.last_session_id is distinct from excluded.last_session_id then 1 else 0 end,
+        last_seen_at = case when m.last_session_id is distinct from excluded.last_session_id then now() else m.last_seen_at end,
+        last_session_id = excluded.last_session_id,
+        thread_id = coalesce(excluded.thread_id, m.thread_id)
+    returning m.id
+  ),
+  linked as (
+    insert into public.memory_item_sources (item_id, session_id)
+    select u.id, p_session_id
+    from upserted u
+    where p_session_id is not null
+    on conflict do nothing
+  )
+  select count(*) into v_count from upserted;
+
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.memory_items_upsert(uuid, uuid, uuid, jsonb) from public, anon, authenticated;
+
+-- =========================================================
+-- 3) Backfill aus bestehenden Reports
+--    action_plan -> goal, open_questions -> open_question
+-- =========================================================
+
+create temporary table memory_items_backfill on commit drop as
+select x.*
+from (
+  select s.user_id, s.id as session_id, s.thread_id, coalesce(s.session_date, now()) as session_date,
+         'goal'::text as kind,
+         trim(both ' :' from concat_ws(': ', nullif(trim(a->>'label'), ''), nullif(trim(a->>'detail'), ''))) as text,
+         3 as importance
+  from public.conversation_outputs o
+  join public.user_sessions s on s.id = o.session_id
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(o.action_plan) = 'array' then o.action_plan else '[]'::jsonb end
+  ) a
+  union all
+  select s.user_id, s.id, s.thread_id, coalesce(s.session_date, now()),
+         'open_question', trim(q #>> '{}'), 2
+  from public.conversation_outputs o
+  join public.user_sessions s on s.id = o.session_id
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(o.open_questions) = 'array' then o.open_questions else '[]'::jsonb end
+  ) q
+) x
+where public.memory_item_key(x.text) <> '';
+
+insert into public.memory_items (
+  user_id, kind, text, text_key, importance,
+  first_session_id, last_session_id, thread_id, created_at, last_seen_at
+)
+select distinct on (x.user_id, x.kind, public.memory_item_key(x.text))
+  x.user_id, x.kind, left(x.text, 500), public.memory_item_key(x.text), x.importance,
+  x.session_id, x.session_id, x.thread_id, x.session_date, x.session_date
+from memory_items_backfill x
+order by x.user_id, x.kind, public.memory_item_key(x.text), x.session_date desc
+on conflict (user_id, kind, text_key) do nothing;
+
+-- Alle Sessions eines Eintrags verknüpfen, nicht nur die neueste
+insert into public.memory_item_sources (item_id, session_id)
+select distinct m.id, x.session_id
+from memory_items_backfill x
+join public.memory_items m
+  on m.user_id = x.user_id
+ and m.kind = x.kind
+ and m.text_key = public.memory_item_key(x.text)
+on conflict do nothing;
+
+commit;
@@ -0,0 +1,53 @@
+begin;
+
+-- =========================================================
+-- memory_facts: Versionen statt Überschreiben
+--   status:
+--     current  = steht aktuell im Profil
+--     past     = früher gültig (valid_from .. valid_to), z.B. alter Job
+--     pending  = Extraktion widerspricht einem bestätigten Wert,
+--                wartet auf Bestätigung durch den User
+--     rejected = vom User abgelehnter Vorschlag
+--   Offene Zeilen (current/pending) bleiben unique je Feldwert,
+--   Historie darf denselben Wert mehrfach enthalten.
+-- =========================================================
+
+alter table public.memory_facts
+  add column if not exists status text not null default 'current',
+  add column if not exists valid_from timestamptz,
+  add column if not exists valid_to timestamptz;
+
+update public.memory_facts
+set valid_from = extracted_at
+where valid_from is null;
+
+alter table public.memory_facts
+  alter column valid_from set default now(),
+  alter column valid_from set not null;
+
+alter table public.memory_facts
+  drop constraint if exists memory_facts_status_check;
+
+alter table public.memory_facts
+  add constraint memory_facts_status_check
+  check (status in ('current', 'past', 'pending', 'rejected'));
+
+alter table public.memory_facts
+  drop constraint if exists memory_facts_valid_to_check;
+
+alter table public.memory_facts
+  add constraint memory_facts_valid_to_check
+  check ((valid_to is null) = (status in ('current', 'pending')));
+
+alter table public.memory_facts
+  drop constraint if exists memory_facts_user_id_field_value_key_key;
+
+create unique index if not exists memory_facts_open_uidx
+  on public.memory_facts (user_id, field, value_key)
+  where status in ('current', 'pending');
+
+create index if not exists memory_facts_user_history_idx
+  on public.memory_facts (user_id, field, valid_to desc)
+  where status = 'past';
+
+commit;
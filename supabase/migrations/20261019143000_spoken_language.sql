@@ -0,0 +1,30 @@
+begin;
+
+-- =========================================================
+-- Automatische Spracherkennung
+--   user_sessions.spoken_language: erkannte Sprache der USER-Turns (null = unklar/zu kurz)
+--   user_profile.preferred_language_source:
+--     explicit = User hat im Gespräch darum gebeten ("speak German")
+--     user     = im Memory-Editor gesetzt
+--     detected = aus mehreren Sessions in Folge erkannt
+--   Erkennung überschreibt nie explicit/user.
+-- =========================================================
+
+alter table public.user_sessions
+  add column if not exists spoken_language text;
+
+create index if not exists user_sessions_user_spoken_language_idx
+  on public.user_sessions (user_id, session_date desc)
+  where spoken_language is not null;
+
+alter table public.user_profile
+  add column if not exists preferred_language_source text;
+
+alter table public.user_profile
+  drop constraint if exists user_profile_preferred_language_source_check;
+
+alter table public.user_profile
+  add constraint user_profile_preferred_language_source_check
+  check (preferred_language_source is null or preferred_language_source in ('explicit', 'user', 'detected'));
+
+commit;
@@ -0,0 +1,20 @@
+begin;
+
+-- =========================================================
+-- Prompt-Versionen (Templates in api/_lib/prompts.js)
+--   realtime_calls.prompt_version: von /api/session beim Start gesetzt
+--   user_sessions.prompt_version:  von /api/memory-update aus dem Call übernommen
+--   Format: sophie-session:start-mode-v1+language-v1+...
+-- =========================================================
+
+alter table public.realtime_calls
+  add column if not exists prompt_version text;
+
+alter table public.user_sessions
+  add column if not exists prompt_version text;
+
+create index if not exists user_sessions_prompt_version_idx
+  on public.user_sessions (prompt_version, session_date desc)
+  where prompt_version is not null;
+
+commit;
@@ -0,0 +1,111 @@
+begin;
+
+-- =========================================================
+-- 1) Experimente (Katalog in api/_lib/experiments.js)
+--    experiment_assignments: feste Variante je User und Experiment
+--    (einmal zugeteilt = bleibt, auch wenn sich die Gewichte ändern)
+-- =========================================================
+
+create table if not exists public.experiment_assignments (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  experiment_id text not null,
+  variant text not null,
+  assigned_at timestamptz not null default now(),
+  primary key (user_id, experiment_id)
+);
+
+create index if not exists experiment_assignments_experiment_idx
+  on public.experiment_assignments (experiment_id, variant);
+
+-- Nur Service-Role (/api/session, Report)
+alter table public.experiment_assignments enable row level security;
+
+-- Varianten des Calls, von /api/session gesetzt und von /api/memory-update
+-- in die Session übernommen: { "<experiment_id>": "<variant>" }
+alter table public.realtime_calls
+  add column if not exists experiments jsonb not null default '{}'::jsonb;
+
+alter table public.user_sessions
+  add column if not exists experiments jsonb not null default '{}'::jsonb;
+
+create index if not exists user_sessions_experiments_idx
+  on public.user_sessions using gin (experiments);
+
+-- Exposure-Events (analytics_events.event_name = 'experiment_exposure')
+create index if not exists analytics_events_experiment_exposure_idx
+  on public.analytics_events ((meta->>'experiment'), user_id, created_at)
+  where event_name = 'experiment_exposure';
+
+-- =========================================================
+-- 2) Report je Variante
+--    users           = User mit Exposure (ab p_since)
+--    sessions        = Sessions mit dieser Variante
+--    return          = weitere Session >= 24h nach der ersten Exposure
+--    upgrade         = subscription_activated nach der ersten Exposure
+-- =========================================================
+
+create or replace function public.experiment_report(
+  p_experiment text,
+  p_since timestamptz default null
+)
+returns table (
+  variant text,
+  users integer,
+  sessions integer,
+  avg_session_seconds numeric,
+  median_session_seconds numeric,
+  returned_users integer,
+  upgraded_users integer
+)
+language sql
+stable
+set search_path = public
+as $$
+  with exposed as (
+    select e.user_id, e.meta->>'variant' as variant, min(e.created_at) as first_exposed_at
+    from public.analytics_events e
+    where e.event_name = 'experiment_exposure'
+      and e.meta->>'experiment' = p_experiment
+      and (p_since is null or e.created_at >= p_since)
+    group by e.user_id, e.meta->>'variant'
+  ),
+  per_user as (
+    select
+      x.variant,
+      x.user_id,
+      exists (
+        select 1 from public.user_sessions s
+        where s.user_id = x.user_id
+          and s.session_date >= x.first_exposed_at + interval '24 hours'
+      ) as returned,
+      exists (
+        select 1 from public.analytics_events a
+        where a.user_id = x.user_id
+          and a.event_name = 'subscription_activated'
+          and a.created_at >= x.first_exposed_at
+      ) as upgraded
+    from exposed x
+  ),
+  per_session as (
+    select s.experiments->>p_experiment as variant, s.duration_seconds
+    from public.user_sessions s
+    where s.experiments ? p_experiment
+      and (p_since is null or s.session_date >= p_since)
+  )
+  select
+    u.variant,
+    count(*)::integer as users,
+    coalesce((select count(*) from per_session ps where ps.variant = u.variant), 0)::integer as sessions,
+    (select round(avg(ps.duration_seconds), 1) from per_session ps where ps.variant = u.variant) as avg_session_seconds,
+    (select percentile_cont(0.5) within group (order by ps.duration_seconds)::numeric
+       from per_session ps where ps.variant = u.variant and ps.duration_seconds is not null) as median_session_seconds,
+    count(*) filter (where u.returned)::integer as returned_users,
+    count(*) filter (where u.upgraded)::integer as upgraded_users
+  from per_user u
+  group by u.variant
+  order by u.variant;
+$$;
+
+revoke execute on function public.experiment_report(text, timestamptz) from public, anon, authenticated;
+
+commit;
@@ -0,0 +1,30 @@
+begin;
+
+-- =========================================================
+-- Session-Intent + Thema (Katalog in api/_lib/intents.js)
+--   intent: explore / decide / reflect, vom User vor dem Call gewählt (null = keins)
+--   topic:  kurzer, vom User getippter Satz (max. 200 Zeichen)
+--   realtime_calls: von /api/session gesetzt, user_sessions: von /api/memory-update übernommen
+--   conversation_outputs.intent_report: Zusatzteil des Reports je Intent
+--     (idea_map / decision_matrix / reflection)
+-- =========================================================
+
+alter table public.realtime_calls
+  add column if not exists intent text,
+  add column if not exists topic text;
+
+alter table public.user_sessions
+  add column if not exists intent text,
+  add column if not exists topic text;
+
+alter table public.user_sessions
+  drop constraint if exists user_sessions_topic_check;
+
+alter table public.user_sessions
+  add constraint user_sessions_topic_check
+  check (topic is null or char_length(topic) <= 200);
+
+alter table public.conversation_outputs
+  add column if not exists intent_report jsonb;
+
+commit;
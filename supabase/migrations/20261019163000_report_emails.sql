@@ -0,0 +1,39 @@
+begin;
+
+-- =========================================================
+-- 1) E-Mail-Einstellungen je User
+--    report_emails      = Opt-in: Thinking Report nach jedem Call per Mail
+--    unsubscribe_token  = fester Token je User für den Abmelde-Link
+--                         (/api/unsubscribe, ohne Login)
+-- =========================================================
+
+create table if not exists public.email_preferences (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  report_emails boolean not null default false,
+  unsubscribe_token uuid not null default gen_random_uuid(),
+  opted_in_at timestamptz,
+  unsubscribed_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists email_preferences_unsubscribe_token_idx
+  on public.email_preferences (unsubscribe_token);
+
+alter table public.email_preferences enable row level security;
+
+-- Lesen: eigener Eintrag (/api/memory-update läuft mit User-JWT).
+-- Schreiben nur über /api/email-preferences und /api/unsubscribe (Service-Role).
+drop policy if exists "Users can read own email preferences" on public.email_preferences;
+create policy "Users can read own email preferences"
+on public.email_preferences
+for select
+using (user_id = auth.uid());
+
+-- =========================================================
+-- 2) Versand je Session merken (kein zweiter Versand bei Retries)
+-- =========================================================
+
+alter table public.user_sessions
+  add column if not exists report_emailed_at timestamptz;
+
+commit;
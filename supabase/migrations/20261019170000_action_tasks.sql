@@ -0,0 +1,86 @@
+begin;
+
+-- =========================================================
+-- 1) action_tasks: Aktionsplan-Punkte als verfolgbare Aufgaben
+--    Ein Eintrag je action_plan-Punkt eines Thinking Reports
+--    (conversation_outputs.action_plan, Position = Index im Plan).
+--    status: open -> done / dropped (über /api/tasks, auch zurück auf open)
+--    /api/session gibt Sophie die offenen der letzten Sessions mit.
+-- =========================================================
+
+create table if not exists public.action_tasks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  session_id uuid not null references public.user_sessions(id) on delete cascade,
+  position smallint not null,
+  label text not null default '',
+  detail text not null default '',
+  due_date date,
+  status text not null default 'open',
+  status_changed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (session_id, position)
+);
+
+alter table public.action_tasks
+  drop constraint if exists action_tasks_status_check;
+
+alter table public.action_tasks
+  add constraint action_tasks_status_check
+  check (status in ('open', 'done', 'dropped'));
+
+alter table public.action_tasks
+  drop constraint if exists action_tasks_text_check;
+
+alter table public.action_tasks
+  add constraint action_tasks_text_check
+  check (length(label) <= 200 and length(detail) <= 500 and (label <> '' or detail <> ''));
+
+create index if not exists action_tasks_user_open_idx
+  on public.action_tasks (user_id, created_at desc)
+  where status = 'open';
+
+alter table public.action_tasks enable row level security;
+
+-- Angelegt werden die Aufgaben nur mit der Service-Role (Post-Call-Job, /api/admin/reports),
+-- Status-Änderungen laufen über /api/tasks (ebenfalls Service-Role). Nutzer dürfen nur lesen.
+drop policy if exists "action_tasks_select_own" on public.action_tasks;
+create policy "action_tasks_select_own"
+  on public.action_tasks for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "action_tasks_insert_own" on public.action_tasks;
+
+-- =========================================================
+-- 2) Bestehende Reports übernehmen (alle offen; /api/session
+--    nimmt ohnehin nur die der letzten Wochen)
+-- =========================================================
+
+insert into public.action_tasks (user_id, session_id, position, label, detail, due_date, created_at, updated_at)
+select
+  s.user_id,
+  s.id,
+  (a.ord - 1)::smallint,
+  left(coalesce(trim(a.item->>'label'), ''), 200),
+  left(coalesce(trim(coalesce(a.item->>'detail', a.item->>'text')), ''), 500),
+  -- nur echte Kalendertage (2026-02-30 würde beim Cast die Migration abbrechen), sonst null
+  case when a.item->>'due_date' ~ '^[1-9]\d{3}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$' then
+    case when substr(a.item->>'due_date', 9, 2)::int <= extract(day from
+      date_trunc('month', (left(a.item->>'due_date', 7) || '-01')::date) + interval '1 month - 1 day'
+    ) then (a.item->>'due_date')::date end
+  end,
+  coalesce(s.session_date, now()),
+  now()
+from public.conversation_outputs o
+join public.user_sessions s on s.id = o.session_id
+cross join lateral jsonb_array_elements(
+  case when jsonb_typeof(o.action_plan) = 'array' then o.action_plan else '[]'::jsonb end
+) with ordinality as a(item, ord)
+where jsonb_typeof(a.item) = 'object'
+  and coalesce(trim(a.item->>'label'), '') || coalesce(trim(coalesce(a.item->>'detail', a.item->>'text')), '') <> ''
+  -- generischer Fallback-Schritt (Report-Modell fehlgeschlagen), keine echte Aufgabe
+  and coalesce(a.item->>'label', '') <> 'Clarify next step'
+on conflict (session_id, position) do nothing;
+
+commit;
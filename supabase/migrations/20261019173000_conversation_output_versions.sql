@@ -0,0 +1,125 @@
+begin;
+
+-- =========================================================
+-- 1) conversation_outputs: Versionen statt Überschreiben
+--    version     = 1, 2, ... je Session (neu erzeugter Report = neue Version)
+--    is_current  = die Version, die App, Export, Mail und /api/session lesen
+--    superseded_at = seit wann eine Version nicht mehr aktuell ist
+--   Genau eine aktuelle Version je Session (partieller Unique-Index),
+--   ältere bleiben erhalten (Vergleich Modell / Prompt-Version).
+-- =========================================================
+
+alter table public.conversation_outputs
+  add column if not exists version integer not null default 1,
+  add column if not exists is_current boolean not null default true,
+  add column if not exists superseded_at timestamptz;
+
+drop index if exists public.conversation_outputs_session_id_unique_idx;
+
+create unique index if not exists conversation_outputs_session_version_uidx
+  on public.conversation_outputs (session_id, version);
+
+create unique index if not exists conversation_outputs_current_uidx
+  on public.conversation_outputs (session_id)
+  where is_current;
+
+create index if not exists conversation_outputs_prompt_version_idx
+  on public.conversation_outputs (prompt_version)
+  where is_current;
+
+-- =========================================================
+-- 2) Neue Version anlegen (nur Service Role)
+--    Post-Call-Job: p_first_only = true -> nur Version 1; hat die
+--    Session schon einen Report (Retry, erneuter Upload), bleibt er
+--    und die aktuelle Version wird zurückgegeben (output_created = false).
+--    /api/admin/reports: jede Neu-Erzeugung = neue Version.
+--    p_activate = false: nur ablegen, aktuelle Version bleibt
+--    (die erste Version einer Session wird immer aktuell)
+-- =========================================================
+
+drop function if exists public.conversation_output_add_version(uuid, jsonb, boolean);
+
+create or replace function public.conversation_output_add_version(
+  p_session_id uuid,
+  p_output jsonb,
+  p_activate boolean default true,
+  p_first_only boolean default false
+)
+returns table (
+  output_id uuid,
+  output_version integer,
+  output_is_current boolean,
+  output_created boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_version integer;
+  v_has_current boolean;
+  v_activate boolean;
+  v_id uuid;
+begin
+  -- Zeile sperren -> parallele Aufrufe bekommen fortlaufende Versionen
+  perform 1
+  from public.user_sessions s
+  where s.id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'conversation_output_add_version: session not found';
+  end if;
+
+  select coalesce(max(o.version), 0) + 1, coalesce(bool_or(o.is_current), false)
+  into v_version, v_has_current
+  from public.conversation_outputs o
+  where o.session_id = p_session_id;
+
+  if coalesce(p_first_only, false) and v_version > 1 then
+    return query
+      select o.id, o.version, o.is_current, false
+      from public.conversation_outputs o
+      where o.session_id = p_session_id
+      order by o.is_current desc, o.version desc
+      limit 1;
+    return;
+  end if;
+
+  v_activate := coalesce(p_activate, true) or not v_has_current;
+
+  if v_activate then
+    update public.conversation_outputs o
+    set is_current = false,
+        superseded_at = now()
+    where o.session_id = p_session_id
+      and o.is_current;
+  end if;
+
+  insert into public.conversation_outputs (
+    session_id, version, is_current,
+    title, short_summary, structured_summary, key_insights, action_plan, open_questions,
+    intent_report, model, prompt_version
+  )
+  values (
+    p_session_id, v_version, v_activate,
+    p_output->>'title',
+    p_output->>'short_summary',
+    p_output->'structured_summary',
+    coalesce(p_output->'key_insights', '[]'::jsonb),
+    coalesce(p_output->'action_plan', '[]'::jsonb),
+    coalesce(p_output->'open_questions', '[]'::jsonb),
+    case when jsonb_typeof(p_output->'intent_report') = 'object' then p_output->'intent_report' end,
+    p_output->>'model',
+    p_output->>'prompt_version'
+  )
+  returning id into v_id;
+
+  return query select v_id, v_version, v_activate, true;
+end;
+$$;
+
+revoke execute on function public.conversation_output_add_version(uuid, jsonb, boolean, boolean) from public, anon, authenticated;
+grant execute on function public.conversation_output_add_version(uuid, jsonb, boolean, boolean) to service_role;
+
+commit;
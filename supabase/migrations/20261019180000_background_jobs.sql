@@ -0,0 +1,196 @@
+begin;
+
+-- =========================================================
+-- 1) background_jobs: Warteschlange für Arbeit nach dem Call
+--    memory-update.js speichert Session + Transkript sofort und
+--    legt einen Job an; /api/admin/run-jobs verarbeitet ihn
+--    (Modelle, Profil, Report, Aufgaben, Mail).
+--    status: queued -> running -> done
+--            fehlgeschlagen -> wieder queued (run_after = Backoff)
+--            nach max_attempts Versuchen -> dead (Dead Letter)
+--    Ein Job je Typ und Session; /api/jobs liefert den Stand.
+-- =========================================================
+
+create table if not exists public.background_jobs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  session_id uuid references public.user_sessions(id) on delete cascade,
+  payload jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'done', 'dead')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5
+    check (max_attempts between 1 and 20),
+  run_after timestamptz not null default now(),
+  locked_until timestamptz,                  -- Lease des laufenden Versuchs
+  last_error text,
+  result jsonb,                              -- Antwort für /api/jobs (z. B. fertiger Report)
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz,
+  unique (type, session_id)
+);
+
+alter table public.background_jobs
+  drop constraint if exists background_jobs_type_check;
+
+alter table public.background_jobs
+  add constraint background_jobs_type_check
+  check (type in ('post_call'));
+
+create index if not exists background_jobs_due_idx
+  on public.background_jobs (run_after)
+  where status in ('queued', 'running');
+
+create index if not exists background_jobs_dead_idx
+  on public.background_jobs (updated_at desc)
+  where status = 'dead';
+
+-- Nur Service Role (keine Policies); Anlegen über background_job_enqueue
+alter table public.background_jobs enable row level security;
+
+-- =========================================================
+-- 2) Job anlegen (nur Service Role; memory-update.js, nachdem es
+--    die Session mit dem User-JWT gespeichert hat)
+--    Gibt es den Job schon: queued/running bleibt wie er ist,
+--    done/dead wird neu eingereiht (erneuter Upload vom Client).
+-- =========================================================
+
+create or replace function public.background_job_enqueue(
+  p_type text,
+  p_session_id uuid,
+  p_payload jsonb default '{}'::jsonb,
+  p_max_attempts integer default 5
+)
+returns table (
+  job_id uuid,
+  job_status text,
+  job_attempts integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid;
+begin
+  select s.user_id
+  into v_user_id
+  from public.user_sessions s
+  where s.id = p_session_id;
+
+  if v_user_id is null then
+    raise exception 'background_job_enqueue: session not found';
+  end if;
+
+  return query
+    insert into public.background_jobs as j (type, user_id, session_id, payload, max_attempts)
+    values (p_type, v_user_id, p_session_id, coalesce(p_payload, '{}'::jsonb), coalesce(p_max_attempts, 5))
+    on conflict (type, session_id) do update
+    set status = 'queued',
+        attempts = 0,
+        payload = excluded.payload,
+        max_attempts = excluded.max_attempts,
+        run_after = now(),
+        locked_until = null,
+        last_error = null,
+        result = null,
+        finished_at = null,
+        updated_at = now()
+    where j.status in ('done', 'dead')
+    returning j.id, j.status, j.attempts;
+
+  if not found then
+    return query
+      select j.id, j.status, j.attempts
+      from public.background_jobs j
+      where j.type = p_type
+        and j.session_id = p_session_id;
+  end if;
+end;
+$$;
+
+revoke execute on function public.background_job_enqueue(text, uuid, jsonb, integer) from public, anon, authenticated;
+grant execute on function public.background_job_enqueue(text, uuid, jsonb, integer) to service_role;
+
+-- =========================================================
+-- 3) Nächsten fälligen Job übernehmen (Worker, Service Role)
+--    Fällig: queued mit run_after <= now() oder running mit
+--    abgelaufener Lease (Function abgebrochen / Timeout).
+--    Abgelaufene Leases ohne verbleibenden Versuch -> dead; diese
+--    Zeilen kommen mit zurück (status = 'dead'), damit der Worker
+--    den Abschluss des Job-Typs ausführt (z. B. Session als
+--    fehlgeschlagen markieren), wie bei einem Fehlschlag im Lauf.
+--    skip locked: parallele Worker bekommen verschiedene Jobs.
+-- =========================================================
+
+create or replace function public.background_job_claim(
+  p_job_id uuid default null,
+  p_lease_seconds integer default 300
+)
+returns setof public.background_jobs
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+    update public.background_jobs j
+    set status = 'dead',
+        locked_until = null,
+        last_error = left(coalesce(j.last_error || ' | ', '') || 'lease expired', 2000),
+        finished_at = now(),
+        updated_at = now()
+    where j.status = 'running'
+      and j.locked_until < now()
+      and j.attempts >= j.max_attempts
+      and (p_job_id is null or j.id = p_job_id)
+    returning j.*;
+
+  return query
+    with next_job as (
+      select j.id
+      from public.background_jobs j
+      where (p_job_id is null or j.id = p_job_id)
+        and (
+          (j.status = 'queued' and j.run_after <= now())
+          or (j.status = 'running' and j.locked_until < now())
+        )
+      order by j.run_after
+      limit 1
+      for update skip locked
+    )
+    update public.background_jobs j
+    set status = 'running',
+        attempts = j.attempts + 1,
+        locked_until = now() + make_interval(secs => greatest(30, coalesce(p_lease_seconds, 300))),
+        updated_at = now()
+    from next_job
+    where j.id = next_job.id
+    returning j.*;
+end;
+$$;
+
+revoke execute on function public.background_job_claim(uuid, integer) from public, anon, authenticated;
+grant execute on function public.background_job_claim(uuid, integer) to service_role;
+
+-- =========================================================
+-- 4) user_sessions.report_status: Stand des Reports für die Liste
+--    null = kein Fehler (Report fertig oder noch in Arbeit),
+--    'failed' = Job ist dead (Dead Letter, Fehler nur in
+--    background_jobs.last_error). Ein späterer erfolgreicher
+--    Lauf setzt wieder null.
+-- =========================================================
+
+alter table public.user_sessions
+  add column if not exists report_status text;
+
+alter table public.user_sessions
+  drop constraint if exists user_sessions_report_status_check;
+
+alter table public.user_sessions
+  add constraint user_sessions_report_status_check
+  check (report_status in ('failed'));
+
+commit;
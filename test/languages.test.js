@@ -0,0 +1,190 @@
+// Language registry (api/_lib/languages.js): every entry's name, age and
+// switch phrasings and its stopword detection, with user turns per language,
+// and when preferred_language follows the spoken language.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LANGUAGES,
+  agePatterns,
+  detectLanguage,
+  explicitLanguageRequest,
+  extractNameFromText,
+  requestedLanguages,
+  spokenLanguageIsConsistent,
+} = require("../api/_lib/languages");
+
+const CASES = {
+  en: {
+    names: { first: "Daniel", nick: "Dan" },
+    first: "Hi, my name is Daniel and I just moved here.",
+    nick: "My friends have a nickname for me, you can call me Dan.",
+    age: ["I'm 34 and tired all the time.", "I turned 34 years old last week."],
+    switchTo: { de: "Can you speak German with me?", fr: "French please, I want to practise." },
+    spoken:
+      "Yeah I think the thing is that I just don't know what I want. My job is fine but I'm not really happy " +
+      "with it and they don't see it. It's like I have to be there because of the money, you know, and that is hard.",
+  },
+  de: {
+    names: { first: "Jürgen", nick: "Jojo" },
+    first: "Hallo, ich heiße Jürgen und wohne in Köln.",
+    nick: "Meine Freunde sagen Jojo, du kannst mich Jojo nennen.",
+    age: ["Ich bin 34 und arbeite viel.", "Ich bin jetzt 34 Jahre alt."],
+    switchTo: { en: "Können wir bitte auf Englisch reden?", es: "Sprich mal Spanisch mit mir." },
+    spoken:
+      "Ja also ich bin mir nicht sicher, ob das so eine gute Idee ist. Ich habe einfach das Gefühl, dass ich " +
+      "schon sehr viel gemacht habe und jetzt irgendwie noch mehr machen soll, aber mein Chef sieht das nicht und " +
+      "wir reden auch nicht darüber.",
+  },
+  fr: {
+    names: { first: "Hélène", nick: "Lili" },
+    first: "Bonjour, je m'appelle Hélène, enchantée.",
+    nick: "Au travail on m'appelle Lili depuis toujours.",
+    age: ["J'ai 34 ans et je suis fatiguée."],
+    switchTo: { en: "On peut parler en anglais s'il te plaît ?", de: "Parlons allemand maintenant." },
+    spoken:
+      "Oui alors je suis vraiment fatiguée en ce moment parce que mon travail est très dur et je ne sais pas " +
+      "quoi faire. C'est pas facile pour moi, mais j'ai aussi des amis avec qui je parle et ça va bien quand même.",
+  },
+  es: {
+    names: { first: "José", nick: "Pepe" },
+    first: "Hola, me llamo José y soy de Sevilla.",
+    nick: "Mis amigos me dicen Pepe desde pequeño.",
+    age: ["Tengo 34 años y estoy cansado."],
+    switchTo: { en: "¿Podemos hablar en inglés por favor?", fr: "Cambia al francés, quiero practicar." },
+    spoken:
+      "Bueno pues yo creo que estoy muy cansado porque tengo mucho trabajo y mi jefe no lo ve. Quiero hablar " +
+      "con él pero también tengo miedo, y eso es lo que hay. Sí, es así como me siento, pero está bien.",
+  },
+};
+
+test("every registry entry has test cases", () => {
+  assert.deepEqual(Object.keys(CASES).sort(), Object.keys(LANGUAGES).sort());
+});
+
+for (const [code, c] of Object.entries(CASES)) {
+  test(`${code}: namePatterns.first picks the first name`, () => {
+    assert.equal(extractNameFromText(c.first).first, c.names.first);
+  });
+
+  test(`${code}: namePatterns.nick picks the nickname`, () => {
+    assert.equal(extractNameFromText(c.nick).nick, c.names.nick);
+  });
+
+  test(`${code}: agePatterns find the age`, () => {
+    for (const sentence of c.age) {
+      assert.ok(agePatterns(34).some((re) => re.test(sentence)), sentence);
+      assert.ok(!agePatterns(35).some((re) => re.test(sentence)), sentence);
+    }
+  });
+
+  test(`${code}: switchPhrases detect a request for another language`, () => {
+    for (const [target, sentence] of Object.entries(c.switchTo)) {
+      assert.deepEqual(requestedLanguages(sentence), [target], sentence);
+      assert.equal(explicitLanguageRequest(sentence), target, sentence);
+    }
+  });
+
+  test(`${code}: stopwords detect the spoken language`, () => {
+    const detected = detectLanguage(c.spoken);
+    assert.ok(detected, "no language detected");
+    assert.equal(detected.code, code);
+  });
+}
+
+test("names: the nickname keyword works without a phrase", () => {
+  assert.deepEqual(extractNameFromText("Name: Anna, Spitzname: Annie"), { first: "", nick: "Annie" });
+});
+
+test("names: accented names are not cut at the accent", () => {
+  assert.equal(extractNameFromText("me llamo Andrés").first, "Andrés");
+});
+
+test("switch: no or conflicting requests give no explicit language", () => {
+  assert.equal(explicitLanguageRequest("I had a long day at work."), "");
+  assert.deepEqual(requestedLanguages("speak German please, or actually French please"), ["de", "fr"]);
+  assert.equal(explicitLanguageRequest("speak German please, or actually French please"), "");
+});
+
+test("detect: short or mixed text is not classified", () => {
+  assert.equal(detectLanguage("I think that is fine"), null);
+
+  const mixed = `${CASES.en.spoken} ${CASES.de.spoken}`;
+  assert.equal(detectLanguage(mixed), null);
+});
+
+// ---------------------------
+// Spoken language in a row (user_sessions.spoken_language, newest first)
+// ---------------------------
+
+// Just enough of the Supabase query builder for the user_sessions lookup
+function fakeSupabase(rows, { error = null } = {}) {
+  const calls = {};
+  const query = {
+    select: () => query,
+    eq: (col, v) => ((calls.eq = [col, v]), query),
+    neq: (col, v) => ((calls.neq = [col, v]), query),
+    order: (col, opts) => ((calls.order = [col, opts]), query),
+    limit: (n) => {
+      calls.limit = n;
+      return Promise.resolve(error ? { data: null, error } : { data: rows.slice(0, n), error: null });
+    },
+  };
+  return { calls, from: (table) => ((calls.table = table), query) };
+}
+
+const sessions = (...codes) => codes.map((spoken_language) => ({ spoken_language }));
+const args = { userId: "u1", sessionId: "s-now", code: "de" };
+
+function withDetectSessions(t, value) {
+  const previous = process.env.LANGUAGE_DETECT_SESSIONS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.LANGUAGE_DETECT_SESSIONS;
+    else process.env.LANGUAGE_DETECT_SESSIONS = previous;
+  });
+  if (value === undefined) delete process.env.LANGUAGE_DETECT_SESSIONS;
+  else process.env.LANGUAGE_DETECT_SESSIONS = value;
+}
+
+test("consistent: the last earlier sessions in the same language count, this one left out", async (t) => {
+  withDetectSessions(t, undefined);
+  const supabase = fakeSupabase(sessions("de", "de", "en"));
+
+  assert.equal(await spokenLanguageIsConsistent(supabase, args), true);
+  assert.equal(supabase.calls.table, "user_sessions");
+  assert.deepEqual(supabase.calls.eq, ["user_id", "u1"]);
+  assert.deepEqual(supabase.calls.neq, ["id", "s-now"]);
+  assert.deepEqual(supabase.calls.order, ["session_date", { ascending: false }]);
+  assert.equal(supabase.calls.limit, 2);
+});
+
+test("consistent: another or no detected language breaks the run", async (t) => {
+  withDetectSessions(t, undefined);
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase(sessions("de", "en")), args), false);
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase(sessions(null, "de")), args), false);
+});
+
+test("consistent: too few earlier sessions are not enough", async (t) => {
+  withDetectSessions(t, undefined);
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase(sessions("de")), args), false);
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase([]), args), false);
+});
+
+test("consistent: LANGUAGE_DETECT_SESSIONS sets the run length", async (t) => {
+  withDetectSessions(t, "1");
+  const supabase = fakeSupabase([]);
+  assert.equal(await spokenLanguageIsConsistent(supabase, args), true);
+  assert.equal(supabase.calls.table, undefined, "one session needs no lookup");
+
+  process.env.LANGUAGE_DETECT_SESSIONS = "4";
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase(sessions("de", "de")), args), false);
+  assert.equal(await spokenLanguageIsConsistent(fakeSupabase(sessions("de", "de", "de")), args), true);
+});
+
+test("consistent: a failed lookup does not switch the language", async (t) => {
+  withDetectSessions(t, undefined);
+  t.mock.method(console, "error", () => {});
+  const supabase = fakeSupabase(sessions("de", "de"), { error: { message: "boom" } });
+  assert.equal(await spokenLanguageIsConsistent(supabase, args), false);
+});
@@ -0,0 +1,177 @@
+// Memory-poisoning filter (api/_lib/memory-poison.js) against transcripts of
+// known leaks: Sophie's name, her "interior designer" backstory, her Cyprus
+// home town and values only the assistant said.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  appearsOnlyInAssistantTurns,
+  checkMemoryValue,
+  denyRuleFor,
+  scrubDeniedText,
+} = require("../api/_lib/memory-poison");
+
+const user = (text) => ({ role: "user", text });
+const assistant = (text) => ({ role: "assistant", text });
+
+const userText = (turns) =>
+  turns
+    .filter((t) => t.role === "user")
+    .map((t) => t.text)
+    .join("\n");
+
+// ---------------------------
+// Sophie's name as the user's name
+// ---------------------------
+
+test("name: Sophie's own name is never stored as the user's name", () => {
+  const turns = [
+    assistant("Hi, I'm Sophie. What should I call you?"),
+    user("Hey Sophie, nice to meet you."),
+  ];
+
+  for (const field of ["first_name", "preferred_name"]) {
+    const check = checkMemoryValue(field, "Sophie", { turns });
+    assert.equal(check.ok, false);
+    assert.match(check.reason, /^denied: assistant persona/);
+  }
+});
+
+test("name: assistant / chatgpt are denied, case-insensitive", () => {
+  assert.ok(denyRuleFor("first_name", "Assistant"));
+  assert.ok(denyRuleFor("preferred_name", "  ChatGPT "));
+});
+
+test("name: a real name the user said is kept", () => {
+  const turns = [assistant("What's your name?"), user("My name is Lena, friends call me Lenny.")];
+  assert.deepEqual(checkMemoryValue("first_name", "Lena", { turns }), { ok: true });
+  assert.deepEqual(checkMemoryValue("preferred_name", "Lenny", { turns }), { ok: true });
+});
+
+test("name: exact rules do not block names that only contain a denied word", () => {
+  assert.equal(denyRuleFor("first_name", "Sophienne"), null);
+});
+
+// ---------------------------
+// "interior designer" backstory as the user's occupation
+// ---------------------------
+
+test("occupation: Sophie's interior designer backstory is denied", () => {
+  const turns = [
+    user("What do you do all day?"),
+    assistant("I'm a freelance interior designer, I love working with light and textures."),
+  ];
+
+  for (const value of ["freelance interior designer", "Interior Designer", "works in interior design"]) {
+    const check = checkMemoryValue("occupation", value, { turns });
+    assert.equal(check.ok, false, value);
+    assert.match(check.reason, /^denied: Sophie's backstory/);
+  }
+});
+
+test("occupation: the deny pattern applies even when the user said it", () => {
+  // Known leak: the model copies the persona even after the user repeats it back
+  const turns = [user("So you're an interior designer?"), assistant("Yes, freelance.")];
+  assert.equal(checkMemoryValue("occupation", "interior designer", { turns }).ok, false);
+});
+
+test("occupation: the user's own job is kept", () => {
+  const turns = [user("I work as a nurse on the night shift."), assistant("That sounds demanding.")];
+  assert.deepEqual(checkMemoryValue("occupation", "nurse", { turns }), { ok: true });
+});
+
+// ---------------------------
+// Cyprus places in summaries
+// ---------------------------
+
+test("summary: Sophie's home town is cut out of summaries", () => {
+  const turns = [
+    user("Where are you from?"),
+    assistant("I grew up in Limassol, by the sea in Cyprus."),
+    user("I had a rough week at work."),
+  ];
+  const summary = "User talked about a rough week at work and about Limassol, Cyprus.";
+
+  const scrubbed = scrubDeniedText("short_summary", summary, { userText: userText(turns) });
+  assert.doesNotMatch(scrubbed, /limassol|cyprus/i);
+  assert.match(scrubbed, /rough week at work/);
+});
+
+test("summary: every listed place is scrubbed (en + de spelling)", () => {
+  for (const place of ["Cyprus", "Zypern", "Nicosia", "Limassol", "Larnaca", "Paphos"]) {
+    const scrubbed = scrubDeniedText("last_interaction_summary", `Talked about ${place} today.`);
+    assert.equal(scrubbed, "Talked about today.", place);
+  }
+});
+
+test("summary: a place the user mentioned themselves stays", () => {
+  const turns = [user("I'm flying to Paphos next week for my sister's wedding."), assistant("How exciting!")];
+  const summary = "User is flying to Paphos for a family wedding.";
+
+  assert.equal(scrubDeniedText("short_summary", summary, { userText: userText(turns) }), summary);
+  assert.equal(denyRuleFor("short_summary", "Paphos", { userText: userText(turns) }), null);
+});
+
+test("summary: whole words only, not parts of other words", () => {
+  assert.equal(scrubDeniedText("short_summary", "Talked about Cypruses of the mind."), "Talked about Cypruses of the mind.");
+});
+
+// ---------------------------
+// Values only the assistant said
+// ---------------------------
+
+test("assistant-only: a topic only Sophie brought up is rejected", () => {
+  const turns = [
+    user("I can't sleep lately."),
+    assistant("Have you tried pottery? Many people find it calming."),
+    user("Maybe, I don't know."),
+  ];
+
+  assert.equal(appearsOnlyInAssistantTurns("pottery", turns), true);
+  assert.deepEqual(checkMemoryValue("topics", "pottery", { turns }), { ok: false, reason: "assistant_only" });
+});
+
+test("assistant-only: a value both said is the user's", () => {
+  const turns = [assistant("Do you like hiking?"), user("Yes, hiking is my favourite thing.")];
+  assert.equal(appearsOnlyInAssistantTurns("hiking", turns), false);
+  assert.deepEqual(checkMemoryValue("topics", "hiking", { turns }), { ok: true });
+});
+
+test("assistant-only: a value nobody said is not assistant-only", () => {
+  const turns = [user("Hello"), assistant("Hi there")];
+  assert.equal(appearsOnlyInAssistantTurns("chess", turns), false);
+});
+
+test("assistant-only: matches whole words, so a substring in a user turn does not count", () => {
+  const turns = [user("I love art."), assistant("Have you tried martial arts?")];
+  assert.equal(appearsOnlyInAssistantTurns("martial arts", turns), true);
+  assert.equal(appearsOnlyInAssistantTurns("art", turns), false);
+});
+
+// ---------------------------
+// New leaks via MEMORY_DENY_PATTERNS (no code change)
+// ---------------------------
+
+test("MEMORY_DENY_PATTERNS adds patterns on top of the JSON file", (t) => {
+  const modulePath = require.resolve("../api/_lib/memory-poison");
+  const previous = process.env.MEMORY_DENY_PATTERNS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.MEMORY_DENY_PATTERNS;
+    else process.env.MEMORY_DENY_PATTERNS = previous;
+    delete require.cache[modulePath];
+  });
+
+  process.env.MEMORY_DENY_PATTERNS = JSON.stringify({
+    occupation: [{ match: "word", value: "ceramicist", reason: "new persona leak" }],
+  });
+  delete require.cache[modulePath];
+  const fresh = require("../api/_lib/memory-poison");
+
+  assert.deepEqual(fresh.checkMemoryValue("occupation", "Ceramicist", { turns: [user("I'm a ceramicist")] }), {
+    ok: false,
+    reason: "denied: new persona leak",
+  });
+  // the file's patterns still apply
+  assert.ok(fresh.denyRuleFor("occupation", "interior designer"));
+});
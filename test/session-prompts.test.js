@@ -0,0 +1,38 @@
+// Snapshots of Sophie's final session prompt (composeSessionPrompt) for the sample
+// users in scripts/session-prompt-users.js. A prompt change fails here until the
+// snapshot is updated on purpose:
+//   UPDATE_SNAPSHOTS=1 npm test
+// and the diff in test/snapshots/ is reviewed with the change.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { composeSessionPrompt } = require("../api/_lib/prompts");
+const { USERS } = require("../scripts/session-prompt-users");
+
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+const update = process.env.UPDATE_SNAPSHOTS === "1";
+
+// Same layout as scripts/render-session-prompts.mjs prints it
+function render(name) {
+  const { text, version } = composeSessionPrompt(USERS[name]);
+  return `===== ${name} (${version}) =====\n${text}\n`;
+}
+
+for (const name of ["first-session", "companion", "best-friend"]) {
+  test(`session prompt: ${name}`, () => {
+    const file = path.join(SNAPSHOT_DIR, `session-prompt-${name}.txt`);
+    const actual = render(name);
+
+    if (update) {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(file, actual);
+      return;
+    }
+
+    assert.ok(fs.existsSync(file), `Missing snapshot ${path.relative(process.cwd(), file)}; run UPDATE_SNAPSHOTS=1 npm test`);
+    assert.equal(actual, fs.readFileSync(file, "utf8"));
+  });
+}